@@ -1,17 +1,28 @@
 'use client';
 import { useState } from 'react';
-import { parseKBMarkdown } from '@/lib/kb/parseMarkdown';
-import { mergeRegistry, mergeSearch, mergeEdges } from '@/lib/kb/merge';
+import { parseKBMarkdown, PROFILE_NAMES } from '@/lib/kb/parseMarkdown';
+import { mergeRegistry, mergeSearch, mergeEdges, mergeDeletions, suggestMergedLinks, mergeAcceptedLinks, loadXLinks } from '@/lib/kb/merge';
+import relations from '../../../../../../schemas/relation_types.schema.json';
 
 type F = File | null;
 
+// "ref 12, depends-on 2" — edges grouped by relationship type
+function byType(edges: { type?: string }[]) {
+  const n: Record<string, number> = {};
+  for (const e of edges) n[e.type || 'ref'] = (n[e.type || 'ref'] || 0) + 1;
+  return Object.entries(n).map(([t, c]) => `${t} ${c}`).join(', ');
+}
+
 export default function KBUploader() {
   const [md, setMd] = useState<F>(null);
+  const [profile, setProfile] = useState(PROFILE_NAMES[0]);
   const [reg, setReg] = useState<F>(null);
   const [sea, setSea] = useState<F>(null);
   const [xln, setXln] = useState<F>(null);
   const [result, setResult] = useState<any|null>(null);
   const [loading, setLoading] = useState(false);
+  // link review: "source→target" → relationship type for every suggestion the editor ticked
+  const [picked, setPicked] = useState<Record<string, string>>({});
 
   async function readText(f: F){ return f ? await f.text() : ''; }
   async function readJSON(f: F){ return f ? JSON.parse(await f.text()) : null; }
@@ -21,22 +32,43 @@ export default function KBUploader() {
     try {
       const mdText = await readText(md);
       if (!mdText) throw new Error('Please upload Markdown.');
-      const { docs, registry, edges } = parseKBMarkdown(mdText);
-
       const existingRegistry = (await readJSON(reg)) ?? {items:[], updated_at:''};
       const existingSearch   = (await readJSON(sea)) ?? {docs:[], synonyms:{}, updated_at:''};
-      const existingXLinks   = (await readJSON(xln)) ?? {edges:[]};
+      const existingXLinks   = loadXLinks(await readJSON(xln), existingRegistry.items);
+
+      const { docs, registry, nodes, edges, changes, deletions } = parseKBMarkdown(mdText, existingRegistry.items, existingSearch.docs, profile, md!.name);
 
-      const mergedRegistry = mergeRegistry(existingRegistry, registry);
-      const mergedSearch   = mergeSearch(existingSearch, docs);
-      const mergedXLinks   = mergeEdges(existingXLinks, edges);
+      // Changed blocks supersede their old doc; blocks gone from the Markdown are retired
+      const merged = mergeDeletions(
+        mergeRegistry(existingRegistry, registry),
+        mergeSearch(existingSearch, docs),
+        mergeEdges(existingXLinks, edges, nodes),
+        deletions
+      );
+      const { registry: mergedRegistry, search: mergedSearch, xlinks: mergedXLinks } = merged;
 
-      setResult({ fromMarkdown: {registry, docs, edges}, merged: {mergedRegistry, mergedSearch, mergedXLinks}});
+      const suggestions = suggestMergedLinks(mergedRegistry, mergedSearch, mergedXLinks);
+
+      setPicked({});
+      setResult({ fromMarkdown: {registry, docs, nodes, edges}, changes, removed: merged.removed, merged: {mergedRegistry, mergedSearch, mergedXLinks}, suggestions, accepted: 0});
     } catch (e:any) {
       alert(e?.message || String(e));
     } finally { setLoading(false); }
   }
 
+  function pick(key: string, type: string | null) {
+    setPicked(p => { const n = {...p}; if (type) n[key] = type; else delete n[key]; return n; });
+  }
+
+  // Ticked suggestions become edges in the merged cross_links; the rest stay up for review
+  function acceptPicked() {
+    const accepted = Object.entries(picked).map(([k, type]) => { const [source, target] = k.split('→'); return { source, target, type }; });
+    if (!accepted.length) return;
+    const { xlinks, suggestions, added } = mergeAcceptedLinks(result.merged.mergedXLinks, result.suggestions, accepted);
+    setResult({ ...result, merged: { ...result.merged, mergedXLinks: xlinks }, suggestions, accepted: result.accepted + added });
+    setPicked({});
+  }
+
   function download(name: string, obj: any) {
     const blob = new Blob([JSON.stringify(obj, null, 2)], {type: 'application/json'});
     const url = URL.createObjectURL(blob);
@@ -51,6 +83,11 @@ export default function KBUploader() {
       <div>
         <label>Upload Markdown (.md)</label><br/>
         <input type="file" accept=".md, text/markdown" onChange={e=>setMd(e.target.files?.[0] || null)} />
+        <label style={{marginLeft:12}}>Profile{' '}
+          <select value={profile} onChange={e=>setProfile(e.target.value)}>
+            {PROFILE_NAMES.map(n => <option key={n} value={n}>{n}</option>)}
+          </select>
+        </label>
       </div>
 
       <details>
@@ -67,20 +104,48 @@ export default function KBUploader() {
       {result && (
         <div style={{display:'grid', gap:12}}>
           <h3>From Markdown</h3>
-          <div>registry items: {result.fromMarkdown.registry.length} • docs: {result.fromMarkdown.docs.length} • edges: {result.fromMarkdown.edges.length}</div>
+          <div>registry items: {result.fromMarkdown.registry.length} • docs: {result.fromMarkdown.docs.length} • edges: {result.fromMarkdown.edges.length} ({byType(result.fromMarkdown.edges)})</div>
           <div style={{display:'flex', gap:8, flexWrap:'wrap'}}>
             <button onClick={()=>download('registry.json', {updated_at:new Date().toISOString(), items:result.fromMarkdown.registry})}>Download registry.json</button>
             <button onClick={()=>download('search.json', {updated_at:new Date().toISOString(), docs:result.fromMarkdown.docs, synonyms:{}})}>Download search.json</button>
-            <button onClick={()=>download('cross_links.json', {edges:result.fromMarkdown.edges})}>Download cross_links.json</button>
+            <button onClick={()=>download('cross_links.json', {nodes:result.fromMarkdown.nodes, edges:result.fromMarkdown.edges})}>Download cross_links.json</button>
           </div>
 
+          <div>blocks: {result.changes.added.length} added • {result.changes.changed.length} changed • {result.changes.unchanged.length} unchanged • {result.changes.dropped.length} dropped → {result.removed.search} tombstoned, {result.removed.edges} edges removed</div>
+
           <h3>Merged</h3>
-          <div>registry: {result.merged.mergedRegistry.items.length} • docs: {result.merged.mergedSearch.docs.length} • edges: {result.merged.mergedXLinks.edges.length}</div>
+          <div>registry: {result.merged.mergedRegistry.items.length} • docs: {result.merged.mergedSearch.docs.length} • edges: {result.merged.mergedXLinks.edges.length} ({byType(result.merged.mergedXLinks.edges)})</div>
           <div style={{display:'flex', gap:8, flexWrap:'wrap'}}>
             <button onClick={()=>download('registry.merged.json', result.merged.mergedRegistry)}>Download merged registry</button>
             <button onClick={()=>download('search.merged.json', result.merged.mergedSearch)}>Download merged search</button>
             <button onClick={()=>download('cross_links.merged.json', result.merged.mergedXLinks)}>Download merged cross_links</button>
           </div>
+
+          <h3>Link suggestions</h3>
+          <div>{result.suggestions.blocks.length} orphan or weakly linked block(s) with candidates • {result.accepted} accepted so far</div>
+          {result.suggestions.blocks.map((b: any) => (
+            <details key={b.source}>
+              <summary>{b.title || b.source} — {b.kind === 'orphan' ? 'no links' : `${b.degree} link`}</summary>
+              <div style={{display:'grid', gap:6, margin:'8px 0 0 16px'}}>
+                {b.suggestions.map((s: any) => {
+                  const key = `${b.source}→${s.target}`;
+                  return (
+                    <label key={key} style={{display:'flex', gap:8, alignItems:'baseline'}}>
+                      <input type="checkbox" checked={key in picked} onChange={e=>pick(key, e.target.checked ? 'related-to' : null)} />
+                      <select value={picked[key] || 'related-to'} disabled={!(key in picked)} onChange={e=>pick(key, e.target.value)}>
+                        {relations.enum.map((t: string) => <option key={t} value={t}>{t}</option>)}
+                      </select>
+                      <span><b>{s.title || s.target}</b> ({s.score.toFixed(2)}) — {s.reasons.join('; ')}</span>
+                    </label>
+                  );
+                })}
+              </div>
+            </details>
+          ))}
+          <div style={{display:'flex', gap:8, flexWrap:'wrap'}}>
+            <button disabled={!Object.keys(picked).length} onClick={acceptPicked}>Add {Object.keys(picked).length} accepted link(s) to merged cross_links</button>
+            <button onClick={()=>download('link_suggestions.json', result.suggestions)}>Download link_suggestions.json</button>
+          </div>
         </div>
       )}
     </div>
@@ -95,6 +160,7 @@ async function validateAndCommit() {
     registry: result.merged.mergedRegistry,
     search:   result.merged.mergedSearch,
     cross:    result.merged.mergedXLinks,
+    linkSuggestions: result.suggestions,
     message:  commitMsg
   };
 
@@ -106,8 +172,11 @@ async function validateAndCommit() {
   }).then(r=>r.json());
 
   if (!v.ok) {
-    console.warn("Schema errors", v.errors);
-    return alert("Schema validation failed. See console for details.");
+    const s = v.report?.summary;
+    console.warn("Validation report", v.report);
+    return alert(s
+      ? `Validation failed: ${s.failed} of ${s.files} file(s) invalid (${s.errors} schema error(s)), ${s.integrity_issues} new integrity issue(s). See console for details.`
+      : "Validation failed. See console for details.");
   }
 
   // 2) commit to GitHub (send shared key if set)
@@ -120,6 +189,10 @@ async function validateAndCommit() {
     body: JSON.stringify(payload)
   });
   const j = await res.json();
+  if (j.error === "lint_failed") {
+    console.warn("Lint report", j.lint);
+    return alert(`Commit refused: ${j.counts.errors} lint error(s) in the new or changed blocks (duplicates, broken links). See console for details.`);
+  }
   if (!res.ok) return alert(`Commit failed: ${JSON.stringify(j)}`);
   alert("Committed to GitHub ✔");
 }
@@ -1,10 +1,24 @@
-import type { SearchDoc, RegistryItem, Edge } from './parseMarkdown';
+import { applyDeletions, isTombstone, suggestLinks, acceptSuggestions, normalizeGraph } from '../../../../../lib/core';
+import type { LinkSuggestions, AcceptedSuggestion } from '../../../../../lib/core';
+import type { SearchDoc, RegistryItem, GraphNode, Edge, Deletion } from './parseMarkdown';
+
+export type { LinkSuggestions, AcceptedSuggestion };
+
+// Re-adding an entry over its tombstone revives it
+function revive(cur: any, next: any) {
+  Object.assign(cur, next);
+  if (!isTombstone(next)) { delete cur.deleted_at; delete cur.superseded_by; }
+}
 
 export function mergeRegistry(existing: any, add: RegistryItem[]) {
   const out = {...existing};
   const items: any[] = Array.isArray(existing?.items) ? [...existing.items] : [];
   const byId = new Map(items.map((x)=>[x.id, x]));
-  for (const it of add) if (!byId.has(it.id)) items.push(it);
+  for (const it of add) {
+    const cur = byId.get(it.id);
+    if (!cur) items.push(it);
+    else if (isTombstone(cur)) revive(cur, it);
+  }
   out.items = items;
   out.updated_at = new Date().toISOString();
   return out;
@@ -17,7 +31,7 @@ export function mergeSearch(existing: any, addDocs: SearchDoc[]) {
   for (const d of addDocs) {
     if (byId.has(d.id)) {
       const cur = byId.get(d.id)!;
-      if (d.hash && d.hash !== cur.hash) Object.assign(cur, d);
+      if (isTombstone(cur) || d.attachments.sha256 !== cur.attachments?.sha256) revive(cur, d);
     } else docs.push(d);
   }
   out.docs = docs;
@@ -26,9 +40,47 @@ export function mergeSearch(existing: any, addDocs: SearchDoc[]) {
   return out;
 }
 
-export function mergeEdges(existing: any, add: Edge[]) {
-  const edges: Edge[] = Array.isArray(existing?.edges) ? [...existing.edges] : [];
-  const seen = new Set(edges.map(e=>`${e.source}→${e.target}`));
-  for (const e of add) { const k = `${e.source}→${e.target}`; if (!seen.has(k)) { seen.add(k); edges.push(e); } }
-  return { edges };
+// Uploaded cross_links.json in any published shape (edges-only, { graph }, neighbor map) → { nodes, edges }
+export function loadXLinks(existing: any, registryItems: RegistryItem[] = []) {
+  return normalizeGraph(existing, { registry: registryItems });
+}
+
+export function mergeEdges(existing: any, add: Edge[], addNodes: GraphNode[] = []) {
+  // Blocks in addNodes were re-ingested: their node is replaced and their outgoing edges rebuilt from `add`
+  const rebuilt = new Set(addNodes.map(n=>n.path));
+  const nodes: GraphNode[] = (Array.isArray(existing?.nodes) ? existing.nodes : []).filter((n: GraphNode)=>!rebuilt.has(n.path)).concat(addNodes);
+  const edges: Edge[] = (Array.isArray(existing?.edges) ? existing.edges : []).filter((e: Edge)=>!rebuilt.has(e.source));
+  // one edge per (source, target, relationship type); untyped legacy edges are "ref"
+  const key = (e: Edge) => `${e.source}→${e.target}→${e.type || 'ref'}`;
+  const seen = new Set(edges.map(key));
+  for (const e of add) { const k = key(e); if (!seen.has(k)) { seen.add(k); edges.push(e); } }
+  return { nodes, edges };
+}
+
+// Candidate links for the merged KB's orphan and weakly linked blocks (same ranking as compose())
+export function suggestMergedLinks(registry: any, search: any, xlinks: any): LinkSuggestions {
+  return suggestLinks({ registry: registry?.items || [], search: search?.docs || [], edges: xlinks?.edges || [] });
+}
+
+// Accepted suggestions become resolved edges (origin "suggestion"); the rest stay in link_suggestions.json
+export function mergeAcceptedLinks(xlinks: any, suggestions: LinkSuggestions, accepted: AcceptedSuggestion[]) {
+  const { cross, added } = acceptSuggestions(xlinks, accepted);
+  const taken = new Set(accepted.map(a => `${a.source}→${a.target}`));
+  const blocks = suggestions.blocks
+    .map(b => ({ ...b, suggestions: b.suggestions.filter(s => !taken.has(`${b.source}→${s.target}`)) }))
+    .filter(b => b.suggestions.length);
+  return { xlinks: cross, suggestions: { ...suggestions, blocks }, added };
+}
+
+// Tombstone deleted entries (deleted_at, superseded_by) and drop edges into or out of them
+export function mergeDeletions(registry: any, search: any, xlinks: any, deletions: Deletion[]) {
+  if (!deletions.length) return { registry, search, xlinks, removed: { registry: 0, search: 0, edges: 0 } };
+  const res = applyDeletions({ registry: registry.items, search: search.docs, edges: xlinks.edges }, deletions);
+  const dead = new Set(deletions.map(d => d.id));
+  return {
+    registry: { ...registry, items: res.registry },
+    search: { ...search, docs: res.search },
+    xlinks: { nodes: (xlinks.nodes || []).filter((n: GraphNode) => !dead.has(n.id)), edges: res.edges },
+    removed: res.removed
+  };
 }
@@ -1,91 +1,39 @@
-export type SearchDoc = {
-  id: string; title: string; url: string; excerpt: string;
-  tags: string[]; content: string; hash: string; updated_at: string;
-};
-export type RegistryItem = {
-  id: string; type: 'block'; title: string; path: string; version: string; description: string;
-};
-export type Edge = { source: string; target: string; };
-
-const DEFAULT_DATE = new Date().toISOString().slice(0,10);
-
-const slugify = (s: string) =>
-  s.trim().toLowerCase()
-   .replace(/[—–]/g,'-')
-   .normalize('NFKD')
-   .replace(/[^a-z0-9 \-_/]/g,'')
-   .replace(/\//g,'-')
-   .replace(/\s+/g,'-')
-   .replace(/-+/g,'-')
-   .replace(/^-|-$/g,'');
-
-const rxAllBlocks = /^##\s*Block\s+(\d+)\s*[—–-]\s*(.+)$/mg;
-
-function parseYaml(snippet: string): Record<string, any> {
-  const m = snippet.match(/```yaml([\s\S]*?)```/);
-  if (!m) return {};
-  const lines = m[1].split('\n').map(l=>l.trim()).filter(Boolean);
-  const out: Record<string, any> = {};
-  for (const line of lines) {
-    const i = line.indexOf(':'); if (i<0) continue;
-    const k = line.slice(0,i).trim();
-    let v = line.slice(i+1).trim().replace(/^['"]|['"]$/g,'');
-    if (v.startsWith('[') && v.endsWith(']')) {
-      v = v.slice(1,-1);
-      out[k] = v ? v.split(',').map(s=>s.trim().replace(/^['"]|['"]$/g,'')).filter(Boolean) : [];
-    } else out[k] = v;
-  }
-  return out;
-}
-const pickLine = (label: string, block: string) => {
-  const rx = new RegExp(`\\*\\*${label}:\\*\\*\\s*([^\\n]+)`,'i');
-  const m = block.match(rx); return m ? m[1].trim() : '';
-};
-
-export function parseKBMarkdown(md: string): { docs: SearchDoc[], registry: RegistryItem[], edges: Edge[] } {
-  const rawHeaders = [...md.matchAll(rxAllBlocks)].map(m=>({num:Number(m[1]), title:m[2].trim(), idx:m.index!}));
-
-  // keep last instance of each block number
-  const last = new Map<number, {title:string; idx:number}>();
-  for (const h of rawHeaders) { const e = last.get(h.num); if (!e || h.idx>e.idx) last.set(h.num,{title:h.title, idx:h.idx}); }
-
-  const ordered = [...last.entries()].map(([num,v])=>({num, ...v})).sort((a,b)=>a.idx-b.idx);
-  const slices = ordered.map((h,i)=>({ num:h.num, title:h.title, start:h.idx, end: i+1<ordered.length? ordered[i+1].idx: md.length }));
-
-  const docs: SearchDoc[] = [];
-  const registry: RegistryItem[] = [];
-  const edges: Edge[] = [];
-
-  for (const s of slices) {
-    const block = md.slice(s.start, s.end).trim();
-    const yaml = parseYaml(block);
-    const headerTitle = yaml.title || s.title;
-    const id = (yaml.id || `block-${s.num}`).toLowerCase();
-    const slug = slugify(headerTitle) || `block-${s.num}`;
-    const url = `./blocks/block-${s.num}-${slug}.md`;
-    const path = `blocks/block-${s.num}-${slug}.md`;
-    const excerpt = pickLine('Context\\s*&\\s*Definitions', block) || block.slice(0,300);
-    const tags = [
-      ...(Array.isArray(yaml.tags) ? yaml.tags : []),
-      ...pickLine('Tags', block).split(',')
-    ].map(t=>t.trim().toLowerCase()).filter(Boolean)
-     .filter((v,i,a)=>a.indexOf(v)===i);
-    const updated = yaml.created_at || DEFAULT_DATE;
-
-    docs.push({ id, title: headerTitle, url, excerpt, tags, content: block, hash: `${s.num}-${slug}`, updated_at: updated });
-
-    const desc = [pickLine('Context\\s*&\\s*Definitions', block), pickLine('Insights', block), pickLine('Benefits', block)]
-      .filter(Boolean).join(' ').slice(0,500);
-
-    registry.push({ id, type:'block', title: headerTitle, path, version:'v1.0', description: desc });
-
-    const yamlLinks: string[] = Array.isArray(yaml.cross_links) ? yaml.cross_links : [];
-    const lineLinks = pickLine('Cross-links', block).split(/[,;]\s*/).map(s=>s.trim()).filter(Boolean);
-    const allLinks = [...yamlLinks, ...lineLinks].filter((v,i,a)=>a.indexOf(v)===i);
-    for (const t of allLinks) {
-      const tgt = t.startsWith('/') ? t : `/${slugify(t)}`;
-      edges.push({ source: `/blocks/block-${s.num}-${slug}`, target: tgt });
-    }
-  }
-  return { docs, registry, edges };
+// Browser entry point for the shared ingestion core (lib/core.js): the uploader produces exactly
+// the IDs, paths and docs the CLI commits, so merged files stay interchangeable.
+import { ingestMarkdown, previousBlocks, createLinkIndex, isTombstone, ingestProfile } from '../../../../../lib/core';
+import type { SearchDoc, RegistryItem, GraphNode, Edge, Deletion, IngestResult } from '../../../../../lib/core';
+import relations from '../../../../../../../../schemas/relation_types.schema.json';
+import profiles from '../../../../../../../../schemas/ingest_profiles.json';
+
+// Ingestion profiles the uploader offers (schemas/ingest_profiles.json), default first
+export const PROFILE_NAMES: string[] = [profiles.default, ...Object.keys(profiles.profiles).filter(n => n !== profiles.default)];
+
+export type { SearchDoc, RegistryItem, GraphNode, Edge, Deletion };
+
+// `source` is the Markdown file's name: blocks are numbered per file and profile, so only the blocks that file produced
+// with the same profile are compared and retired
+export function parseKBMarkdown(md: string, existingRegistry?: RegistryItem[], existingDocs?: SearchDoc[], profileName?: string, source?: string): {
+  docs: SearchDoc[], registry: RegistryItem[], nodes: GraphNode[], edges: Edge[],
+  changes: IngestResult['changes'], deletions: Deletion[]
+} {
+  // Same seeding as compose(): live paths/ids/slugs/titles/aliases resolve links; every slug stays reserved
+  const links = createLinkIndex((existingRegistry || []).filter(r => !isTombstone(r)));
+  const takenSlugs = new Set((existingRegistry || []).map(r => r.slug));
+
+  // Incremental, like compose(): unchanged blocks are skipped, changed/dropped ones (of this source only) become tombstones
+  const profile = ingestProfile(profiles, profileName);
+  const previous = previousBlocks(existingDocs || [], existingRegistry || [], { source, profile });
+  const { blocks, edges: allEdges, changes } = ingestMarkdown(md, { links, takenSlugs, previous, source, relations, profile });
+  const fresh = blocks.filter(b => b.change !== 'unchanged' || b.adopted);
+  const deletions: Deletion[] = [
+    ...changes.changed.filter(c => c.previous_id).map(c => ({ id: c.previous_id!, superseded_by: c.id })),
+    ...changes.dropped.map(c => ({ id: c.id, superseded_by: null }))
+  ];
+  const rederived = new Set(fresh.map(b => b.path));
+  const edges = allEdges.filter(e => rederived.has(e.source));
+  return {
+    docs: fresh.map(b => b.search), registry: fresh.map(b => b.registry),
+    nodes: fresh.map(b => ({ id: b.id, path: b.path, title: b.registry.title, slug: b.slug })),
+    edges, changes, deletions
+  };
 }
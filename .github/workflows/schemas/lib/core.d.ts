@@ -0,0 +1,212 @@
+// Types for lib/core.js (the isomorphic ingestion core) as consumed by the Next.js uploader.
+
+export interface RegistryItem {
+  id: string; title: string; slug: string; path: string; tags: string[];
+  created_at: string; updated_at: string; summary: string; links: string[];
+  aliases?: string[]; owners?: string[];
+}
+
+export interface SearchDoc {
+  id: string; title: string; description: string; snippet: string; tags: string[];
+  aliases?: string[]; owners?: string[];
+  content: string; tokens: string;
+  attachments: {
+    raw_markdown: string; sha256: string;
+    outline?: OutlineEntry[]; images?: MdImage[];
+    sections: Record<string, any>;
+    meta: { block_number: number; header_line: string; source?: string; profile?: string; metadata_sources?: Record<string, MetadataSource> };
+  };
+  created_at: string; updated_at: string;
+}
+
+/** Markdown tree (parseMarkdown): mdast-shaped; top-level nodes carry offsets into the source. */
+export interface MdNode {
+  type: string; children?: MdNode[]; value?: string; depth?: number; url?: string; title?: string | null; alt?: string;
+  lang?: string | null; meta?: string | null; fenced?: boolean; ordered?: boolean; start?: number | null; checked?: boolean;
+  autolink?: boolean; reference?: string; alias?: string; identifier?: string; label?: string;
+  position?: { start: number; end: number };
+}
+export interface MdRoot extends MdNode { type: 'root'; children: MdNode[]; definitions: Record<string, { url: string; title: string | null }>; }
+export interface OutlineEntry { depth: number; text: string; }
+export interface MdLink { kind: 'inline' | 'reference' | 'autolink' | 'wiki'; url: string; text: string; }
+export interface MdImage { url: string; alt: string; title: string | null; }
+
+/** Where an author-pinned value came from (precedence: yaml > front_matter > document > heading). */
+export type MetadataSource = 'yaml' | 'front_matter' | 'document';
+export interface BlockMetadata {
+  id: string | null; title: string | null; aliases: string[]; owners: string[];
+  created_at: string | null; updated_at: string | null; sources: Record<string, MetadataSource>;
+}
+
+export interface GraphNode { id: string; path: string; title: string; slug: string; }
+export interface LinkCandidate { path: string; title: string | null; score: number; }
+export interface LinkResolution {
+  status: 'ok' | 'ambiguous' | 'pending' | 'external'; target: string; confidence: number; candidates: LinkCandidate[];
+}
+/** Unresolved edges keep the link text in `raw` (and `target`) plus the ranked candidates. */
+export interface Edge {
+  source: string; target: string; type: string; status: 'ok' | 'ambiguous' | 'pending';
+  confidence?: number; raw?: string; candidates?: LinkCandidate[];
+  /** Unknown relationship label from the Markdown (the edge then has the default type). */
+  type_raw?: string;
+  /** Added by an editor from link_suggestions.json rather than parsed from the Markdown. */
+  origin?: 'suggestion';
+}
+
+/** schemas/relation_types.schema.json: `enum` of types, `default` type, alias → type in definitions.aliases.default. */
+export interface RelationSpec { enum?: string[]; default?: string; definitions?: { aliases?: { default?: Record<string, string> } }; }
+export interface RelationVocabulary { types: Set<string>; aliases: Map<string, string>; default: string; }
+export interface TypedLink { type: string; target: string; type_raw?: string; }
+
+/** One entry of schemas/ingest_profiles.json; omitted settings keep the master rules (DEFAULT_PROFILE). */
+export interface IngestProfileSpec {
+  description?: string;
+  segmentation?: {
+    block_pattern?: string | null; heading_levels?: number[]; front_matter?: boolean; horizontal_rules?: boolean;
+    title?: 'block' | 'heading';
+  };
+  sections?: { heading_level?: number; styles?: Array<'heading' | 'bold' | 'label' | 'label_inline'>; names?: Record<string, string[]> };
+  tags?: { section?: string; split?: string; lowercase?: boolean; hashtags?: boolean };
+  links?: { section?: string; markdown?: boolean; wiki?: boolean };
+  /** Content checks of lib/lint.js: one non-empty section per group, header regex, word bounds, rule severities. */
+  lint?: {
+    required_sections?: string[][]; header_pattern?: string | null; min_words?: number; max_words?: number;
+    severity?: Record<string, 'error' | 'warning' | 'info' | 'off'>;
+  };
+}
+export interface IngestProfilesConfig { default?: string; profiles: Record<string, IngestProfileSpec>; }
+/** Compiled profile (ingestProfile()). */
+export interface IngestProfile {
+  compiled: true; name: string;
+  block: RegExp | null; headings: RegExp[]; frontMatter: boolean; rules: boolean; title: 'block' | 'heading';
+  sections: Array<{ key: string; line: RegExp[]; inline: RegExp[] }>;
+  tags: { section: string; split: RegExp; lowercase: boolean; hashtags: boolean };
+  links: { section: string; markdown: boolean; wiki: boolean };
+  lint: {
+    required: Array<Array<{ key: string; label: string }>>; header: RegExp | null; min_words: number; max_words: number;
+    severity: Record<string, 'error' | 'warning' | 'info' | 'off'>;
+  };
+}
+type ProfileInput = IngestProfilesConfig | IngestProfileSpec | IngestProfile;
+
+export interface LinkEntry { path: string; id?: string; slug?: string; title?: string; aliases?: string[]; }
+export interface LinkIndex {
+  add(entry: LinkEntry): LinkIndex;
+  addKey(key: string, path: string): LinkIndex;
+  has(path: string): boolean;
+  resolve(raw: string): LinkResolution;
+}
+
+export interface BlockDocs {
+  id: string; slug: string; path: string;
+  registry: RegistryItem; search: SearchDoc;
+  cross_links_raw: string[]; roi_raw: string;
+}
+
+export interface PreviousBlock {
+  id: string; sha256: string; created_at?: string; updated_at?: string; slug?: string; path?: string;
+  /** Source file the block was ingested from; null for blocks published before sources were recorded. */
+  source: string | null;
+  /** Published without a source: one of `matches` (by sha256) is claimed, else only with `adopt` (which also drops it). */
+  legacy?: boolean; matches?: Map<string, PreviousBlock>; adopt?: boolean;
+}
+
+export interface IngestOptions {
+  /** Link targets of the existing KB; this source's blocks are added to it. */
+  links?: LinkIndex;
+  /** @deprecated key → path map; use `links`. */
+  known?: Map<string, string>;
+  takenSlugs?: Set<string>; now?: string;
+  /** Relationship vocabulary; the built-in default matches schemas/relation_types.schema.json. */
+  relations?: RelationSpec | string[] | RelationVocabulary;
+  /** Ingestion profile (or a profiles config, with profileName); default: the master rules. */
+  profile?: ProfileInput; profileName?: string;
+  previous?: Map<number, PreviousBlock>;
+  /** Source file name (sourceKey: directories are dropped), stored in attachments.meta.source; block numbers count within it. */
+  source?: string;
+}
+
+export interface BlockChange { id: string; block_number: number; path: string | null; previous_id?: string; }
+
+export interface IngestResult {
+  blocks: Array<BlockDocs & { change: 'added' | 'changed' | 'unchanged'; previous_id?: string; adopted?: boolean }>;
+  registry: RegistryItem[]; search: SearchDoc[];
+  nodes: GraphNode[]; edges: Edge[];
+  changes: { added: BlockChange[]; changed: BlockChange[]; unchanged: BlockChange[]; dropped: BlockChange[] };
+  warnings: Array<{ code: 'duplicate_pinned_id'; block_number: number; id: string }>;
+}
+
+export interface Deletion { id: string; superseded_by?: string | null; }
+
+export interface LinkSuggestion {
+  target: string; id: string | null; title: string | null; score: number;
+  signals: { tags: number; mention: number; text: number }; reasons: string[];
+}
+/** docs/link_suggestions.json */
+export interface LinkSuggestions {
+  format: 'kb.suggestions/1'; generated_at: string; weights: { tags: number; mention: number; text: number };
+  blocks: Array<{ source: string; id: string | null; title: string | null; degree: number; kind: 'orphan' | 'weak'; suggestions: LinkSuggestion[] }>;
+}
+export interface AcceptedSuggestion { source: string; target: string; type?: string; }
+
+export const NAMESPACE_KB: string;
+export function sha256Hex(input: string | Uint8Array): string;
+export function uuidv5(name: string, namespace: string): string;
+export function stableId(rawMarkdown: string): string;
+export function slugifyTitle(s: string): string;
+export function canonicalPath(slug: string): string;
+export function ensureUniqueSlug(slug: string, taken: Set<string>): string;
+export const DEFAULT_PROFILE: IngestProfileSpec;
+/** @throws Error for a name the config does not define */
+export function ingestProfile(spec?: ProfileInput | null, name?: string): IngestProfile;
+export function segmentIntoBlocks(raw: string, profile?: ProfileInput): Array<{ blockNumber: number; headerLine: string; rawBlock: string; start: number }>;
+export function parseYamlLines(text: string): Record<string, string | string[]>;
+export function parseFencedYaml(block: string): Record<string, string | string[]>;
+export function parseFrontMatter(raw: string): { data: Record<string, string | string[]>; end: number };
+export function blockMetadata(block: string, opts?: { document?: Record<string, string | string[]>; single?: boolean; profile?: ProfileInput }): {
+  meta: Record<string, string | string[]>; sources: Record<string, MetadataSource>;
+  frontMatter: { data: Record<string, string | string[]>; start: number; end: number } | null;
+};
+export function extractSections(block: string, opts?: {
+  relations?: RelationSpec | string[] | RelationVocabulary; document?: Record<string, string | string[]>; single?: boolean;
+  profile?: ProfileInput; profileName?: string;
+}): {
+  sections: Record<string, string>; tags_raw: string[]; cross_links_raw: string[]; cross_links_typed: TypedLink[]; roi_raw: string;
+  metadata: BlockMetadata; outline: OutlineEntry[]; images: MdImage[]; definitions: MdRoot['definitions'];
+};
+export function makeTokens(md: string): string;
+export function docTokens(d: object): string[];
+export function firstLines(s: string, nChars?: number, opts?: { definitions?: MdRoot['definitions'] }): string;
+export function pickTitle(headerLine: string, blockNumber: number, rawBlock?: string): string;
+export function extractRawLinks(md: string, profile?: ProfileInput): string[];
+export function parseMarkdown(md: string, opts?: { frontMatter?: boolean; definitions?: MdRoot['definitions'] }): MdRoot;
+export function mdInline(src: string, definitions?: MdRoot['definitions']): MdNode[];
+export function mdText(node: MdNode | MdNode[]): string;
+export function mdOutline(tree: MdNode): OutlineEntry[];
+export function mdLinks(tree: MdNode): MdLink[];
+export function mdImages(tree: MdNode): MdImage[];
+export const RELATION_TYPES: RelationSpec;
+export function relationVocabulary(spec?: RelationSpec | string[] | RelationVocabulary): RelationVocabulary;
+export function relationType(label: string, vocab: RelationVocabulary): string | null;
+export function parseCrossLinks(text: string, vocab?: RelationSpec | string[] | RelationVocabulary): TypedLink[];
+export function isExternalLink(target: string): boolean;
+export function linkKey(s: string): string;
+export function createLinkIndex(entries?: LinkEntry[]): LinkIndex;
+export function resolveEdges(rawTargets: string[], known: Map<string, string> | LinkIndex): LinkResolution[];
+export function isTombstone(x: any): boolean;
+export function applyDeletions<R = any, S = any, E = any>(
+  state: { registry?: R[]; search?: S[]; edges?: E[] }, deletions: Deletion[], opts?: { now?: string }
+): { registry: R[]; search: S[]; edges: E[]; removed: { registry: number; search: number; edges: number } };
+export type GraphShape = 'canonical' | 'nested' | 'partial' | 'neighbors' | 'empty';
+export function graphShape(cross: any): GraphShape;
+/** Any published cross_links.json shape → { nodes, edges }; other top-level keys (updated_at, …) are kept. */
+export function normalizeGraph(cross: any, opts?: { registry?: any[] }): { nodes: GraphNode[]; edges: Edge[]; [k: string]: any };
+export function suggestLinks(
+  kb: { registry?: any[]; search?: any[]; edges?: any[] },
+  opts?: { limit?: number; weakDegree?: number; minScore?: number; weights?: Partial<LinkSuggestions['weights']>; now?: string }
+): LinkSuggestions;
+export function acceptSuggestions<G extends { edges?: any[] }>(cross: G, accepted: AcceptedSuggestion[], opts?: { type?: string }): { cross: G & { edges: Edge[] }; added: number };
+/** The name a source file is recorded and matched under: the file name without directories; null when empty. */
+export function sourceKey(name: string | null | undefined): string | null;
+export function previousBlocks(searchDocs: any[], registryItems: any[], opts?: { source?: string; profile?: string | IngestProfile; adopt?: boolean }): Map<number, PreviousBlock>;
+export function ingestMarkdown(raw: string, opts?: IngestOptions): IngestResult;
@@ -0,0 +1,39 @@
+// lib/diff.js
+// Structured diffs between two versions of a canonical collection (registry items, search docs, edges).
+// `updated_at` is ignored: every write re-stamps it, so it would mark everything as modified.
+
+const IGNORED = new Set(["updated_at"]);
+
+function edgeKey(e){ return `${e?.source}→${e?.target}${e?.type || e?.rel ? `#${e.type || e.rel}` : ""}`; }
+
+function changedFields(a, b){
+  const out = [];
+  for (const k of new Set([...Object.keys(a || {}), ...Object.keys(b || {})])) {
+    if (IGNORED.has(k)) continue;
+    if (JSON.stringify(a?.[k]) !== JSON.stringify(b?.[k])) out.push(k);
+  }
+  return out;
+}
+
+/**
+ * Diff two arrays keyed by keyFn.
+ * @param {Array<object>} prevArr
+ * @param {Array<object>} nextArr
+ * @param {(x:object)=>string} [keyFn] - defaults to `id`
+ * @returns {{ added:string[], removed:string[], modified:Array<{id:string, fields:string[]}>, unchanged:number }}
+ */
+function diffCollection(prevArr, nextArr, keyFn = x => x?.id){
+  const prev = new Map((prevArr || []).map(x => [String(keyFn(x)), x]));
+  const next = new Map((nextArr || []).map(x => [String(keyFn(x)), x]));
+  const out = { added: [], removed: [], modified: [], unchanged: 0 };
+  for (const [k, n] of next) {
+    if (!prev.has(k)) { out.added.push(k); continue; }
+    const fields = changedFields(prev.get(k), n);
+    if (fields.length) out.modified.push({ id: k, fields });
+    else out.unchanged++;
+  }
+  for (const k of prev.keys()) if (!next.has(k)) out.removed.push(k);
+  return out;
+}
+
+module.exports = { diffCollection, edgeKey };
@@ -0,0 +1,87 @@
+// lib/export.js
+// Rebuild Markdown sources from canonical search docs (the inverse of segment → buildDocs).
+// Every block is verified: content === attachments.raw_markdown and sha256(content) === attachments.sha256.
+// Block numbers count within one source file and profile (attachments.meta.source / .profile), so blocks are
+// grouped by both and each group is rebuilt on its own; blocks published without a source form one group.
+
+const { sha256Hex, slugifyTitle } = require("./ids");
+const { isTombstone, sourceKey } = require("./core");
+
+function blockOf(d){
+  const meta = d?.attachments?.meta;
+  if (!meta || meta.block_number == null || typeof d.content !== "string") return null;
+  return {
+    doc: d, num: Number(meta.block_number), header: meta.header_line || "",
+    source: sourceKey(meta.source), profile: meta.profile || "master"
+  };
+}
+
+/**
+ * @param {Array<object>} docs - canonical search docs
+ * @returns {{
+ *   master: string,
+ *   sources: Array<{ source:string|null, profile:string, content:string, blocks:number }>,
+ *   files: Array<{ path:string, content:string }>,
+ *   blocks: Array<{ id:string, block_number:number, source:string|null, profile:string, sha256:string, ok:boolean }>,
+ *   errors: Array<{ id:string, block_number:number, source:string|null, error:string }>,
+ *   superseded: string[], skipped: string[]
+ * }}
+ * `master` is every source's content in `sources` order (unsourced first, then by source name); with one source
+ * it is that file from its first block on — text before the first block (the preamble) is in no search doc.
+ */
+function exportMarkdown(docs){
+  const groups = new Map(); // source + profile → Map<block_number, block>
+  const skipped = [], superseded = [];
+  for (const d of docs || []) {
+    if (isTombstone(d)) continue; // retired blocks are not part of the source any more
+    const b = blockOf(d);
+    if (!b) { if (d && d.id != null) skipped.push(String(d.id)); continue; }
+    const key = JSON.stringify([b.source, b.profile]);
+    if (!groups.has(key)) groups.set(key, new Map());
+    const byNum = groups.get(key);
+    // Re-ingests leave several docs per block number; the most recently updated one wins.
+    const cur = byNum.get(b.num);
+    if (!cur) { byNum.set(b.num, b); continue; }
+    const newer = String(b.doc.updated_at || "") > String(cur.doc.updated_at || "");
+    superseded.push(String((newer ? cur : b).doc.id));
+    if (newer) byNum.set(b.num, b);
+  }
+
+  const ordered = [...groups.values()].map(byNum => [...byNum.values()].sort((a, b) => a.num - b.num))
+    .sort((a, b) => (a[0].source != null) - (b[0].source != null) || String(a[0].source).localeCompare(String(b[0].source))
+      || a[0].profile.localeCompare(b[0].profile));
+  const blocks = [], errors = [], files = [], sources = [];
+  for (const group of ordered) {
+    const parts = [];
+    for (const b of group) parts.push(exportBlock(b, { blocks, errors, files }));
+    sources.push({ source: group[0].source, profile: group[0].profile, content: parts.join(""), blocks: group.length });
+  }
+
+  // Raw blocks are contiguous slices of their source, so plain concatenation restores it up to the preamble.
+  return { master: sources.map(s => s.content).join(""), sources, files, blocks, errors, superseded, skipped };
+}
+
+// Verify one block, record it and return its Markdown
+function exportBlock({ doc, num, header, source, profile }, { blocks, errors, files }){
+  const raw = doc.content;
+  const sha = sha256Hex(Buffer.from(raw, "utf8"));
+  const expected = doc.attachments.sha256;
+  let ok = true;
+  if (doc.attachments.raw_markdown !== undefined && doc.attachments.raw_markdown !== raw) {
+    ok = false; errors.push({ id: String(doc.id), block_number: num, source, error: "content_raw_markdown_mismatch" });
+  }
+  if (!expected) {
+    ok = false; errors.push({ id: String(doc.id), block_number: num, source, error: "missing_sha256" });
+  } else if (expected !== sha) {
+    ok = false; errors.push({ id: String(doc.id), block_number: num, source, error: "sha256_mismatch" });
+  }
+  // segmentIntoBlocks slices from the header line, so raw blocks normally start with it already.
+  const body = header && !raw.trimStart().startsWith(header) ? `${header}\n${raw}` : raw;
+  blocks.push({ id: String(doc.id), block_number: num, source, profile, sha256: sha, ok });
+
+  // Same slug rule as buildDocs → registry path /docs/md/<slug>.md
+  files.push({ path: `md/${slugifyTitle(doc.title) || `block-${num}`}.md`, content: body });
+  return body;
+}
+
+module.exports = { exportMarkdown };
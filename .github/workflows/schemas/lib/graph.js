@@ -0,0 +1,220 @@
+// lib/graph.js
+// Cross-link graph analytics (docs/kb_graph_report.json): connected components and the clusters cut
+// off from the main one, PageRank and HITS hub/authority scores, dead ends, broken targets and
+// shortest paths between blocks.
+// Only resolved edges (status "ok", or no status on legacy graphs) connect nodes; pending/ambiguous
+// edges, and edges to a target missing from `nodes`, are reported as broken targets.
+
+const { isTombstone } = require("./core");
+
+const FORMAT = "kb.graph/1";
+const UNRESOLVED = new Set(["pending", "ambiguous"]);
+const round = (x) => Math.round(x * 1e6) / 1e6;
+
+const listOf = (cross, key) => Array.isArray(cross?.[key]) ? cross[key]
+  : Array.isArray(cross?.graph?.[key]) ? cross.graph[key] : [];
+
+/**
+ * Directed adjacency over node paths. With explicit `nodes`, edge sources join the node set and unknown
+ * targets are broken; without them (legacy { edges } graphs) every endpoint is a node.
+ * @returns {{ nodes:Map<string,{path:string,id:any,title:any}>, out:Map<string,Set<string>>, in:Map<string,Set<string>>,
+ *             types:Map<string,string[]>, edges:number, resolved:number, broken:Map<string,object> }}
+ */
+function buildGraph(cross){
+  const nodes = new Map();
+  for (const n of listOf(cross, "nodes")) {
+    const p = n && (n.path ?? n.id);
+    if (p == null || isTombstone(n)) continue;
+    nodes.set(String(p), { path: String(p), id: n.id ?? null, title: n.title ?? null });
+  }
+  const explicit = nodes.size > 0;
+  const addNode = (p) => { if (!nodes.has(p)) nodes.set(p, { path: p, id: null, title: null }); };
+
+  const g = { nodes, out: new Map(), in: new Map(), types: new Map(), edges: 0, resolved: 0, broken: new Map() };
+  const edges = listOf(cross, "edges").filter(e => e && e.source != null && e.target != null);
+  for (const e of edges) addNode(String(e.source));
+  for (const e of edges) {
+    const s = String(e.source), t = String(e.target);
+    g.edges++;
+    if (!explicit) addNode(t);
+    if (UNRESOLVED.has(e.status) || !nodes.has(t)) {
+      const b = g.broken.get(t) || { target: t, status: e.status || "missing", count: 0, sources: new Set() };
+      b.count++; b.sources.add(s);
+      g.broken.set(t, b);
+      continue;
+    }
+    g.resolved++;
+    const k = `${s}\u0000${t}`;
+    if (!g.types.has(k)) {
+      if (!g.out.has(s)) g.out.set(s, new Set());
+      if (!g.in.has(t)) g.in.set(t, new Set());
+      g.out.get(s).add(t); g.in.get(t).add(s);
+      g.types.set(k, []);
+    }
+    const type = e.type || e.rel || "ref";
+    if (!g.types.get(k).includes(type)) g.types.get(k).push(type);
+  }
+  return g;
+}
+
+// Weakly connected components, largest first
+function components(g){
+  const seen = new Set(), out = [];
+  for (const start of g.nodes.keys()) {
+    if (seen.has(start)) continue;
+    const comp = [start];
+    seen.add(start);
+    for (let i = 0; i < comp.length; i++) {
+      for (const nb of [...(g.out.get(comp[i]) || []), ...(g.in.get(comp[i]) || [])]) {
+        if (!seen.has(nb)) { seen.add(nb); comp.push(nb); }
+      }
+    }
+    out.push(comp);
+  }
+  return out.sort((a, b) => b.length - a.length || a[0].localeCompare(b[0]));
+}
+
+function pagerank(g, { damping = 0.85, maxIter = 100, tol = 1e-9 } = {}){
+  const ids = [...g.nodes.keys()], n = ids.length;
+  let pr = new Map(ids.map(p => [p, 1 / (n || 1)]));
+  let iterations = 0;
+  for (; iterations < maxIter; iterations++) {
+    let dangling = 0;
+    for (const p of ids) if (!g.out.get(p)?.size) dangling += pr.get(p);
+    const next = new Map(ids.map(p => [p, (1 - damping) / n + damping * dangling / n]));
+    for (const [s, targets] of g.out) {
+      const share = damping * pr.get(s) / targets.size;
+      for (const t of targets) next.set(t, next.get(t) + share);
+    }
+    let diff = 0;
+    for (const p of ids) diff += Math.abs(next.get(p) - pr.get(p));
+    pr = next;
+    if (diff < tol) { iterations++; break; }
+  }
+  return { scores: pr, damping, iterations };
+}
+
+function hits(g, { maxIter = 100, tol = 1e-9 } = {}){
+  const ids = [...g.nodes.keys()];
+  let hub = new Map(ids.map(p => [p, 1])), auth = new Map(ids.map(p => [p, 1]));
+  const norm = (m) => {
+    const z = Math.sqrt([...m.values()].reduce((a, v) => a + v * v, 0)) || 1;
+    for (const [k, v] of m) m.set(k, v / z);
+    return m;
+  };
+  for (let i = 0; i < maxIter; i++) {
+    const a = norm(new Map(ids.map(p => [p, [...(g.in.get(p) || [])].reduce((s, q) => s + hub.get(q), 0)])));
+    const h = norm(new Map(ids.map(p => [p, [...(g.out.get(p) || [])].reduce((s, q) => s + a.get(q), 0)])));
+    let diff = 0;
+    for (const p of ids) diff += Math.abs(a.get(p) - auth.get(p)) + Math.abs(h.get(p) - hub.get(p));
+    auth = a; hub = h;
+    if (diff < tol) break;
+  }
+  return { hubs: hub, authorities: auth };
+}
+
+/**
+ * Full report for docs/kb_graph_report.json.
+ * @param {object} cross - cross_links.json ({ nodes?, edges })
+ * @param {{ top?:number, now?:string, registry?:Array<object> }} [opts] - top: length of every ranked/listed
+ *   section; registry: titles for nodes the graph itself does not name (matched by path or id)
+ */
+function analyzeGraph(cross, opts = {}){
+  const top = opts.top || 25;
+  const g = buildGraph(cross);
+  const titles = new Map();
+  for (const r of opts.registry || []) if (r && r.title) { titles.set(r.path, r.title); titles.set(r.id, r.title); }
+  const label = (p) => ({ path: p, title: g.nodes.get(p)?.title ?? titles.get(p) ?? null });
+  const ranked = (scores) => [...scores.entries()].filter(([, v]) => v > 0)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).slice(0, top)
+    .map(([p, v]) => ({ ...label(p), score: round(v) }));
+
+  const comps = components(g);
+  const [main = []] = comps;
+  const clusters = comps.slice(1).filter(c => c.length > 1);
+  const isolated = comps.filter(c => c.length === 1 && !g.out.get(c[0])?.size && !g.in.get(c[0])?.size).map(c => c[0]);
+
+  const pr = pagerank(g);
+  const { hubs, authorities } = hits(g);
+  const deadEnds = [...g.nodes.keys()].filter(p => !g.out.get(p)?.size && g.in.get(p)?.size)
+    .map(p => ({ ...label(p), in_degree: g.in.get(p).size }))
+    .sort((a, b) => b.in_degree - a.in_degree || a.path.localeCompare(b.path));
+  const broken = [...g.broken.values()].sort((a, b) => b.count - a.count || a.target.localeCompare(b.target));
+
+  return {
+    format: FORMAT,
+    generated_at: opts.now || new Date().toISOString(),
+    counts: {
+      nodes: g.nodes.size, edges: g.edges, resolved_edges: g.resolved,
+      components: comps.length, isolated_clusters: clusters.length, isolated_nodes: isolated.length,
+      dead_ends: deadEnds.length, broken_targets: broken.length,
+      broken_edges: broken.reduce((n, b) => n + b.count, 0)
+    },
+    components: {
+      main: { size: main.length, share: g.nodes.size ? round(main.length / g.nodes.size) : 0 },
+      sizes: comps.slice(0, top).map(c => c.length),
+      isolated_clusters: clusters.slice(0, top).map(c => ({ size: c.length, nodes: c.slice(0, top).map(label) }))
+    },
+    isolated_nodes: isolated.slice(0, top).map(label),
+    pagerank: { damping: pr.damping, iterations: pr.iterations, top: ranked(pr.scores) },
+    hubs: ranked(hubs),
+    authorities: ranked(authorities),
+    dead_ends: deadEnds.slice(0, top),
+    broken_targets: broken.slice(0, top).map(b => ({
+      target: b.target, status: b.status, count: b.count, sources: [...b.sources].sort().slice(0, 5)
+    }))
+  };
+}
+
+/** The counts kb_stats.json carries under `graph` (full report in kb_graph_report.json). */
+function graphSummary(report){
+  const c = report.counts;
+  return {
+    components: c.components, main_component_share: report.components.main.share,
+    isolated_clusters: c.isolated_clusters, isolated_nodes: c.isolated_nodes,
+    dead_ends: c.dead_ends, broken_targets: c.broken_targets
+  };
+}
+
+/**
+ * Shortest path between two blocks (BFS). Endpoints may be a node path, id, slug or /docs/md/<slug>.md.
+ * @param {object} crossOrGraph - cross_links.json or buildGraph() output
+ * @param {{ directed?:boolean }} [opts] - directed: follow links source → target only (default: either way)
+ * @returns {{ from:string, to:string, hops:number, path:Array<{path:string,title:string|null}>,
+ *             edges:Array<{source:string,target:string,types:string[]}> } | null}
+ */
+function shortestPath(crossOrGraph, from, to, opts = {}){
+  const g = crossOrGraph?.nodes instanceof Map ? crossOrGraph : buildGraph(crossOrGraph);
+  const find = (x) => {
+    const s = String(x ?? "");
+    if (g.nodes.has(s)) return s;
+    for (const n of g.nodes.values()) if (n.id === s) return n.path;
+    return g.nodes.has(`/docs/md/${s}.md`) ? `/docs/md/${s}.md` : null;
+  };
+  const a = find(from), b = find(to);
+  if (!a || !b) return null;
+
+  const prev = new Map([[a, null]]);
+  const queue = [a];
+  for (let i = 0; i < queue.length && !prev.has(b); i++) {
+    const cur = queue[i];
+    const next = opts.directed ? [...(g.out.get(cur) || [])] : [...(g.out.get(cur) || []), ...(g.in.get(cur) || [])];
+    for (const nb of next) if (!prev.has(nb)) { prev.set(nb, cur); queue.push(nb); }
+  }
+  if (!prev.has(b)) return null;
+
+  const path = [];
+  for (let p = b; p !== null; p = prev.get(p)) path.unshift(p);
+  const edges = path.slice(1).map((t, i) => {
+    const s = path[i];
+    const fwd = g.types.get(`${s}\u0000${t}`);
+    return fwd ? { source: s, target: t, types: fwd } : { source: t, target: s, types: g.types.get(`${t}\u0000${s}`) };
+  });
+  return {
+    from: a, to: b, hops: path.length - 1,
+    path: path.map(p => ({ path: p, title: g.nodes.get(p)?.title ?? null })),
+    edges
+  };
+}
+
+module.exports = { buildGraph, analyzeGraph, graphSummary, shortestPath, FORMAT };
@@ -1,51 +1,9 @@
 // lib/ingest/ids.js
 // Provides stable IDs and slugs for KB ingestion, plus a collision-safe unique slug generator.
-// Deps: crypto (built-in), uuid (npm: uuid)
+// Hashing, stableId and slugifyTitle come from the isomorphic core so the CLI, the uploader
+// and the static viewer mint identical IDs: uuidv5(sha256(NFC(raw)), NAMESPACE_KB).
 
-const crypto = require("crypto");
-const { v5: uuidv5, v4: uuidv4 } = require("uuid");
-
-// IMPORTANT: do not change; changing namespace will change every ID.
-const NAMESPACE_KB = "b4b80c28-0e9c-5c53-9e31-8478a29799c1";
-
-/** SHA-256 hex digest */
-function sha256Hex(buf) {
-  return crypto.createHash("sha256").update(buf).digest("hex");
-}
-
-/** Normalize to NFC */
-function nfc(str) {
-  return (str && typeof str.normalize === "function") ? str.normalize("NFC") : str;
-}
-
-/**
- * Stable ID for a raw Markdown block.
- * Primary: uuidv5(sha256(NFC(raw)), NAMESPACE_KB)
- * Fallbacks: sha256Hex(raw) → uuidv4()
- */
-function stableId(rawMarkdown) {
-  try {
-    const nfcText = nfc(rawMarkdown);
-    const hash = sha256Hex(Buffer.from(nfcText, "utf8"));
-    return uuidv5(hash, NAMESPACE_KB);
-  } catch (e) {
-    try { return sha256Hex(Buffer.from(rawMarkdown || "", "utf8")); }
-    catch { return uuidv4(); }
-  }
-}
-
-/**
- * Basic slugify: lowercase, remove diacritics/punct, collapse dashes.
- */
-function slugifyTitle(s) {
-  return String(s || "")
-    .normalize("NFKD")
-    .toLowerCase()
-    .replace(/[^a-z0-9\s\-–—]/g, "")
-    .replace(/[\s–—]+/g, "-")
-    .replace(/-+/g, "-")
-    .replace(/^-|-$/g, "");
-}
+const { NAMESPACE_KB, sha256Hex, stableId, slugifyTitle, canonicalPath } = require("./core");
 
 /**
  * Ensure a slug is unique by appending -2, -3, ... if needed.
@@ -110,7 +68,9 @@ function slugifyUnique(title, taken, opts = {}) {
 module.exports = {
   stableId,
   sha256Hex,
+  sha256Bytes: sha256Hex, // name used by normalize.js / index.js
   slugifyTitle,
+  canonicalPath,
   ensureUniqueSlug,
   slugifyUnique,
   NAMESPACE_KB
@@ -1,72 +1,119 @@
-const path = require("path");
-const { segmentIntoBlocks } = require("./segment");
-const { extractSections } = require("./sections");
-const { buildDocs } = require("./normalize");
-const { extractRawLinks, resolveEdges } = require("./crosslinks");
-const { upsertRegistry, upsertSearch, ensureUniqueSlug } = require("./merge");
+const { ingestMarkdown, previousBlocks, applyDeletions, isTombstone, createLinkIndex, suggestLinks, normalizeGraph } = require("./core");
+const { upsertRegistry, upsertSearch } = require("./merge");
 const { shardIfNeeded } = require("./shard");
-const { parseROI, aggregateROI } = require("./roi");
-const { computeStats } = require("./stats");
+const { buildInvertedIndex, shardIndex } = require("./invindex");
+const { blockROI, roiSummary, rateCard, buildROIReport } = require("./roi");
+const { computeStats, liveCounts } = require("./stats");
 const { sha256Bytes } = require("./ids");
+const { reconcilePending } = require("./pending");
+const { analyzeGraph, graphSummary } = require("./graph");
+const { buildRelatedIndex, bakeRelated } = require("./related");
+const { lintDocs } = require("./lint");
 
 function toEnvelope(arr, key){ return { [key]: arr }; }
-function ensureGraphShape(cross){
-  if (cross && cross.nodes && cross.edges) return cross;
-  return { nodes: [], edges: [] };
-}
 
-async function compose({ rawMarkdown, existing }) {
+/**
+ * @param {{ rawMarkdown:string, existing:object, source?:string, adopt?:boolean, keepMissing?:boolean, relations?:object, profile?:object }} args
+ *   source: name of the Markdown file (attachments.meta.source; directories are dropped, core sourceKey); its blocks are only compared with, and
+ *     dropped from, the blocks ingested from the same file with the same profile. Without it every block is new
+ *     and nothing is dropped.
+ *   adopt: also compare with blocks published before sources were recorded (the first re-ingest of that file);
+ *     otherwise they are only claimed by a block with the same content
+ *   keepMissing: do not tombstone blocks of this source (same file and profile) that are no longer in it; blocks
+ *     of other sources are never compared with it, so they are never tombstoned by it
+ *   relations: relationship vocabulary for edge types (schemas/relation_types.schema.json)
+ *   profile: ingestion profile (ingestProfile(schemas/ingest_profiles.json, name)); default: the master rules
+ *   rates: ROI rate cards (schemas/roi_rates.json); default: $120/h, 15 min per block
+ *   relatedLimit: bake a `related` see-also list of this length into every live registry item (0 = off)
+ *   existing.pendingLinks: previous docs/pending_links.json (re-resolved after this ingest)
+ */
+async function compose({ rawMarkdown, existing, source = null, adopt = false, keepMissing = false, relations, profile, rates, relatedLimit = 0 }) {
   const sourceSha = sha256Bytes(Buffer.from(rawMarkdown, "utf8"));
-  const blocks = segmentIntoBlocks(rawMarkdown);
 
-  // Build a map of known paths/slugs/titles for cross-link resolution
-  const known = new Map();
+  // Cross-link targets: paths, ids, slugs, titles and aliases of the live KB (blocks of this run are added by the core)
   const registryExistingArr = Array.isArray(existing.registry) ? existing.registry
                            : (existing.registry?.items || existing.registry?.docs || []);
-  for (const r of registryExistingArr) {
-    known.set(r.path, r.path); known.set(r.slug, r.path); known.set(r.title, r.path);
-  }
+  const links = createLinkIndex(registryExistingArr.filter(r=>!isTombstone(r)));
+  // Legacy IDs/paths (docs/id_map.json, scripts/kb_migrate_ids.js) keep resolving to their canonical path
+  const pathById = new Map(registryExistingArr.map(r=>[r.id, r.path]));
+  for (const [oldPath, newPath] of Object.entries(existing.idMap?.paths || {})) links.addKey(oldPath, newPath);
+  for (const [oldId, newId] of Object.entries(existing.idMap?.ids || {})) if (pathById.has(newId)) links.addKey(oldId, pathById.get(newId));
 
   let registryOut = Array.isArray(existing.registry) ? existing.registry : (existing.registry?.items || existing.registry?.docs || []);
   let searchOut   = Array.isArray(existing.search)   ? existing.search   : (existing.search?.docs || existing.search?.items || []);
-  let crossOut    = ensureGraphShape(existing.cross || {});
+  // Any published graph shape (edges-only, { graph }, neighbor map) → { nodes, edges }; missing nodes come from the registry
+  let crossOut    = normalizeGraph(existing.cross, { registry: registryExistingArr });
 
   const takenSlugs = new Set(registryOut.map(r=>r.slug));
   const nodeByPath = new Map((crossOut.nodes||[]).map(n=>[n.path, n]));
 
-  const roiItems = [];
-  for (const b of blocks){
-    const sectionData = extractSections(b.rawBlock);
-    const docs = buildDocs({ rawBlock: b.rawBlock, blockNumber: b.blockNumber, headerLine: b.headerLine }, { sectionData });
-
-    // ensure unique slug (append -2, -3…)
-    const uniqueSlug = ensureUniqueSlug(docs.registry.slug, takenSlugs);
-    if (uniqueSlug !== docs.registry.slug) {
-      docs.registry.slug = uniqueSlug;
-      docs.registry.path = `/docs/md/${uniqueSlug}.md`;
-      docs.search.title = docs.registry.title; // keep title
-    }
+  const before = {
+    ...liveCounts(registryOut, searchOut),
+    edges: crossOut.edges.length
+  };
+
+  // Segmentation, IDs, paths and edge resolution: the same core the uploader and the viewer run.
+  // Blocks whose sha256 matches the canonical of the same source are left untouched (docs, timestamps and edges).
+  const previous = previousBlocks(searchOut, registryOut, { source, profile, adopt });
+  const batch = ingestMarkdown(rawMarkdown, { links, takenSlugs, previous, source, relations, profile });
 
+  const rederived = new Set(); // source paths whose edges are rebuilt from this run
+  const deletions = [];        // → tombstones: superseded by a changed block, or dropped from the source
+  for (const docs of batch.blocks){
+    if (docs.change === "unchanged" && !docs.adopted) continue; // adopted: rewritten to record its source
+    if (docs.previous_id) {
+      // changed content → new content-hash ID; the old doc becomes a tombstone pointing at the new one
+      deletions.push({ id: docs.previous_id, superseded_by: docs.id });
+      const prevPath = previous.get(docs.search.attachments.meta.block_number)?.path;
+      if (prevPath) rederived.add(prevPath);
+    }
     registryOut = upsertRegistry(registryOut, docs.registry);
     searchOut   = upsertSearch(searchOut, docs.search);
+    rederived.add(docs.registry.path);
+  }
+  for (const node of batch.nodes){
+    if (!rederived.has(node.path)) continue;
+    const cur = nodeByPath.get(node.path);
+    if (cur) Object.assign(cur, node);
+    else { crossOut.nodes.push(node); nodeByPath.set(node.path, node); }
+  }
+  crossOut.edges = crossOut.edges.filter(e=>!rederived.has(e.source))
+    .concat(batch.edges.filter(e=>rederived.has(e.source)));
 
-    // graph nodes/edges
-    if (!nodeByPath.has(docs.registry.path)) {
-      const node = { id: docs.registry.id, path: docs.registry.path, title: docs.registry.title, slug: docs.registry.slug };
-      crossOut.nodes.push(node); nodeByPath.set(docs.registry.path, node);
-      known.set(docs.registry.path, docs.registry.path); known.set(docs.registry.slug, docs.registry.path); known.set(docs.registry.title, docs.registry.path);
-    }
-    const linkTargets = extractRawLinks(docs.search.content).concat(sectionData.cross_links_raw || []);
-    const edges = resolveEdges(linkTargets, known).map(e=>({
-      source: docs.registry.path, target: e.target, type: "ref", status: e.status
-    }));
-    crossOut.edges.push(...edges);
-
-    // ROI
-    roiItems.push(parseROI(docs.roi_raw));
+  // `dropped` only lists blocks of this source (previousBlocks), never another file's
+  if (!keepMissing) for (const b of batch.changes.dropped) deletions.push({ id: b.id, superseded_by: null });
+  const tomb = applyDeletions({ registry: registryOut, search: searchOut, edges: crossOut.edges }, deletions);
+  registryOut = tomb.registry; searchOut = tomb.search; crossOut.edges = tomb.edges;
+  const deadIds = new Set(deletions.map(d=>d.id));
+  crossOut.nodes = crossOut.nodes.filter(n=>!deadIds.has(n.id));
+
+  // Pending/ambiguous links: every queued link is retried against the index, which now includes this run's blocks;
+  // re-ingested blocks only keep the queued links they still contain
+  const livePaths = new Set(registryOut.filter(r=>!isTombstone(r)).map(r=>r.path));
+  const deadPaths = new Set(registryOut.filter(r=>isTombstone(r) && !livePaths.has(r.path)).map(r=>r.path));
+  const pending = reconcilePending({ queue: existing.pendingLinks || null, edges: crossOut.edges, links, deadPaths, rederived });
+
+  // Per-block ROI on every live registry item: its ROI section priced by the rate cards (a rate change reprices them all)
+  const card = rateCard(rates);
+  const liveDocs = new Map(searchOut.filter(d=>!isTombstone(d)).map(d=>[d.id, d]));
+  registryOut = registryOut.map(r => {
+    if (isTombstone(r)) return r;
+    const roi = blockROI(r, liveDocs.get(r.id), card);
+    return JSON.stringify(r.roi) === JSON.stringify(roi) ? r : { ...r, roi };
+  });
+
+  // Optional see-also lists (graph proximity + tags + TF-IDF); off by default as every ingest rewrites them
+  if (relatedLimit > 0) {
+    const baked = bakeRelated(buildRelatedIndex({ search: searchOut, registry: registryOut, cross: crossOut }), { limit: relatedLimit });
+    registryOut = registryOut.map(r => !isTombstone(r) && baked.has(r.id) ? { ...r, related: baked.get(r.id) } : r);
   }
 
-  const roiAgg = aggregateROI(roiItems);
+  // Candidate links for orphan/weakly linked blocks → docs/link_suggestions.json, reviewed in the uploader
+  const linkSuggestions = suggestLinks({ registry: registryOut, search: searchOut, edges: crossOut.edges });
+
+  // ROI of the blocks this run added or changed → kb_stats.roi; of the whole KB → kb_roi_report.json
+  const ingested = new Set(batch.blocks.filter(b=>b.change !== "unchanged").map(b=>b.id));
+  const roiAgg = roiSummary(registryOut.filter(r=>!isTombstone(r) && ingested.has(r.id)).map(r=>r.roi), card);
 
   // Shard if needed
   const sharding = shardIfNeeded(searchOut);
@@ -74,13 +121,46 @@ async function compose({ rawMarkdown, existing }) {
   const manifest = sharding.manifest || null;
   const files = sharding.files || null;
 
+  // Inverted index over `tokens`, described from whichever search envelope we publish
+  const index = shardIndex(buildInvertedIndex(searchOut));
+  if (manifest) manifest.index = index.descriptor;
+  else if (searchPayload) searchPayload.index = index.descriptor;
+
   const stats = computeStats({
-    registryArr: registryOut, searchArr: searchOut,
+    registryArr: registryOut.filter(r=>!isTombstone(r)), searchArr: searchOut.filter(d=>!isTombstone(d)),
     nodes: crossOut.nodes || [], edges: crossOut.edges || [],
-    roiAgg, sourceName: "uploaded.md", sourceSha
+    roiAgg, sourceName: source || "uploaded.md", sourceSha
+  });
+  // Graph analytics: full report in kb_graph_report.json, headline counts in kb_stats.graph
+  const graphReport = analyzeGraph(crossOut, { registry: registryOut.filter(r=>!isTombstone(r)), now: stats.ts });
+  Object.assign(stats.graph, graphSummary(graphReport));
+  const roiReport = buildROIReport({ registry: registryOut, search: searchOut, rates: card, now: stats.ts });
+  // Content lint of this source's blocks (duplicates are looked for across the whole live KB) → docs/lint_report.json
+  const lintReport = lintDocs(searchOut, {
+    scope: batch.blocks.map(b => b.id), registry: registryOut, edges: crossOut.edges, profile, now: stats.ts
   });
+  stats.delta = {
+    registry_items: stats.counts.registry_items - before.registry_items,
+    search_docs: stats.counts.search_docs - before.search_docs,
+    edges: crossOut.edges.length - before.edges
+  };
+  const { added, changed, unchanged, dropped } = batch.changes;
+  stats.ingest.blocks = {
+    total: batch.blocks.length, added: added.length, changed: changed.length, unchanged: unchanged.length, dropped: dropped.length,
+    tombstoned: tomb.removed.search, edges_removed: tomb.removed.edges
+  };
+  stats.ingest.links = {
+    resolved_from_queue: pending.resolved.length, pending: pending.queue.links.length,
+    suggestions: linkSuggestions.blocks.length
+  };
+  stats.ingest.lint = { errors: lintReport.counts.errors, warnings: lintReport.counts.warnings, flagged: lintReport.counts.flagged };
 
-  return { registry: registryOut, search: searchPayload, searchManifest: manifest, searchShards: files, cross: crossOut, stats };
+  return {
+    registry: registryOut, search: searchPayload, searchManifest: manifest, searchShards: files,
+    searchIndex: { header: index.header, files: index.files },
+    cross: crossOut, graphReport, lintReport, roiReport, pendingLinks: pending.queue, resolvedLinks: pending.resolved, linkSuggestions,
+    stats, changes: batch.changes, warnings: batch.warnings
+  };
 }
 
 module.exports = { compose };
@@ -0,0 +1,132 @@
+// lib/integrity.js
+// Cross-file referential integrity of the canonicals. The JSON Schemas check registry.json, search.json
+// and cross_links.json one at a time; these checks need all three.
+// Every issue has a stable `code`, the `file` and JSON `pointer` it was found at, and a `subject` (id, slug,
+// path or edge key) that survives reordering — so a run can be compared with a baseline (the canonicals
+// currently published) and fail only on the issues a change introduces.
+//
+//   search_without_registry   live search doc whose id has no live registry item
+//   registry_missing_path     registry item without a `path`, or whose path nothing serves (no search doc with
+//                             its id, url or path; no file, when an `exists` check is given)
+//   edge_unknown_source       edge source that is not a node
+//   edge_unknown_target       resolved edge whose target is not a node (pending/ambiguous edges are queued, not broken)
+//   duplicate_id              id shared by two live registry items, or by two live search docs
+//   duplicate_slug            slug shared by two live registry items
+//   content_mismatch          search doc `content` !== attachments.raw_markdown (lossless breach)
+//   content_hash_mismatch     sha256(content) !== attachments.sha256
+// Pointers into cross_links refer to its canonical { nodes, edges } form (see normalizeGraph).
+
+const fs = require("fs");
+const path = require("path");
+const { sha256Hex, isTombstone, normalizeGraph } = require("./core");
+const { edgeKey } = require("./diff");
+const { migrateCanonicals } = require("./versions");
+
+const CODES = [
+  "search_without_registry", "registry_missing_path", "edge_unknown_source", "edge_unknown_target",
+  "duplicate_id", "duplicate_slug", "content_mismatch", "content_hash_mismatch"
+];
+const UNRESOLVED = new Set(["pending", "ambiguous"]);
+
+// Array plus the pointer prefix of its envelope: [] → "", { items:[] } → "/items"
+function listOf(o, ...keys){
+  if (Array.isArray(o)) return { arr: o, base: "" };
+  const k = keys.find(k => Array.isArray(o?.[k]));
+  return k ? { arr: o[k], base: `/${k}` } : { arr: [], base: "" };
+}
+
+const keyOf = (i) => `${i.code}\u0000${i.subject}`;
+
+/**
+ * @param {{ registry:any, search:any, cross:any }} kb - any accepted envelope; cross in any graph shape
+ * @param {{ exists?:(path:string)=>boolean, baseline?:{issues:Array}|Array }} [opts]
+ *   exists: file check for registry paths no search doc serves
+ *   baseline: an earlier result (or its issues); issues already in it are flagged `existing` and do not fail `ok`
+ * @returns {{ ok:boolean, issues:Array<{ code:string, file:string, pointer:string, subject:string, message:string, existing?:boolean }>,
+ *             counts:Object<string,number>, introduced:number }}
+ */
+function checkIntegrity({ registry, search, cross }, opts = {}){
+  const issues = [];
+  const add = (code, file, pointer, subject, message) => issues.push({ code, file, pointer, subject: String(subject), message });
+
+  const reg = listOf(registry, "items", "docs", "registry");
+  const sea = listOf(search, "docs", "items");
+  const graph = normalizeGraph(cross, { registry: reg.arr });
+
+  // duplicates (live entries only: a tombstone may share its id with the revived entry it was merged into)
+  const dupes = (arr, base, file, field, code) => {
+    const first = new Map();
+    arr.forEach((x, i) => {
+      if (!x || isTombstone(x) || x[field] == null) return;
+      const v = String(x[field]);
+      if (first.has(v)) add(code, file, `${base}/${i}/${field}`, v, `${field} "${v}" also used at ${base}/${first.get(v)}`);
+      else first.set(v, i);
+    });
+  };
+  dupes(reg.arr, reg.base, "registry", "id", "duplicate_id");
+  dupes(reg.arr, reg.base, "registry", "slug", "duplicate_slug");
+  dupes(sea.arr, sea.base, "search", "id", "duplicate_id");
+
+  // search ↔ registry
+  const regIds = new Set(reg.arr.filter(r => r && !isTombstone(r)).map(r => String(r.id)));
+  const served = new Set();
+  sea.arr.forEach((d, i) => {
+    if (!d || isTombstone(d)) return;
+    served.add(String(d.id));
+    for (const p of [d.path, d.url]) if (p) served.add(String(p));
+    if (!regIds.has(String(d.id))) add("search_without_registry", "search", `${sea.base}/${i}/id`, d.id, `search doc "${d.id}" has no registry item`);
+
+    const raw = d.attachments?.raw_markdown;
+    if (typeof d.content === "string" && raw !== undefined && d.content !== raw) {
+      add("content_mismatch", "search", `${sea.base}/${i}/content`, d.id, `content !== attachments.raw_markdown for "${d.id}"`);
+    } else if (typeof d.content === "string" && d.attachments?.sha256 && sha256Hex(d.content) !== d.attachments.sha256) {
+      add("content_hash_mismatch", "search", `${sea.base}/${i}/attachments/sha256`, d.id, `sha256(content) does not match attachments.sha256 for "${d.id}"`);
+    }
+  });
+  reg.arr.forEach((r, i) => {
+    if (!r || isTombstone(r)) return;
+    if (!r.path) return add("registry_missing_path", "registry", `${reg.base}/${i}`, r.id, `registry item "${r.id}" has no path`);
+    if (served.has(String(r.id)) || served.has(String(r.path)) || (opts.exists && opts.exists(r.path))) return;
+    add("registry_missing_path", "registry", `${reg.base}/${i}/path`, r.path, `nothing serves "${r.path}" (no search doc, no file)`);
+  });
+
+  // edges ↔ nodes
+  const nodes = new Set();
+  for (const n of graph.nodes) { if (n.path != null) nodes.add(String(n.path)); if (n.id != null) nodes.add(String(n.id)); }
+  graph.edges.forEach((e, i) => {
+    if (!nodes.has(String(e.source))) add("edge_unknown_source", "cross_links", `/edges/${i}/source`, edgeKey(e), `edge source "${e.source}" is not a node`);
+    if (!UNRESOLVED.has(e.status) && !nodes.has(String(e.target))) add("edge_unknown_target", "cross_links", `/edges/${i}/target`, edgeKey(e), `edge target "${e.target}" is not a node`);
+  });
+
+  const known = new Set((Array.isArray(opts.baseline) ? opts.baseline : opts.baseline?.issues || []).map(keyOf));
+  if (known.size) for (const i of issues) if (known.has(keyOf(i))) i.existing = true;
+  const counts = {};
+  for (const i of issues) counts[i.code] = (counts[i.code] || 0) + 1;
+  const introduced = issues.filter(i => !i.existing).length;
+  return { ok: introduced === 0, issues, counts, introduced };
+}
+
+// `exists` check for registry paths: served from the repo root or from docs/ (viewer, exported Markdown)
+function fileExists(root){
+  return (p) => {
+    const rel = String(p).replace(/^\.?\/+/, "");
+    if (!rel || rel.split(/[\\/]/).includes("..")) return false;
+    return [rel, path.join("docs", rel)].some(f => fs.existsSync(path.join(root, f)));
+  };
+}
+
+// Published canonicals in a docs/ directory (single search.json or manifest + shards); missing files → null.
+// They come back at the current schema version (lib/versions.js), as payloads are compared after migration too.
+// readFile(relativePath) → text lets callers read another source (e.g. `git show <ref>:docs/...`).
+function readCanonicals(docsDir, readFile = (f) => fs.readFileSync(path.join(docsDir, f), "utf8")){
+  const read = (f) => { try { return JSON.parse(readFile(f)); } catch { return null; } };
+  let search = read("search.json");
+  if (!search) {
+    const man = read("search/index.json");
+    search = man ? { docs: (man.shards || []).flatMap(s => listOf(read(`search/${s.file}`), "docs", "items").arr) } : null;
+  }
+  const kb = migrateCanonicals({ registry: read("registry.json"), search, cross: read("cross_links.json") });
+  return { registry: kb.registry, search: kb.search, cross: kb.cross };
+}
+
+module.exports = { checkIntegrity, fileExists, readCanonicals, CODES };
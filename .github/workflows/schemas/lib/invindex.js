@@ -0,0 +1,83 @@
+// lib/invindex.js
+// Compact inverted index over search doc `tokens`: term → postings [docOrdinal, tf, docOrdinal, tf, ...].
+// Doc ordinals resolve through the header's `docs` table ([id, tokenCount]) so postings stay small.
+// Term shards are packed greedily in sorted term order, so each shard covers a contiguous [from, to] range.
+
+const { docTokens } = require("./normalize");
+const { isTombstone } = require("./core");
+
+const FORMAT = "kb.invindex/1";
+const HEADER_FILE = "terms.json";
+
+function byteLen(obj){ return Buffer.byteLength(JSON.stringify(obj)); }
+
+/**
+ * Build the full (unsharded) index.
+ * @param {Array<object>} searchArray - canonical search docs
+ * @returns {{ docs: Array<[string, number]>, avg_len: number, postings: Map<string, number[]> }}
+ */
+function buildInvertedIndex(searchArray){
+  const docs = [];
+  const postings = new Map();
+  let total = 0;
+  for (const d of searchArray) {
+    if (!d || typeof d !== "object" || d.id == null || isTombstone(d)) continue;
+    const list = docTokens(d);
+    const ord = docs.length;
+    docs.push([String(d.id), list.length]);
+    total += list.length;
+    const tf = new Map();
+    for (const t of list) tf.set(t, (tf.get(t) || 0) + 1);
+    for (const [t, n] of tf) {
+      if (!postings.has(t)) postings.set(t, []);
+      postings.get(t).push(ord, n);
+    }
+  }
+  const avg_len = docs.length ? Math.round((total / docs.length) * 100) / 100 : 0;
+  return { docs, avg_len, postings };
+}
+
+/**
+ * Split postings into term-range shards (same budgets as shardIfNeeded).
+ * @returns {{ header: object, files: Array<{file:string, data:object, count:number}>, descriptor: object }}
+ */
+function shardIndex(index, targetMB=3, softCapMB=5){
+  const maxB = softCapMB*1024*1024, targetB = targetMB*1024*1024;
+  const terms = Array.from(index.postings.keys()).sort();
+
+  const shards = []; let cur = {}; let curN = 0; let curB = 14; // {"postings":{}}
+  const all = {};
+  for (const t of terms) all[t] = index.postings.get(t);
+  if (byteLen({ postings: all }) <= maxB) shards.push(all);
+  else {
+    for (const t of terms) {
+      const entryB = byteLen(t) + byteLen(all[t]) + 2;
+      if (curB + entryB > targetB && curN) { shards.push(cur); cur = {}; curN = 0; curB = 14; }
+      cur[t] = all[t]; curN++; curB += entryB;
+    }
+    if (curN) shards.push(cur);
+  }
+
+  const files = shards.map((postings, i)=>{
+    const keys = Object.keys(postings);
+    return { file:`terms-${i+1}.json`, data:{ postings }, count:keys.length, from:keys[0] || "", to:keys[keys.length-1] || "" };
+  });
+  const header = {
+    format: FORMAT,
+    total_docs: index.docs.length,
+    total_terms: terms.length,
+    avg_len: index.avg_len,
+    docs: index.docs,
+    shards: files.map(f=>({ file:f.file, from:f.from, to:f.to, count:f.count }))
+  };
+  // Small pointer embedded in search.json / search/index.json so consumers can find the index.
+  const descriptor = { format: FORMAT, header: `search/${HEADER_FILE}`, total_terms: terms.length, shards: files.length };
+  return { header, files: files.map(({ file, data, count })=>({ file, data, count })), descriptor };
+}
+
+/** Which shard holds a term (header.shards are sorted, non-overlapping ranges). */
+function shardForTerm(header, term){
+  return (header.shards || []).find(s => term >= s.from && term <= s.to) || null;
+}
+
+module.exports = { buildInvertedIndex, shardIndex, shardForTerm, FORMAT, HEADER_FILE };
@@ -0,0 +1,187 @@
+// lib/lint.js
+// Block-level content lint (docs/lint_report.json). Every live block in scope is checked for:
+//
+//   missing_section     nothing under a required section (profile lint.required_sections; blocks this pipeline ingested)
+//   empty_tags          no tags
+//   duplicate           same words as another live block, or an estimated shingle similarity ≥ 0.9
+//   near_duplicate      estimated shingle similarity ≥ 0.7
+//   too_short/too_long  word count outside the profile's min_words..max_words
+//   broken_link         cross-link that resolves to nothing (pending) or to a block that is no longer live
+//   ambiguous_link      cross-link with several candidate targets
+//   header_convention   header line not matching the profile's header_pattern ("## Block N — Title")
+//
+// Similarity is the Jaccard index of the blocks' 5-word shingles, estimated from bottom-k MinHash sketches so
+// a block is only compared with the blocks sharing enough of its sketch. Severities default to RULES; a
+// profile's lint.severity overrides them ("off" drops the rule). /api/kb/commit can refuse a payload whose
+// new or changed blocks have errors.
+
+const { isTombstone, docTokens, ingestProfile } = require("./core");
+
+const FORMAT = "kb.lint/1";
+const RULES = {
+  missing_section: "warning", empty_tags: "warning", duplicate: "error", near_duplicate: "warning",
+  too_short: "warning", too_long: "warning", broken_link: "error", ambiguous_link: "warning", header_convention: "warning"
+};
+const SHINGLE = 5, SKETCH = 64;
+const DUPLICATE = 0.9, NEAR = 0.7;
+// required section key → attachments.sections field it is stored in (others are stored under their own key)
+const FIELD = { roi_takeaway: "roi_raw", roi: "roi_raw", tags: "tags_raw", cross_links: "cross_links_raw" };
+
+// 32-bit FNV-1a
+function fnv(s){
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) { h ^= s.charCodeAt(i); h = Math.imul(h, 0x01000193); }
+  return h >>> 0;
+}
+
+// Bottom-k sketch: the SKETCH smallest shingle hashes, ascending (a block shorter than a shingle is one shingle)
+function sketch(words){
+  const hs = new Set();
+  if (words.length <= SHINGLE) { if (words.length) hs.add(fnv(words.join(" "))); }
+  else for (let i = 0; i + SHINGLE <= words.length; i++) hs.add(fnv(words.slice(i, i + SHINGLE).join(" ")));
+  return [...hs].sort((a, b) => a - b).slice(0, SKETCH);
+}
+
+// Jaccard estimate: share of the union's SKETCH smallest hashes that are in both sketches
+function similarity(a, b){
+  let i = 0, j = 0, n = 0, both = 0;
+  while (n < SKETCH && (i < a.length || j < b.length)) {
+    if (j >= b.length || (i < a.length && a[i] < b[j])) i++;
+    else if (i >= a.length || b[j] < a[i]) j++;
+    else { both++; i++; j++; }
+    n++;
+  }
+  return n ? both / n : 0;
+}
+
+const filled = (v) => Array.isArray(v) ? v.length > 0 : String(v ?? "").trim() !== "";
+
+/**
+ * @param {Array<object>} docs - search docs (tombstones skipped); duplicates are looked for among all of them
+ * @param {{ scope?:Iterable<string>, registry?:Array, edges?:Array, profile?:object, profiles?:object, now?:string }} [opts]
+ *   scope: ids of the blocks to report on (default: every live doc), e.g. the blocks of one ingest or one commit
+ *   registry: registry items (block paths; live paths are the link targets that exist); edges: cross_links edges
+ *   profile: ingestion profile whose lint rules apply (default: the master rules); profiles: schemas/ingest_profiles.json,
+ *     to lint a block by the profile it was ingested with (attachments.meta.profile)
+ * @returns {{ format:string, generated_at:string, ok:boolean,
+ *             counts:{ blocks:number, flagged:number, errors:number, warnings:number, info:number, by_rule:Object<string,number> },
+ *             blocks:Array<{ id:string, path:string|null, title:string|null, block_number?:number,
+ *                            issues:Array<{ rule:string, severity:string, message:string }> }> }}
+ */
+function lintDocs(docs, opts = {}){
+  const live = (docs || []).filter(d => d && d.id != null && !isTombstone(d));
+  const scope = opts.scope ? new Set([...opts.scope].map(String)) : null;
+  const registry = (opts.registry || []).filter(r => r && !isTombstone(r));
+  const pathOf = new Map(registry.map(r => [String(r.id), r.path]));
+  const targets = new Set(registry.flatMap(r => [r.path, r.id].filter(x => x != null).map(String)));
+
+  const base = ingestProfile(opts.profile || opts.profiles || null);
+  const byName = new Map();
+  const profileFor = (d) => {
+    const name = d.attachments?.meta?.profile;
+    if (!name || !opts.profiles) return base;
+    if (!byName.has(name)) { try { byName.set(name, ingestProfile(opts.profiles, name)); } catch { byName.set(name, base); } }
+    return byName.get(name);
+  };
+
+  const edgesFrom = new Map();
+  for (const e of opts.edges || []) {
+    if (!e || e.source == null) continue;
+    const s = String(e.source);
+    if (!edgesFrom.has(s)) edgesFrom.set(s, []);
+    edgesFrom.get(s).push(e);
+  }
+
+  // sketches of every live block, and an index from sketch hash to the blocks holding it
+  const words = live.map(d => docTokens(d));
+  const sketches = words.map(sketch);
+  const holders = new Map();
+  sketches.forEach((sk, i) => { for (const h of sk) { if (!holders.has(h)) holders.set(h, []); holders.get(h).push(i); } });
+  const closest = (i) => {
+    const shared = new Map();
+    for (const h of sketches[i]) for (const j of holders.get(h)) if (j !== i) shared.set(j, (shared.get(j) || 0) + 1);
+    let best = null;
+    for (const [j, n] of shared) {
+      if (n < NEAR * Math.min(sketches[i].length, sketches[j].length)) continue; // cannot reach NEAR
+      const sim = similarity(sketches[i], sketches[j]);
+      if (sim >= NEAR && (!best || sim > best.sim)) best = { j, sim };
+    }
+    return best;
+  };
+
+  const counts = { blocks: 0, flagged: 0, errors: 0, warnings: 0, info: 0, by_rule: {} };
+  const blocks = [];
+  live.forEach((d, i) => {
+    if (scope && !scope.has(String(d.id))) return;
+    counts.blocks++;
+    const profile = profileFor(d);
+    const rules = profile.lint || ingestProfile(null).lint;
+    const issues = [];
+    const add = (rule, message, extra) => {
+      const severity = rules.severity[rule] || RULES[rule];
+      if (severity === "off") return;
+      issues.push({ rule, severity, message, ...extra });
+    };
+    const meta = d.attachments?.meta || {};
+    const path = pathOf.get(String(d.id)) ?? d.url ?? d.path ?? null;
+
+    const secs = d.attachments?.sections;
+    if (secs && typeof secs === "object") {
+      for (const group of rules.required) {
+        if (group.some(s => filled(secs[FIELD[s.key] || s.key]))) continue;
+        add("missing_section", `missing section ${group.map(s => `"${s.label}"`).join(" or ")}`, { sections: group.map(s => s.key) });
+      }
+    }
+    if (!Array.isArray(d.tags) || !d.tags.length) add("empty_tags", "no tags");
+
+    const n = words[i].length;
+    if (n < rules.min_words) add("too_short", `${n} word(s), fewer than ${rules.min_words}`, { words: n });
+    if (n > rules.max_words) add("too_long", `${n} words, more than ${rules.max_words}`, { words: n });
+
+    const dup = n ? closest(i) : null;
+    if (dup) {
+      const o = live[dup.j], same = words[dup.j].join(" ") === words[i].join(" ");
+      const other = { id: o.id, path: pathOf.get(String(o.id)) ?? o.url ?? o.path ?? null, title: o.title ?? null };
+      const sim = Math.round(dup.sim * 100) / 100;
+      if (same || dup.sim >= DUPLICATE) add("duplicate", `${same ? "same content as" : `${Math.round(dup.sim * 100)}% similar to`} ${other.path || other.id}`, { similarity: same ? 1 : sim, other });
+      else add("near_duplicate", `${Math.round(dup.sim * 100)}% similar to ${other.path || other.id}`, { similarity: sim, other });
+    }
+
+    for (const e of path != null ? edgesFrom.get(String(path)) || [] : []) {
+      const raw = e.raw ?? e.target;
+      if (e.status === "ambiguous") add("ambiguous_link", `link "${raw}" matches ${(e.candidates || []).length || "several"} blocks`, { target: raw, candidates: e.candidates || [] });
+      else if (e.status === "pending") add("broken_link", `link "${raw}" matches no block`, { target: raw });
+      else if (targets.size && !targets.has(String(e.target))) add("broken_link", `link to "${e.target}" points at no live block`, { target: e.target });
+    }
+
+    if (rules.header && typeof meta.header_line === "string" && !rules.header.test(meta.header_line.trim())) {
+      add("header_convention", `header "${meta.header_line.trim().slice(0, 80)}" does not match ${rules.header}`, { header: meta.header_line.trim() });
+    }
+
+    if (!issues.length) return;
+    counts.flagged++;
+    for (const x of issues) {
+      counts[x.severity === "error" ? "errors" : x.severity === "warning" ? "warnings" : "info"]++;
+      counts.by_rule[x.rule] = (counts.by_rule[x.rule] || 0) + 1;
+    }
+    blocks.push({ id: d.id, path, title: d.title ?? null, ...(meta.block_number != null ? { block_number: meta.block_number } : {}), issues });
+  });
+
+  return { format: FORMAT, generated_at: opts.now || new Date().toISOString(), ok: counts.errors === 0, counts, blocks };
+}
+
+/** Plain-text rendering for terminals and logs (errors first). */
+function renderLint(report, opts = {}){
+  const max = opts.maxIssues ?? 20;
+  const c = report.counts;
+  const lines = [`KB lint: ${report.ok ? "PASSED" : "FAILED"} — ${c.errors} error(s), ${c.warnings} warning(s) in ${c.flagged} of ${c.blocks} block(s)`];
+  const rank = { error: 0, warning: 1, info: 2 };
+  const all = report.blocks.flatMap(b => b.issues.map(x => ({ b, x }))).sort((p, q) => rank[p.x.severity] - rank[q.x.severity]);
+  for (const { b, x } of all.slice(0, max)) {
+    lines.push(`  ${x.severity === "error" ? "✖" : x.severity === "warning" ? "⚠" : "ℹ"} ${b.path || b.id}${b.block_number != null ? ` (block ${b.block_number})` : ""}: ${x.rule} — ${x.message}`);
+  }
+  if (all.length > max) lines.push(`  … ${all.length - max} more`);
+  return lines.join("\n");
+}
+
+module.exports = { lintDocs, renderLint, RULES, FORMAT };
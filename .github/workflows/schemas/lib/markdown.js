@@ -0,0 +1,3 @@
+// Implementation lives in the isomorphic core (shared with the uploader and the static viewer).
+const { parseMarkdown, mdInline, mdText, mdOutline, mdLinks, mdImages } = require("./core");
+module.exports = { parseMarkdown, mdInline, mdText, mdOutline, mdLinks, mdImages };
@@ -0,0 +1,152 @@
+// lib/migrate.js
+// Legacy → canonical ID migration. Before lib/core.js the uploader (parseMarkdown.ts) and the static
+// viewer (docs/index.html) minted their own IDs and paths; this maps them onto the canonical scheme
+// by re-running each legacy segmentation over the same Markdown and locating its blocks in the core's.
+//   uploader: id "block-N" (or yaml id), path blocks/block-N-<slug>.md, edge source /blocks/block-N-<slug>
+//   viewer:   id sha256(fileName|index|title|block), edges keyed by that id
+
+const { ingestMarkdown, segmentIntoBlocks, sha256Hex, parseFencedYaml } = require("./core");
+
+const FORMAT = "kb.idmap/1";
+
+// ---- uploader (parseMarkdown.ts before the core) ----
+const uploaderSlug = (s) => s.trim().toLowerCase()
+  .replace(/[—–]/g, "-").normalize("NFKD")
+  .replace(/[^a-z0-9 \-_/]/g, "").replace(/\//g, "-")
+  .replace(/\s+/g, "-").replace(/-+/g, "-").replace(/^-|-$/g, "");
+
+function uploaderBlocks(md){
+  const last = new Map();
+  for (const m of md.matchAll(/^##\s*Block\s+(\d+)\s*[—–-]\s*(.+)$/mg)) last.set(Number(m[1]), { title: m[2].trim(), idx: m.index });
+  const ordered = [...last.entries()].map(([num, v]) => ({ num, ...v })).sort((a, b) => a.idx - b.idx);
+  return ordered.map((h, i) => {
+    const block = md.slice(h.idx, i + 1 < ordered.length ? ordered[i + 1].idx : md.length).trim();
+    const yaml = parseFencedYaml(block);
+    const slug = uploaderSlug(String(yaml.title || h.title)) || `block-${h.num}`;
+    const base = `blocks/block-${h.num}-${slug}`;
+    return {
+      at: h.idx, num: h.num,
+      id: String(yaml.id || `block-${h.num}`).toLowerCase(),
+      paths: [`${base}.md`, `./${base}.md`, `/${base}`]
+    };
+  });
+}
+
+// ---- static viewer (docs/index.html before the core) ----
+function viewerBlocks(md, fileName){
+  const fences = [];
+  const fenced = md.replace(/```([\s\S]*?)```/g, (m) => { fences.push(m); return `__FENCE_${fences.length - 1}__`; });
+  const lines = fenced.split(/\r?\n/);
+  const blocks = [];
+  let cur = [];
+  for (let i = 0; i < lines.length; i++) {
+    if (i > 0 && (/^#{1,3}\s+.+/.test(lines[i]) || /^\s*(?:-{3,}|\*{3,}|_{3,})\s*$/.test(lines[i])) && cur.length) { blocks.push(cur.join("\n")); cur = []; }
+    cur.push(lines[i]);
+  }
+  if (cur.length) blocks.push(cur.join("\n"));
+  const restored = blocks.map(b => b.replace(/__FENCE_(\d+)__/g, (_, i) => fences[+i]).trim()).filter(Boolean);
+
+  const fallback = fileName.replace(/\.(md|markdown|txt)$/i, "");
+  let cursor = 0;
+  return restored.map((block, i) => {
+    const h = block.match(/^#{1,6}\s+(.+)/);
+    const first = block.split(/\n/)[0].trim();
+    const title = h ? h[1].trim() : (first ? (first.length > 120 ? first.slice(0, 120) + "…" : first) : fallback);
+    const at = Math.max(cursor, md.indexOf(block.split("\n")[0], cursor));
+    cursor = at + 1;
+    return { at, id: sha256Hex(fileName + "|" + i + "|" + title + "|" + block) };
+  });
+}
+
+/**
+ * Build the legacy → canonical map for one Markdown source.
+ * @param {string} raw - the Markdown that was ingested by the legacy tools
+ * @param {object} [opts]
+ * @param {string} [opts.fileName] - file name the viewer saw (part of its IDs)
+ * @param {Array<object>} [opts.registry] - current canonical registry; its paths win over recomputed ones
+ * @returns {{ ids:Object<string,string>, paths:Object<string,string>,
+ *             entries:Array<{ scheme:string, old:string, id:string, path:string }> }}
+ */
+function legacyIdMap(raw, opts = {}){
+  const pathById = new Map((opts.registry || []).map(r => [r.id, r.path]));
+  const core = ingestMarkdown(raw, { now: "1970-01-01T00:00:00.000Z" });
+  const starts = segmentIntoBlocks(raw).map((b, i) => ({ at: b.start, d: core.blocks[i] }));
+  // core blocks are contiguous slices; the one containing offset `pos` owns the legacy block
+  // (text before the first block header belongs to none)
+  const owner = (pos) => { let hit = null; for (const s of starts) if (s.at <= pos) hit = s; return hit && hit.d; };
+
+  const out = { ids: {}, paths: {}, entries: [] };
+  const add = (scheme, old, d, isPath) => {
+    if (!d) return;
+    const path = pathById.get(d.id) || d.path;
+    (isPath ? out.paths : out.ids)[old] = isPath ? path : d.id;
+    out.entries.push({ scheme, old, id: d.id, path });
+  };
+  for (const b of uploaderBlocks(raw)) {
+    const d = owner(b.at);
+    add("uploader", b.id, d, false);
+    for (const p of b.paths) add("uploader-path", p, d, true);
+  }
+  if (opts.fileName) for (const b of viewerBlocks(raw, opts.fileName)) add("viewer", b.id, owner(b.at), false);
+  return out;
+}
+
+/**
+ * Rewrite legacy IDs/paths in canonical collections. Legacy entries whose canonical doc already
+ * exists are folded into it (their old ID is kept in `legacy_ids`).
+ * @returns {{ registry:Array, search:Array, cross:{nodes:Array, edges:Array}, changed:{registry:number, search:number, edges:number} }}
+ */
+function applyIdMap({ registry = [], search = [], cross = {} }, map){
+  const ids = map.ids || {}, paths = map.paths || {};
+  const pathById = new Map(registry.filter(r => !ids[r.id]).map(r => [r.id, r.path]));
+  for (const e of map.entries || []) if (!pathById.has(e.id)) pathById.set(e.id, e.path);
+  const changed = { registry: 0, search: 0, edges: 0 };
+
+  const remap = (arr, pathKey, counter) => {
+    const byId = new Map();
+    for (const it of arr) {
+      let next = it;
+      if (ids[it.id]) next = { ...it, id: ids[it.id], legacy_ids: [...(it.legacy_ids || []), it.id] };
+      if (pathKey && paths[next[pathKey]]) next = { ...next, [pathKey]: paths[next[pathKey]] };
+      if (next !== it) changed[counter]++;
+      const cur = byId.get(next.id);
+      if (!cur) { byId.set(next.id, next); continue; }
+      // keep the canonical entry, remember the legacy ID
+      const [keep, drop] = ids[it.id] ? [cur, next] : [next, cur];
+      const legacy = [...new Set([...(keep.legacy_ids || []), ...(drop.legacy_ids || [])])];
+      byId.set(next.id, legacy.length ? { ...keep, legacy_ids: legacy } : keep);
+    }
+    return [...byId.values()];
+  };
+
+  const endpoint = (x) => paths[x] || (ids[x] && pathById.get(ids[x])) || x;
+  const edges = (cross.edges || []).map(e => {
+    const source = endpoint(e.source), target = endpoint(e.target);
+    if (source === e.source && target === e.target) return e;
+    changed.edges++;
+    return { ...e, source, target, ...(e.status === "pending" && target !== e.target ? { status: "ok" } : {}) };
+  });
+  const nodes = (cross.nodes || []).map(n => ids[n.id] ? { ...n, id: ids[n.id], path: pathById.get(ids[n.id]) || n.path } : n);
+
+  return {
+    registry: remap(registry, "path", "registry"),
+    search: remap(search, "url", "search"),
+    cross: { ...cross, nodes, edges },
+    changed
+  };
+}
+
+/** Fold a new map into a previously published one (docs/id_map.json). */
+function mergeIdMaps(prev, next){
+  const seen = new Set();
+  const entries = [...(prev?.entries || []), ...(next.entries || [])].reverse()
+    .filter(e => !seen.has(e.scheme + "\u0000" + e.old) && seen.add(e.scheme + "\u0000" + e.old)).reverse();
+  return {
+    format: FORMAT,
+    ids: { ...(prev?.ids || {}), ...next.ids },
+    paths: { ...(prev?.paths || {}), ...next.paths },
+    entries
+  };
+}
+
+module.exports = { legacyIdMap, applyIdMap, mergeIdMaps, FORMAT };
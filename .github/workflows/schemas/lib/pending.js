@@ -0,0 +1,61 @@
+// lib/pending.js
+// Persisted queue of unresolved cross-links (docs/pending_links.json). Every ingest re-resolves the
+// whole queue against the link index, so a link waiting for a block resolves as soon as it lands.
+
+const FORMAT = "kb.pending/1";
+const UNRESOLVED = new Set(["pending", "ambiguous"]);
+
+const rawOf = (e) => e.raw ?? e.target;
+const keyOf = (source, raw, type) => `${source}\u0000${raw}\u0000${type || "ref"}`;
+
+/**
+ * @param {object} args
+ * @param {{links?:Array}|null} args.queue - previous pending_links.json (null → seeded from unresolved edges)
+ * @param {Array<object>} args.edges - cross_links edges after this ingest (updated in place)
+ * @param {object} args.links - createLinkIndex() over the live KB
+ * @param {Set<string>} [args.deadPaths] - tombstoned paths; their queued links are dropped
+ * @param {Set<string>} [args.rederived] - paths whose edges this ingest rebuilt: their queued links are kept only while
+ *   the block still has them (an unresolved edge), so a link removed from the block is not brought back
+ * @param {string} [args.now]
+ * @returns {{ queue:{ format:string, updated_at:string, links:Array<object> }, resolved:Array<object> }}
+ */
+function reconcilePending({ queue, edges, links, deadPaths = new Set(), rederived = new Set(), now = new Date().toISOString() }){
+  const queued = new Map((queue?.links || []).map(l => [keyOf(l.source, l.raw, l.type), l]));
+  const entries = new Map();
+  for (const e of edges) {
+    if (!UNRESOLVED.has(e.status)) continue;
+    const k = keyOf(e.source, rawOf(e), e.type);
+    if (!entries.has(k)) entries.set(k, queued.has(k) ? { ...queued.get(k) } : { source: e.source, raw: rawOf(e), type: e.type || "ref", first_seen: now });
+  }
+  for (const [k, l] of queued) if (!entries.has(k) && !rederived.has(l.source)) entries.set(k, { ...l });
+
+  // unresolved edges by (source, raw, type) so a resolution updates the edge instead of adding a duplicate
+  const edgeByKey = new Map();
+  for (const e of edges) if (UNRESOLVED.has(e.status)) edgeByKey.set(keyOf(e.source, rawOf(e), e.type), e);
+
+  const pending = [], resolved = [];
+  for (const [k, l] of entries) {
+    if (deadPaths.has(l.source)) continue;
+    const r = links.resolve(l.raw);
+    if (r.status === "external") continue;
+    let edge = edgeByKey.get(k);
+    if (!edge) { edge = { source: l.source, target: l.raw, type: l.type || "ref", raw: l.raw }; edges.push(edge); }
+
+    if (r.status === "ok") {
+      Object.assign(edge, { target: r.target, status: "ok", confidence: r.confidence });
+      delete edge.raw; delete edge.candidates;
+      resolved.push({ source: l.source, raw: l.raw, type: edge.type, target: r.target, confidence: r.confidence });
+      continue;
+    }
+    Object.assign(edge, { target: l.raw, status: r.status, confidence: r.confidence, raw: l.raw });
+    if (r.candidates.length) edge.candidates = r.candidates; else delete edge.candidates;
+    pending.push({
+      source: l.source, raw: l.raw, type: edge.type, status: r.status, confidence: r.confidence, candidates: r.candidates,
+      first_seen: l.first_seen || now, last_tried: now
+    });
+  }
+  pending.sort((a, b) => a.source.localeCompare(b.source) || a.raw.localeCompare(b.raw));
+  return { queue: { format: FORMAT, updated_at: now, links: pending }, resolved };
+}
+
+module.exports = { reconcilePending, FORMAT };
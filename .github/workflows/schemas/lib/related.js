@@ -0,0 +1,172 @@
+// lib/related.js
+// "See also" ranking per block, blending three signals:
+//   graph  — proximity in cross_links.json (direct link 1, two hops 0.5, either direction)
+//   tags   — Jaccard overlap of registry/search tags
+//   text   — TF-IDF cosine similarity over the search `tokens`
+// Every result carries its per-signal scores and a human-readable reason for each signal that fired.
+
+const { docTokens } = require("./normalize");
+const { isTombstone } = require("./core");
+const { buildGraph } = require("./graph");
+
+const DEFAULT_WEIGHTS = { graph: 0.4, tags: 0.2, text: 0.4 };
+const HOP_SCORE = [0, 1, 0.5];
+const round = (x) => Math.round(x * 1e4) / 1e4;
+const listOf = (o, ...keys) => Array.isArray(o) ? o : (keys.map(k => o && o[k]).find(Array.isArray) || []);
+
+/**
+ * Precompute TF-IDF vectors, tag sets and the graph once per set of canonicals.
+ * @param {{ search:any, registry?:any, cross?:any }} canonicals - docs in any accepted envelope
+ */
+function buildRelatedIndex({ search, registry, cross }){
+  const regById = new Map(listOf(registry, "items", "docs", "registry").filter(r => r && !isTombstone(r)).map(r => [r.id, r]));
+  const entries = [];
+  const seen = new Set();
+  const add = (doc, reg) => {
+    const id = doc?.id ?? reg?.id;
+    if (id == null || seen.has(id)) return;
+    seen.add(id);
+    const tags = new Set([...(reg?.tags || []), ...(doc?.tags || [])].map(t => String(t).toLowerCase()));
+    const terms = docTokens(doc || { title: `${reg.title || ""} ${reg.description || reg.summary || ""}` });
+    entries.push({
+      id, title: reg?.title ?? doc?.title ?? null,
+      path: reg?.path ?? doc?.url ?? null, slug: reg?.slug ?? null,
+      keys: [reg?.path, id, doc?.url, reg?.id].filter(k => k != null).map(String),
+      tags, terms
+    });
+  };
+  for (const d of listOf(search, "docs", "items")) if (d && !isTombstone(d)) add(d, regById.get(d.id));
+  for (const r of regById.values()) add(null, r);
+
+  // TF-IDF: (1 + log tf) · log(N / df), L2-normalised; postings let one query touch only shared terms
+  const df = new Map();
+  for (const e of entries) for (const t of new Set(e.terms)) df.set(t, (df.get(t) || 0) + 1);
+  const N = entries.length || 1;
+  const postings = new Map();
+  entries.forEach((e, i) => {
+    const tf = new Map();
+    for (const t of e.terms) tf.set(t, (tf.get(t) || 0) + 1);
+    const vec = new Map();
+    let norm = 0;
+    for (const [t, n] of tf) {
+      const w = (1 + Math.log(n)) * Math.log(N / df.get(t));
+      if (w > 0) { vec.set(t, w); norm += w * w; }
+    }
+    norm = Math.sqrt(norm) || 1;
+    for (const [t, w] of vec) {
+      vec.set(t, w / norm);
+      if (!postings.has(t)) postings.set(t, []);
+      postings.get(t).push([i, w / norm]);
+    }
+    e.vec = vec;
+    delete e.terms;
+  });
+
+  const graph = buildGraph(cross || {});
+  const byKey = new Map();
+  entries.forEach((e, i) => { for (const k of e.keys) if (!byKey.has(k)) byKey.set(k, i); });
+  if (entries.some(e => e.slug)) entries.forEach((e, i) => { if (e.slug && !byKey.has(e.slug)) byKey.set(e.slug, i); });
+  return { entries, postings, graph, byKey };
+}
+
+// Neighbours within two hops of any of the entry's graph keys: entry index → { hops, via, types }
+function graphNeighbours(index, entry){
+  const { graph, byKey } = index;
+  const start = entry.keys.find(k => graph.nodes.has(k));
+  const out = new Map();
+  if (!start) return out;
+  const step = (node) => {
+    const res = [];
+    for (const t of graph.out.get(node) || []) res.push([t, graph.types.get(`${node}\u0000${t}`) || []]);
+    for (const s of graph.in.get(node) || []) res.push([s, graph.types.get(`${s}\u0000${node}`) || []]);
+    return res;
+  };
+  const name = (node) => { const i = byKey.get(node); return i === undefined ? node : (index.entries[i].title || node); };
+  const visit = (node, hops, via, types) => {
+    const i = byKey.get(node);
+    if (i === undefined || index.entries[i] === entry || out.has(i)) return;
+    out.set(i, { hops, via, types });
+  };
+  const first = step(start);
+  for (const [n, types] of first) visit(n, 1, null, types);
+  for (const [mid] of first) for (const [n] of step(mid)) if (n !== start) visit(n, 2, name(mid), []);
+  return out;
+}
+
+/**
+ * Ranked, explained "see also" list for one block.
+ * @param {object} index - from buildRelatedIndex
+ * @param {string} id - block id, path or slug
+ * @param {{ limit?:number, weights?:object, minScore?:number }} [opts]
+ * @returns {{ id:string, title:string|null, items:Array<object> } | null} - null when the block is unknown
+ */
+function related(index, id, opts = {}){
+  const i = index.byKey.get(String(id));
+  if (i === undefined) return null;
+  const me = index.entries[i];
+  const weights = { ...DEFAULT_WEIGHTS, ...(opts.weights || {}) };
+  const limit = Math.min(100, Math.max(1, Number(opts.limit) || 10));
+  const minScore = opts.minScore ?? 0.05;
+
+  // text: accumulate dot products over shared terms, remembering the strongest ones for the explanation
+  const text = new Map();
+  for (const [t, w] of me.vec) {
+    for (const [j, w2] of index.postings.get(t) || []) {
+      if (j === i) continue;
+      const cur = text.get(j) || { score: 0, terms: [] };
+      cur.score += w * w2;
+      cur.terms.push([t, w * w2]);
+      text.set(j, cur);
+    }
+  }
+  const near = graphNeighbours(index, me);
+  const candidates = new Set([...text.keys(), ...near.keys()]);
+  if (me.tags.size) index.entries.forEach((e, j) => { if (j !== i && [...e.tags].some(t => me.tags.has(t))) candidates.add(j); });
+
+  const items = [];
+  for (const j of candidates) {
+    const e = index.entries[j];
+    const g = near.get(j);
+    const shared = [...e.tags].filter(t => me.tags.has(t));
+    const signals = {
+      graph: g ? HOP_SCORE[g.hops] : 0,
+      tags: shared.length ? shared.length / new Set([...me.tags, ...e.tags]).size : 0,
+      text: Math.min(1, text.get(j)?.score || 0)
+    };
+    const score = weights.graph * signals.graph + weights.tags * signals.tags + weights.text * signals.text;
+    if (score < minScore) continue;
+
+    const reasons = [];
+    if (g) reasons.push({ signal: "graph", score: round(signals.graph), detail: g.hops === 1
+      ? `linked directly${g.types.length ? ` (${g.types.join(", ")})` : ""}`
+      : `two hops via ${g.via}`, hops: g.hops });
+    if (shared.length) reasons.push({ signal: "tags", score: round(signals.tags), detail: `shares tags ${shared.slice(0, 5).join(", ")}`, tags: shared });
+    if (signals.text > 0) {
+      const terms = text.get(j).terms.sort((a, b) => b[1] - a[1]).slice(0, 5).map(([t]) => t);
+      reasons.push({ signal: "text", score: round(signals.text), detail: `similar wording (${terms.join(", ")})`, terms });
+    }
+    items.push({
+      id: e.id, title: e.title, path: e.path, score: round(score),
+      signals: { graph: round(signals.graph), tags: round(signals.tags), text: round(signals.text) },
+      reasons
+    });
+  }
+  items.sort((a, b) => b.score - a.score || String(a.id).localeCompare(String(b.id)));
+  return { id: me.id, title: me.title, weights, items: items.slice(0, limit) };
+}
+
+/**
+ * Ingest-time "related" field: id → compact top list, for every block in `ids` (default: all).
+ * @returns {Map<string, Array<{ id:string, path:string|null, score:number, signals:object }>>}
+ */
+function bakeRelated(index, opts = {}){
+  const out = new Map();
+  const ids = opts.ids || index.entries.map(e => e.id);
+  for (const id of ids) {
+    const r = related(index, id, { limit: opts.limit || 5, weights: opts.weights, minScore: opts.minScore });
+    if (r) out.set(r.id, r.items.map(({ id, path, score, signals }) => ({ id, path, score, signals })));
+  }
+  return out;
+}
+
+module.exports = { buildRelatedIndex, related, bakeRelated, DEFAULT_WEIGHTS };
@@ -1,28 +1,181 @@
+// lib/roi.js
+// Per-block ROI, read, priced and added up in one place: compose() stamps `roi` on every live registry item and
+// /api/kb/commit reports the ROI of the blocks a commit adds or changes; both write docs/kb_roi_report.json.
+//
+// ROI section grammar ("ROI Takeaway" / "ROI"): `key: value` pairs, one per line or separated by "," / ";" (list
+// bullets, **bold** keys and "=" / "≈" / "~" for ":" are fine); anything else is kept as an assumption.
+//   saved_minutes   time saved per use: "30", "30 min", "1.5h"       (also: time_saved, minutes_saved, saves, saved)
+//   uses            times that saving recurs: "4", "4x"             (also: frequency, runs)
+//   rate            $ per hour of the time saved: "$150/h"          (also: rate_usd_per_hour, hourly_rate)
+//   value           $ value, instead of minutes / 60 × rate × uses  (also: value_usd, value_usd_est)
+//   type            block type, selects a rate card: "playbook"     (also: category)
+//   confidence      low | medium | high
+// What a block does not declare comes from the rate card (schemas/roi_rates.json): the card of its type, then
+// the card of its first tag that has one, then `default`. `basis` on the result records where each figure came from.
+
+const { isTombstone } = require("./core");
+
+const FORMAT = "kb.roi/1";
+const DEFAULT_RATES = { currency: "USD", default: { rate_usd_per_hour: 120, saved_minutes: 15 }, types: {}, tags: {} };
+const KEYS = {
+  saved_minutes: "saved_minutes", time_saved: "saved_minutes", minutes_saved: "saved_minutes", saves: "saved_minutes", saved: "saved_minutes",
+  uses: "uses", frequency: "uses", runs: "uses",
+  rate: "rate_usd_per_hour", rate_usd_per_hour: "rate_usd_per_hour", hourly_rate: "rate_usd_per_hour",
+  value: "value_usd", value_usd: "value_usd", value_usd_est: "value_usd",
+  type: "type", category: "type",
+  confidence: "confidence"
+};
+const LINE = /^\s*(?:[-*+]\s+)?(?:\*\*)?([A-Za-z][\w -]*?)(?:\*\*)?\s*[:=≈~]\s*(?:\*\*)?\s*(.+?)\s*$/;
+const PAIRS = /[,;]\s*(?=(?:\*\*)?[A-Za-z][\w -]*?(?:\*\*)?\s*[:=≈~])/; // "a: 1, b: 2" (not "$1,250")
+const WINDOWS = [7, 30, 90, 365];
+
+const round2 = (x) => Math.round(x * 100) / 100;
+const amount = (s) => { const m = /\d+(?:\.\d+)?/.exec(String(s).replace(/(\d),(?=\d{3}\b)/g, "$1")); return m ? Number(m[0]) : NaN; };
+function minutes(s){
+  const m = /(\d+(?:\.\d+)?)\s*(h|hrs?|hours?|m|mins?|minutes?)?\b/i.exec(String(s));
+  if (!m) return NaN;
+  return /^h/i.test(m[2] || "") ? Number(m[1]) * 60 : Number(m[1]);
+}
+
+/**
+ * Declared ROI of one block: only the figures its ROI section states (see the grammar above).
+ * @param {string} roiRaw
+ * @returns {{ saved_minutes?:number, uses?:number, rate_usd_per_hour?:number, value_usd?:number, type?:string,
+ *             confidence?:string, assumptions:string }}
+ */
 function parseROI(roiRaw){
-  const defaults = { blocks_added:1, saved_minutes:15, rate_usd_per_hour:120 };
-  if (!roiRaw) return { ...defaults, value_usd_est: (defaults.saved_minutes/60)*defaults.rate_usd_per_hour, assumptions: "" };
-  const m = {
-    blocks_added: Number((roiRaw.match(/blocks?_added\D+(\d+)/i) || [])[1]),
-    saved_minutes: Number((roiRaw.match(/saved_minutes?\D+(\d+)/i) || [])[1]),
-    rate_usd_per_hour: Number((roiRaw.match(/rate.*?(\d+(\.\d+)?)/i) || [])[1])
+  const out = {}, notes = [];
+  for (const line of String(roiRaw || "").split(/\r?\n/).flatMap(l => LINE.test(l) ? l.split(PAIRS) : [l])) {
+    if (!line.trim()) continue;
+    const m = LINE.exec(line);
+    const key = m && KEYS[m[1].trim().toLowerCase().replace(/[\s-]+/g, "_")];
+    const v = m && m[2].replace(/\*\*/g, "").trim();
+    let x;
+    if (key === "saved_minutes" || key === "uses" || key === "rate_usd_per_hour" || key === "value_usd") {
+      x = key === "saved_minutes" ? minutes(v) : amount(v);
+      if (x >= 0 && !(key === "uses" && x === 0)) { out[key] = x; continue; }
+    } else if (key === "type" && v) { out.type = v.toLowerCase(); continue; }
+    else if (key === "confidence" && /^(low|medium|high)$/i.test(v)) { out.confidence = v.toLowerCase(); continue; }
+    notes.push(line.trim().replace(/^[-*+]\s+/, ""));
+  }
+  return { ...out, assumptions: notes.join("\n") };
+}
+
+/** schemas/roi_rates.json with the built-in defaults filled in; type and tag keys are matched case-insensitively. */
+function rateCard(spec){
+  if (spec && spec.normalized) return spec;
+  const s = spec || {};
+  const lower = (o) => Object.fromEntries(Object.entries(o || {}).map(([k, v]) => [k.toLowerCase(), v || {}]));
+  return {
+    normalized: true, currency: s.currency || DEFAULT_RATES.currency,
+    default: { ...DEFAULT_RATES.default, ...(s.default || {}) }, types: lower(s.types), tags: lower(s.tags)
+  };
+}
+
+/**
+ * Price a block: declared figures first, then the rate cards of its type, its tags (in order) and the default.
+ * @param {object} declared - parseROI() result
+ * @param {{ tags?:string[] }} block
+ * @param {object} [rates] - schemas/roi_rates.json (or rateCard())
+ * @returns {{ type?:string, saved_minutes:number, uses:number, rate_usd_per_hour:number, value_usd_est:number,
+ *             confidence?:string, basis:{ saved_minutes:string, rate_usd_per_hour:string, value_usd_est?:string } }}
+ */
+function priceBlock(declared = {}, { tags = [] } = {}, rates){
+  const card = rateCard(rates);
+  const cards = [
+    ["block", declared],
+    ...(declared.type && card.types[declared.type] ? [[`type:${declared.type}`, card.types[declared.type]]] : []),
+    ...(tags || []).map(t => String(t).toLowerCase()).filter(t => card.tags[t]).map(t => [`tag:${t}`, card.tags[t]]),
+    ["default", card.default]
+  ];
+  const pick = (field) => {
+    for (const [from, c] of cards) if (c[field] != null && Number(c[field]) >= 0) return { v: Number(c[field]), from };
+    return { v: 0, from: "default" };
   };
-  const v = {
-    blocks_added: m.blocks_added || 1,
-    saved_minutes: m.saved_minutes || 15,
-    rate_usd_per_hour: m.rate_usd_per_hour || 120
+  const saved = pick("saved_minutes"), rate = pick("rate_usd_per_hour");
+  const uses = declared.uses || 1;
+  const value = declared.value_usd != null ? declared.value_usd : saved.v / 60 * rate.v * uses;
+  return {
+    ...(declared.type ? { type: declared.type } : {}),
+    saved_minutes: saved.v, uses, rate_usd_per_hour: rate.v, value_usd_est: round2(value),
+    ...(declared.confidence ? { confidence: declared.confidence } : {}),
+    basis: { saved_minutes: saved.from, rate_usd_per_hour: rate.from, ...(declared.value_usd != null ? { value_usd_est: "block" } : {}) }
   };
-  const value = Math.round(((v.saved_minutes/60)*v.rate_usd_per_hour)*100)/100;
-  return { ...v, value_usd_est: value, assumptions: roiRaw.trim() };
 }
 
-function aggregateROI(items){
-  const agg = { blocks_added:0, saved_minutes:0, rate_usd_per_hour:120, value_usd_est:0 };
-  for (const r of items) {
-    agg.blocks_added += r.blocks_added;
-    agg.saved_minutes += r.saved_minutes;
-    agg.value_usd_est += r.value_usd_est;
-  }
-  agg.value_usd_est = Math.round(agg.value_usd_est*100)/100;
-  return agg;
+/** ROI of a registry item, from the ROI section of its search doc (attachments.sections.roi_raw) and its tags. */
+function blockROI(item, doc, rates){
+  return priceBlock(parseROI(doc?.attachments?.sections?.roi_raw), { tags: item?.tags || doc?.tags || [] }, rates);
+}
+
+/**
+ * kb_stats.json `roi`: the priced blocks added up; rate_usd_per_hour is the effective rate (value per hour saved).
+ * @param {Array<object>} rois - priceBlock() results
+ */
+function roiSummary(rois, rates){
+  let mins = 0, value = 0;
+  for (const r of rois) { mins += r.saved_minutes * (r.uses || 1); value += r.value_usd_est; }
+  return {
+    blocks_added: rois.length, saved_minutes_est: round2(mins),
+    rate_usd_per_hour: mins ? round2(value / (mins / 60)) : rateCard(rates).default.rate_usd_per_hour,
+    value_usd_est: round2(value)
+  };
+}
+
+/**
+ * docs/kb_roi_report.json: ROI of every live block, added up by tag, type, block-number range, month and
+ * trailing time window (by created_at). Items without a stored `roi` are priced from the rate card.
+ * @param {{ registry:Array, search?:Array, rates?:object, now?:string, rangeSize?:number, top?:number }} args
+ */
+function buildROIReport({ registry, search = [], rates, now, rangeSize = 100, top = 10 }){
+  const card = rateCard(rates);
+  const at = now || new Date().toISOString();
+  const docs = new Map((search || []).filter(d => d && !isTombstone(d)).map(d => [String(d.id), d]));
+  const rows = (registry || []).filter(r => r && !isTombstone(r)).map(r => {
+    const d = docs.get(String(r.id));
+    const roi = r.roi || blockROI(r, d, card);
+    const created = Date.parse(r.created_at || d?.created_at || "");
+    return {
+      id: r.id, path: r.path ?? null, title: r.title ?? null, tags: r.tags || [], roi,
+      block_number: d?.attachments?.meta?.block_number ?? null, created: Number.isNaN(created) ? null : created
+    };
+  });
+  const sum = (list) => ({
+    blocks: list.length,
+    saved_minutes: round2(list.reduce((n, x) => n + x.roi.saved_minutes * (x.roi.uses || 1), 0)),
+    value_usd_est: round2(list.reduce((n, x) => n + x.roi.value_usd_est, 0))
+  });
+  const groupBy = (keysOf) => {
+    const g = new Map();
+    for (const x of rows) for (const k of keysOf(x)) { if (!g.has(k)) g.set(k, []); g.get(k).push(x); }
+    return g;
+  };
+  const byValue = (a, b) => b.value_usd_est - a.value_usd_est || b.blocks - a.blocks;
+
+  const numbered = rows.filter(x => Number.isInteger(x.block_number));
+  const ranges = groupBy(x => Number.isInteger(x.block_number) ? [Math.floor((x.block_number - 1) / rangeSize)] : []);
+  const dated = rows.filter(x => x.created != null);
+  const end = Date.parse(at);
+  return {
+    format: FORMAT, generated_at: at, currency: card.currency,
+    rates: { default: card.default, types: card.types, tags: card.tags },
+    totals: {
+      ...sum(rows),
+      declared: rows.filter(x => Object.values(x.roi.basis || {}).includes("block")).length,
+      unnumbered: rows.length - numbered.length, undated: rows.length - dated.length
+    },
+    by_tag: [...groupBy(x => [...new Set(x.tags.map(t => String(t).toLowerCase()))])].map(([tag, l]) => ({ tag, ...sum(l) })).sort(byValue),
+    by_type: [...groupBy(x => [x.roi.type || "untyped"])].map(([type, l]) => ({ type, ...sum(l) })).sort(byValue),
+    by_range: [...ranges].sort((a, b) => a[0] - b[0]).map(([i, l]) => ({ from: i * rangeSize + 1, to: (i + 1) * rangeSize, ...sum(l) })),
+    by_month: [...groupBy(x => x.created != null ? [new Date(x.created).toISOString().slice(0, 7)] : [])].sort((a, b) => a[0].localeCompare(b[0]))
+      .map(([month, l]) => ({ month, ...sum(l) })),
+    by_window: WINDOWS.map(days => {
+      const since = end - days * 864e5;
+      return { window: `${days}d`, since: new Date(since).toISOString(), ...sum(dated.filter(x => x.created > since && x.created <= end)) };
+    }),
+    top: rows.slice().sort((a, b) => b.roi.value_usd_est - a.roi.value_usd_est || String(a.path).localeCompare(String(b.path))).slice(0, top)
+      .map(x => ({ id: x.id, path: x.path, title: x.title, ...(x.block_number != null ? { block_number: x.block_number } : {}), ...x.roi }))
+  };
 }
-module.exports = { parseROI, aggregateROI };
+
+module.exports = { parseROI, priceBlock, blockROI, roiSummary, rateCard, buildROIReport, FORMAT, DEFAULT_RATES };
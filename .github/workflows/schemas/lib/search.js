@@ -0,0 +1,153 @@
+// lib/search.js
+// BM25 ranking over canonical search docs (the `tokens` field built by buildDocs),
+// with tag filters, title/tags field boosts, pagination and highlighted snippets.
+
+const { makeTokens, docTokens } = require("./normalize");
+const { isTombstone } = require("./core");
+
+const DEFAULT_BOOSTS = { body: 1, title: 2, tags: 1.5 };
+const K1 = 1.2, B = 0.75;
+
+/** Same shape rules as extractMetrics: {docs} | {items} | array. */
+function docsOf(searchObj){
+  if (Array.isArray(searchObj?.docs)) return searchObj.docs;
+  if (Array.isArray(searchObj?.items)) return searchObj.items;
+  if (Array.isArray(searchObj)) return searchObj;
+  return [];
+}
+
+function terms(str){ return str ? str.split(" ").filter(Boolean) : []; }
+
+function termFreqs(list){
+  const tf = new Map();
+  for (const t of list) tf.set(t, (tf.get(t) || 0) + 1);
+  return tf;
+}
+
+function fieldsOf(d){
+  return {
+    body: docTokens(d),
+    title: terms(makeTokens(String(d.title || ""))),
+    tags: terms(makeTokens((Array.isArray(d.tags) ? d.tags : []).join(" ")))
+  };
+}
+
+/**
+ * Precompute per-field term frequencies, lengths and document frequencies.
+ * @param {Array<object>} docs - canonical search docs
+ * @param {{ registry?:Array<object> }} [opts] - registry items: a doc without its own url/path links to the
+ *   `path` of the registry item with its id (core-built docs carry none)
+ */
+function buildCorpus(docs, opts = {}){
+  const paths = new Map((opts.registry || []).filter(r => r && r.path && !isTombstone(r)).map(r => [String(r.id), r.path]));
+  const entries = [];
+  const df = new Map();
+  const totLen = { body: 0, title: 0, tags: 0 };
+  for (const d of docs) {
+    if (!d || typeof d !== "object" || isTombstone(d)) continue; // retired docs stay in search.json, not in results
+    const f = fieldsOf(d);
+    const entry = {
+      doc: d, url: d.url || d.path || paths.get(String(d.id)) || null,
+      tags: new Set((d.tags || []).map(t => String(t).toLowerCase())), fields: {}
+    };
+    const seen = new Set();
+    for (const name of Object.keys(totLen)) {
+      entry.fields[name] = { tf: termFreqs(f[name]), len: f[name].length };
+      totLen[name] += f[name].length;
+      f[name].forEach(t => seen.add(t));
+    }
+    seen.forEach(t => df.set(t, (df.get(t) || 0) + 1));
+    entries.push(entry);
+  }
+  const n = entries.length || 1;
+  const avgLen = { body: totLen.body / n || 1, title: totLen.title / n || 1, tags: totLen.tags / n || 1 };
+  return { entries, df, avgLen, N: entries.length };
+}
+
+function idf(corpus, term){
+  const n = corpus.df.get(term) || 0;
+  return Math.log(1 + (corpus.N - n + 0.5) / (n + 0.5));
+}
+
+function scoreEntry(corpus, entry, qTerms, boosts){
+  let score = 0;
+  for (const t of qTerms) {
+    let w = 0;
+    for (const [name, boost] of Object.entries(boosts)) {
+      const f = entry.fields[name];
+      const tf = f && f.tf.get(t);
+      if (!tf || !boost) continue;
+      const norm = 1 - B + B * (f.len / corpus.avgLen[name]);
+      w += boost * (tf * (K1 + 1)) / (tf + K1 * norm);
+    }
+    if (w) score += idf(corpus, t) * w;
+  }
+  return score;
+}
+
+function escapeHtml(s){
+  return s.replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+}
+
+/**
+ * Plain-text window around the first query hit, HTML-escaped, hits wrapped in <mark>. Hits are found in the
+ * plain text and each piece is escaped on its own, so a term never matches inside an entity ("lt" in "&lt;").
+ */
+function makeSnippet(doc, qTerms, width = 160){
+  const src = String(doc.content || doc.description || doc.excerpt || doc.teaser || doc.snippet || doc.title || "");
+  const plain = src.replace(/```[\s\S]*?```/gm, " ").replace(/[`*_#>|]/g, " ").replace(/\s+/g, " ").trim();
+  if (!plain) return "";
+  const alt = qTerms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|");
+  const re = alt ? new RegExp(`\\b(${alt})\\b`, "i") : null;
+  const m = re ? re.exec(plain) : null;
+  const start = m ? Math.max(0, m.index - Math.floor(width / 3)) : 0;
+  const end = Math.min(plain.length, start + width);
+  const win = plain.slice(start, end);
+  let text = "", at = 0;
+  if (alt) for (const h of win.matchAll(new RegExp(`\\b(${alt})\\b`, "gi"))) {
+    text += escapeHtml(win.slice(at, h.index)) + `<mark>${escapeHtml(h[0])}</mark>`;
+    at = h.index + h[0].length;
+  }
+  text += escapeHtml(win.slice(at));
+  return (start > 0 ? "…" : "") + text + (end < plain.length ? "…" : "");
+}
+
+/**
+ * Rank docs for a query.
+ * @param {object} corpus - from buildCorpus
+ * @param {string} q - free-text query
+ * @param {object} [opts]
+ * @param {string[]} [opts.tags] - every tag must be present on the doc
+ * @param {number} [opts.page=1]
+ * @param {number} [opts.perPage=10] - capped at 100
+ * @param {object} [opts.boosts] - { body, title, tags } multipliers
+ * @returns {{ total:number, page:number, per_page:number, hits:Array<object> }}
+ */
+function search(corpus, q, opts = {}){
+  const qTerms = Array.from(new Set(terms(makeTokens(String(q || "")))));
+  const tagFilter = (opts.tags || []).map(t => String(t).toLowerCase().trim()).filter(Boolean);
+  const boosts = { ...DEFAULT_BOOSTS, ...(opts.boosts || {}) };
+  const perPage = Math.min(100, Math.max(1, Number(opts.perPage) || 10));
+  const page = Math.max(1, Number(opts.page) || 1);
+
+  const ranked = [];
+  for (const e of corpus.entries) {
+    if (tagFilter.length && !tagFilter.every(t => e.tags.has(t))) continue;
+    if (!qTerms.length) { ranked.push({ e, score: 0 }); continue; }
+    const score = scoreEntry(corpus, e, qTerms, boosts);
+    if (score > 0) ranked.push({ e, score });
+  }
+  if (qTerms.length) ranked.sort((a, b) => b.score - a.score);
+
+  const hits = ranked.slice((page - 1) * perPage, page * perPage).map(({ e, score }) => ({
+    id: e.doc.id ?? null,
+    title: e.doc.title ?? null,
+    url: e.url,
+    tags: e.doc.tags || [],
+    score: Number(score.toFixed(4)),
+    snippet: makeSnippet(e.doc, qTerms)
+  }));
+  return { total: ranked.length, page, per_page: perPage, hits };
+}
+
+module.exports = { docsOf, buildCorpus, search, makeSnippet, DEFAULT_BOOSTS };
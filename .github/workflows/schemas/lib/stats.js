@@ -1,24 +1,52 @@
-function computeStats({ registryArr, searchArr, nodes, edges, roiAgg, sourceName, sourceSha }) {
-  const uniqueTags = new Set();
-  for (const r of registryArr) (r.tags||[]).forEach(t=>uniqueTags.add(t));
-  const unresolved = edges.filter(e=>e.status==="pending").length;
+const { isTombstone } = require("./core");
+
+// registry_items and search_docs: live entries only, tombstones (deleted_at) stay in the files but are not counted.
+// Like graphCounts, shared by every kb_health_history.json writer so a drop shows up in every snapshot.
+function liveCounts(registryArr = [], searchArr = []) {
+  return {
+    registry_items: registryArr.filter(r=>!isTombstone(r)).length,
+    search_docs: searchArr.filter(d=>!isTombstone(d)).length
+  };
+}
+
+// unresolved_edges and orphans_est of a { nodes, edges } graph (normalizeGraph); the one definition every
+// kb_health_history.json writer uses (ingest, /api/kb/commit, kb-healthreport.js, /api/kb/health), so trends compare.
+//   unresolved_edges  pending or ambiguous links, and edges missing an endpoint
+//   orphans_est       nodes no edge (resolved or not) starts or ends at
+function graphCounts({ nodes = [], edges = [] }) {
+  const unresolved = edges.filter(e=>!e?.source || !e?.target || e.status==="pending" || e.status==="ambiguous").length;
   const degree = new Map();
-  nodes.forEach(n=>degree.set(n.path,0));
+  nodes.forEach(n=>degree.set(n.path ?? n.id,0));
   edges.forEach(e=>{
-    if (degree.has(e.source)) degree.set(e.source, degree.get(e.source)+1);
-    if (degree.has(e.target)) degree.set(e.target, degree.get(e.target)+1);
+    if (degree.has(e?.source)) degree.set(e.source, degree.get(e.source)+1);
+    if (degree.has(e?.target)) degree.set(e.target, degree.get(e.target)+1);
   });
   const orphans = Array.from(degree.values()).filter(d=>d===0).length;
+  return { unresolved_edges: unresolved, orphans_est: orphans };
+}
+
+function computeStats({ registryArr, searchArr, nodes, edges, roiAgg, sourceName, sourceSha }) {
+  const uniqueTags = new Set();
+  for (const r of registryArr) (r.tags||[]).forEach(t=>uniqueTags.add(t));
+  // edges grouped by relationship type (untyped legacy edges count as "ref")
+  const byType = {};
+  for (const e of edges) {
+    const t = e.type || e.rel || "ref";
+    const g = byType[t] || (byType[t] = { edges: 0, unresolved: 0 });
+    g.edges++;
+    if (e.status==="pending" || e.status==="ambiguous") g.unresolved++;
+  }
   return {
     ts: new Date().toISOString(),
     counts: {
-      registry_items: registryArr.length, search_docs: searchArr.length,
+      ...liveCounts(registryArr, searchArr),
       nodes: nodes.length, edges: edges.length,
-      unique_tags: uniqueTags.size, unresolved_edges: unresolved, orphans_est: orphans
+      unique_tags: uniqueTags.size, ...graphCounts({ nodes, edges })
     },
+    graph: { edges_by_type: byType },
     delta: { registry_items: 0, search_docs: 0, edges: 0 }, // fill if you track prev
     roi: roiAgg,
     ingest: { source_markdown: sourceName, sha256: sourceSha, git_sha: "" }
   };
 }
-module.exports = { computeStats };
+module.exports = { computeStats, graphCounts, liveCounts };
@@ -0,0 +1,199 @@
+// lib/trends.js
+// Trends and regression alerts over docs/kb_health_history.json (docs/kb_health_trends.json,
+// GET /api/kb/health/history, scripts/kb_health_trends.js). The history mixes the compact snapshots ingest
+// and commit append ({ ts, counts, delta, roi, size_kb }) with the daily health script's full stats, so every
+// entry is read into one snapshot shape first; a figure an entry lacks is skipped, not taken as zero.
+//
+//   trends     per window (7d, 30d, 90d, all): first/last value, change, % change and least-squares slope per day
+//   headroom   latest file sizes, unresolved edges and orphans against the thresholds, with days to the limit at
+//              the 30-day rate
+//   alerts     drop      a count fell since the previous report (search_docs, registry_items, edges)
+//              spike     a count jumped since the previous report (orphans, unresolved edges)
+//              rising    a count grew over N snapshots in a row (unresolved edges)
+//              headroom  a size or count is near (warning) or over (critical) its threshold
+// Rules, thresholds and the webhook sink come from schemas/health_alerts.json; DEFAULT_CONFIG mirrors it.
+
+const FORMAT = "kb.trends/1";
+const DAY = 864e5;
+const WINDOWS = [7, 30, 90];
+const METRICS = ["registry_items", "search_docs", "edges", "unresolved_edges", "orphans_est", "registry_kb", "search_kb", "cross_kb"];
+const LIMITS = { search_kb: "search_max_kb", registry_kb: "registry_max_kb", cross_kb: "cross_max_kb", unresolved_edges: "unresolved_max", orphans_est: "orphans_max" };
+const SEVERITY = { info: 0, warning: 1, critical: 2 };
+const DEFAULT_CONFIG = {
+  thresholds: { search_max_kb: 5000, registry_max_kb: 2000, cross_max_kb: 5000, unresolved_max: 250, orphans_max: 250 },
+  rules: {
+    drop: { metrics: ["search_docs", "registry_items", "edges"], warning_pct: 10, critical_pct: 50 },
+    spike: { metrics: ["orphans_est", "unresolved_edges"], warning_pct: 50, min_increase: 10 },
+    rising: { metrics: ["unresolved_edges"], streak: 3 },
+    headroom: { warning_pct: 90 }
+  },
+  webhook: { url_env: "KB_ALERT_WEBHOOK_URL", format: "json", min_severity: "warning" }
+};
+
+const round = (x, d = 2) => x == null || !Number.isFinite(x) ? null : Math.round(x * 10 ** d) / 10 ** d;
+const num = (v) => typeof v === "number" && Number.isFinite(v) ? v : null;
+
+/** Config with the defaults filled in (schemas/health_alerts.json). */
+function alertConfig(spec){
+  const s = spec || {};
+  const rules = {};
+  for (const k of Object.keys(DEFAULT_CONFIG.rules)) rules[k] = { ...DEFAULT_CONFIG.rules[k], ...(s.rules?.[k] || {}) };
+  return {
+    thresholds: { ...DEFAULT_CONFIG.thresholds, ...(s.thresholds || {}) }, rules,
+    webhook: { ...DEFAULT_CONFIG.webhook, ...(s.webhook || {}) }
+  };
+}
+
+/** One history entry in snapshot shape; null when it has no usable timestamp. */
+function snapshot(h){
+  const t = Date.parse(h?.ts || h?.updated_at || "");
+  if (Number.isNaN(t)) return null;
+  const c = h.counts || {}, s = h.sizes_kb || h.size_kb || {};
+  return {
+    ts: new Date(t).toISOString(), t,
+    registry_items: num(c.registry_items), search_docs: num(c.search_docs), edges: num(c.edges),
+    unresolved_edges: num(c.unresolved_edges), orphans_est: num(c.orphans_est),
+    registry_kb: num(s.registry_kb), search_kb: num(s.search_kb), cross_kb: num(s.cross_kb),
+    ...(h.thresholds ? { thresholds: h.thresholds } : {})
+  };
+}
+
+// Least-squares slope of value over days
+function slope(points){
+  if (points.length < 2) return null;
+  const n = points.length;
+  const xs = points.map(p => p.t / DAY), ys = points.map(p => p.v);
+  const mx = xs.reduce((a, b) => a + b, 0) / n, my = ys.reduce((a, b) => a + b, 0) / n;
+  let sxy = 0, sxx = 0;
+  for (let i = 0; i < n; i++) { sxy += (xs[i] - mx) * (ys[i] - my); sxx += (xs[i] - mx) ** 2; }
+  return sxx ? sxy / sxx : null;
+}
+
+const series = (snaps, m) => snaps.filter(s => s[m] != null).map(s => ({ t: s.t, ts: s.ts, v: s[m] }));
+
+function trend(points){
+  if (!points.length) return null;
+  const first = points[0], last = points[points.length - 1];
+  return {
+    first: first.v, last: last.v, change: last.v - first.v,
+    pct: first.v ? round((last.v - first.v) / first.v * 100) : null,
+    per_day: round(slope(points), 3)
+  };
+}
+
+/**
+ * @param {Array<object>} history - kb_health_history.json (any mix of snapshot shapes)
+ * @param {{ config?:object, now?:string, previous?:object, series?:number }} [opts]
+ *   config: schemas/health_alerts.json; previous: the last kb_health_trends.json (alerts still open come back `repeat: true`,
+ *   drops and spikes compare with its latest snapshot; without it, with the snapshot before the latest);
+ *   series: also return the last N snapshots
+ */
+function analyzeHistory(history, opts = {}){
+  const cfg = alertConfig(opts.config);
+  const snaps = (Array.isArray(history) ? history : []).map(snapshot).filter(Boolean).sort((a, b) => a.t - b.t);
+  const now = opts.now || new Date().toISOString();
+  const latest = snaps[snaps.length - 1] || null;
+  const thresholds = { ...cfg.thresholds, ...(latest?.thresholds || {}) };
+
+  const trends = {};
+  for (const w of [...WINDOWS, null]) {
+    const since = latest && w ? latest.t - w * DAY : -Infinity;
+    const inWin = snaps.filter(s => s.t >= since);
+    const metrics = {};
+    for (const m of METRICS) { const t = trend(series(inWin, m)); if (t) metrics[m] = t; }
+    trends[w ? `${w}d` : "all"] = { snapshots: inWin.length, from: inWin[0]?.ts ?? null, to: inWin[inWin.length - 1]?.ts ?? null, metrics };
+  }
+
+  const headroom = {};
+  for (const [m, key] of Object.entries(LIMITS)) {
+    const pts = series(snaps, m);
+    if (!pts.length || thresholds[key] == null) continue;
+    const value = pts[pts.length - 1].v, limit = thresholds[key];
+    const perDay = trends["30d"].metrics[m]?.per_day ?? null;
+    headroom[m] = {
+      value, limit, headroom: limit - value, pct_used: limit ? round(value / limit * 100, 1) : null, per_day: perDay,
+      days_to_limit: value >= limit ? 0 : perDay > 0 ? Math.ceil((limit - value) / perDay) : null
+    };
+  }
+
+  const alerts = [];
+  // ids name the condition, not the snapshot, so an alert still open in the next run is recognised (and a
+  // warning that turns critical is a new alert)
+  const add = (rule, metric, severity, message, extra) => alerts.push({ id: `${rule}:${metric}:${severity}`, rule, metric, severity, ts: latest.ts, message, ...extra });
+  // baseline for drop/spike: the last snapshot with `m` the previous report had seen, so a drop recorded by ingest
+  // and repeated by the daily snapshot still compares with the day before. A re-run without new snapshots keeps the
+  // previous report's baseline; without a previous report it is the snapshot before the latest.
+  const prevLatest = Date.parse(opts.previous?.latest?.ts || "");
+  const comparedWith = latest && latest.t <= prevLatest ? opts.previous.compared_with ?? null
+    : Number.isNaN(prevLatest) ? null : opts.previous.latest.ts;
+  const seenUntil = Date.parse(comparedWith || "");
+  const previous = (m) => {
+    for (let i = snaps.length - 2; i >= 0; i--) if (snaps[i][m] != null && !(snaps[i].t > seenUntil)) return snaps[i];
+    return null;
+  };
+  if (latest) {
+    for (const m of cfg.rules.drop.metrics || []) {
+      const p = previous(m);
+      if (!p || latest[m] == null || !p[m] || latest[m] >= p[m]) continue;
+      const pct = (p[m] - latest[m]) / p[m] * 100;
+      const severity = pct >= cfg.rules.drop.critical_pct ? "critical" : pct >= cfg.rules.drop.warning_pct ? "warning" : null;
+      if (severity) add("drop", m, severity, `${m} dropped ${round(pct, 1)}% (${p[m]} → ${latest[m]}) since ${p.ts}`, { value: latest[m], previous: p[m], change_pct: round(-pct, 1) });
+    }
+    for (const m of cfg.rules.spike.metrics || []) {
+      const p = previous(m);
+      if (!p || latest[m] == null) continue;
+      const inc = latest[m] - p[m];
+      if (inc < cfg.rules.spike.min_increase || (p[m] && inc / p[m] * 100 < cfg.rules.spike.warning_pct)) continue;
+      add("spike", m, "warning", `${m} jumped ${p[m] ? `${round(inc / p[m] * 100, 1)}%` : `by ${inc}`} (${p[m]} → ${latest[m]}) since ${p.ts}`,
+        { value: latest[m], previous: p[m], change_pct: p[m] ? round(inc / p[m] * 100, 1) : null });
+    }
+    for (const m of cfg.rules.rising.metrics || []) {
+      const pts = series(snaps, m);
+      let streak = 0;
+      for (let i = pts.length - 1; i > 0 && pts[i].v > pts[i - 1].v; i--) streak++;
+      if (pts.length && pts[pts.length - 1].t === latest.t && streak >= cfg.rules.rising.streak) {
+        add("rising", m, "warning", `${m} rose ${streak} snapshot(s) in a row (${pts[pts.length - 1 - streak].v} → ${latest[m]})`, { value: latest[m], streak });
+      }
+    }
+    for (const [m, h] of Object.entries(headroom)) {
+      if (latest[m] == null) continue;
+      const severity = h.value > h.limit ? "critical" : h.pct_used >= cfg.rules.headroom.warning_pct ? "warning" : null;
+      if (severity) add("headroom", m, severity, `${m} at ${h.value} of ${h.limit} (${h.pct_used}%)${h.days_to_limit ? `, limit in ~${h.days_to_limit} day(s)` : ""}`, { value: h.value, limit: h.limit });
+    }
+  }
+  // repeat: open (and delivered) in the previous report too. headroom and rising are standing conditions; a drop or spike is an
+  // event, the same one only while it compares the same two values (a second drop the next day is new)
+  const seen = new Map((opts.previous?.alerts || []).map(a => [a.id, a]));
+  for (const a of alerts) {
+    const p = seen.get(a.id);
+    if (p && !p.undelivered && (a.rule === "headroom" || a.rule === "rising" || (p.value === a.value && p.previous === a.previous))) a.repeat = true;
+  }
+  alerts.sort((a, b) => SEVERITY[b.severity] - SEVERITY[a.severity]);
+
+  const counts = { snapshots: snaps.length, alerts: alerts.length, critical: 0, warning: 0, info: 0 };
+  for (const a of alerts) counts[a.severity]++;
+  return {
+    format: FORMAT, generated_at: now, ok: counts.critical === 0, counts, compared_with: comparedWith,
+    latest: latest && Object.fromEntries(Object.entries(latest).filter(([k]) => k !== "t" && k !== "thresholds")),
+    thresholds, trends, headroom, alerts,
+    ...(opts.series ? { series: snaps.slice(-opts.series).map(({ t, thresholds: _, ...s }) => s) } : {})
+  };
+}
+
+/** Alerts a webhook should receive: new (not `repeat`) and at least webhook.min_severity. */
+function alertsToSend(report, config){
+  const min = SEVERITY[alertConfig(config).webhook.min_severity] ?? 1;
+  return report.alerts.filter(a => !a.repeat && SEVERITY[a.severity] >= min);
+}
+
+/** Webhook body: "slack" → { text } (Slack/Teams/Discord-style incoming webhooks); "json" → the alert records. */
+function alertPayload(alerts, config, meta = {}){
+  const { format } = alertConfig(config).webhook;
+  if (format === "slack") {
+    const head = `KB health: ${alerts.length} alert(s)${meta.repo ? ` in ${meta.repo}` : ""}`;
+    return { text: [head, ...alerts.map(a => `• [${a.severity}] ${a.message}`)].join("\n") };
+  }
+  return { event: "kb.health.alerts", generated_at: meta.generated_at || new Date().toISOString(), ...(meta.repo ? { repo: meta.repo } : {}), alerts };
+}
+
+module.exports = { analyzeHistory, snapshot, alertConfig, alertsToSend, alertPayload, DEFAULT_CONFIG, FORMAT };
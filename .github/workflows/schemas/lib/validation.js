@@ -0,0 +1,118 @@
+// lib/validation.js
+// One validation report for every entry point (api/kb/validate.js, app/api/kb/validate/route.ts,
+// api/kb/commit.js and the CLI): pass/fail per file, every schema error tied to the JSON pointer/path
+// and the `id` of the offending item, the integrity issues (lib/integrity.js) and a summary.
+// Each file is checked by its own compiled validator, so one file's errors never mask another's.
+// Files are validated after migration to the current schema version; `versions` records what was upgraded.
+
+const FORMAT = "kb.validation/1";
+
+// "/items/12/path" → "$.items[12].path"
+function jsonPath(pointer){
+  const segs = String(pointer || "").split("/").slice(1).map(s => s.replace(/~1/g, "/").replace(/~0/g, "~"));
+  return "$" + segs.map(s => /^\d+$/.test(s) ? `[${s}]` : /^[A-Za-z_$][\w$]*$/.test(s) ? `.${s}` : `[${JSON.stringify(s)}]`).join("");
+}
+
+// id of the innermost item on the pointer's way down (edges have no id: "source→target")
+function itemId(data, pointer){
+  let cur = data, id = null;
+  for (const seg of String(pointer || "").split("/").slice(1).map(s => s.replace(/~1/g, "/").replace(/~0/g, "~"))) {
+    if (cur == null || typeof cur !== "object") break;
+    cur = cur[seg];
+    if (cur && typeof cur === "object" && !Array.isArray(cur)) {
+      if (cur.id != null) id = String(cur.id);
+      else if (cur.source != null && cur.target != null) id = `${cur.source}→${cur.target}`;
+    }
+  }
+  return id;
+}
+
+const itemCount = (data) => Array.isArray(data) ? data.length
+  : ["items", "docs", "registry", "edges"].map(k => data?.[k]).find(Array.isArray)?.length ?? 0;
+
+/**
+ * @param {string} file - "registry", "search", "search/search-001.json", "cross_links", …
+ * @param {Function} validate - compiled Ajv validator (reads `validate.errors`)
+ * @param {any} data
+ * @param {{ limit?:number, required?:boolean }} [opts] - limit: max errors kept (error_count is always the full count);
+ *   required: an omitted file fails (`missing`) instead of being skipped
+ */
+function validateFile(file, validate, data, opts = {}){
+  if (data === undefined && opts.required) {
+    return { file, ok: false, missing: true, items: 0, error_count: 1,
+      errors: [{ pointer: "", path: "$", id: null, keyword: "required", message: `${file} not provided`, params: {}, schema_path: "" }] };
+  }
+  if (data === undefined) return { file, ok: true, skipped: true, items: 0, error_count: 0, errors: [] };
+  const ok = !!validate(data);
+  const all = ok ? [] : (validate.errors || []);
+  const limit = opts.limit ?? 200;
+  return {
+    file, ok, items: itemCount(data), error_count: all.length,
+    errors: all.slice(0, limit).map(e => ({
+      pointer: e.instancePath || "", path: jsonPath(e.instancePath), id: itemId(data, e.instancePath),
+      keyword: e.keyword, message: e.message || e.keyword, params: e.params, schema_path: e.schemaPath
+    })),
+    ...(all.length > limit ? { truncated: true } : {})
+  };
+}
+
+/**
+ * @param {Array<object>} files - validateFile() results
+ * @param {{ integrity?:object, versions?:object, limit?:number }} [opts] - integrity: checkIntegrity() result (with a
+ *   baseline, only new issues fail); versions: migrateCanonicals().versions
+ */
+function buildReport(files, opts = {}){
+  const limit = opts.limit ?? 200;
+  const integrity = opts.integrity ? (() => {
+    const issues = opts.integrity.issues.filter(i => !i.existing);
+    return {
+      ok: opts.integrity.ok, introduced: opts.integrity.introduced, existing: opts.integrity.issues.length - issues.length,
+      counts: opts.integrity.counts,
+      issues: issues.slice(0, limit).map(i => ({ ...i, path: jsonPath(i.pointer) }))
+    };
+  })() : null;
+  const checked = files.filter(f => !f.skipped);
+  const summary = {
+    files: checked.length,
+    passed: checked.filter(f => f.ok).length,
+    failed: checked.filter(f => !f.ok).length,
+    errors: checked.reduce((n, f) => n + f.error_count, 0),
+    integrity_issues: integrity ? integrity.introduced : 0
+  };
+  return {
+    format: FORMAT, generated_at: opts.now || new Date().toISOString(),
+    ok: summary.failed === 0 && (!integrity || integrity.ok),
+    summary, files, integrity,
+    ...(opts.versions ? { versions: opts.versions } : {})
+  };
+}
+
+/** Plain-text rendering for terminals and logs. */
+function renderReport(report, opts = {}){
+  const max = opts.maxErrors ?? 20;
+  const s = report.summary;
+  const lines = [
+    `KB validation: ${report.ok ? "PASSED" : "FAILED"} — ${s.passed}/${s.files} file(s) valid, ${s.errors} schema error(s)` +
+    (report.integrity ? `, ${s.integrity_issues} new integrity issue(s)` : "")
+  ];
+  const width = Math.max(12, ...report.files.map(f => f.file.length + 2));
+  const migrated = Object.entries(report.versions || {}).filter(([, v]) => v.steps.length);
+  if (migrated.length) lines.push(`  migrated: ${migrated.map(([k, v]) => `${k} v${v.from}→v${v.to}`).join(", ")}`);
+  for (const f of report.files) {
+    if (f.skipped) { lines.push(`  - ${f.file.padEnd(width)}not provided`); continue; }
+    lines.push(`  ${f.ok ? "✔" : "✖"} ${f.file.padEnd(width)}${f.items} item(s)${f.ok ? "" : ` — ${f.error_count} error(s)`}`);
+    for (const e of f.errors.slice(0, max)) {
+      lines.push(`      ${e.path}${e.id ? ` (id ${e.id})` : ""}: ${e.message} [${e.keyword}]`);
+    }
+    if (f.error_count > Math.min(max, f.errors.length)) lines.push(`      … ${f.error_count - Math.min(max, f.errors.length)} more`);
+  }
+  const ig = report.integrity;
+  if (ig) {
+    lines.push(`  ${ig.ok ? "✔" : "✖"} ${"integrity".padEnd(width)}${ig.introduced} new issue(s)${ig.existing ? `, ${ig.existing} already published` : ""}`);
+    for (const i of ig.issues.slice(0, max)) lines.push(`      ${i.code} ${i.file} ${i.path}: ${i.message}`);
+    if (ig.introduced > Math.min(max, ig.issues.length)) lines.push(`      … ${ig.introduced - Math.min(max, ig.issues.length)} more`);
+  }
+  return lines.join("\n");
+}
+
+module.exports = { validateFile, buildReport, renderReport, jsonPath, FORMAT };
@@ -0,0 +1,156 @@
+// lib/versions.js
+// Schema versions of the canonical files and the migrations between them. Every canonical file carries
+// `schema_version` at the top of its envelope; a file without one is version 1 (whatever the legacy writers
+// produced). Readers call migrate() to upgrade a file one step at a time; a file from a newer schema than
+// this build knows is refused (code "unsupported_schema_version") rather than half-understood.
+//
+//   registry     v2  { schema_version, items:[...] }       item location in `path` (was `url`), `description`
+//                                                          (was `excerpt`), content digest in `sha256` (was `hash`)
+//   search       v2  { schema_version, docs:[...] }        `description` (was `excerpt`), link in `url` (was `path`),
+//                                                          digest in `attachments.sha256` (was `hash`)
+//   cross_links  v2  { schema_version, nodes, edges }      any legacy graph shape, normalized (see normalizeGraph)
+//
+// To evolve a file: bump its CURRENT entry, add MIGRATIONS[kind][old] (old → old + 1) and update both schema sets.
+
+const { normalizeGraph } = require("./core");
+
+const CURRENT = { registry: 2, search: 2, cross_links: 2 };
+const DIGEST = /^(?:sha256:)?([0-9a-f]{64})$/i;
+
+const listOf = (o, ...keys) => Array.isArray(o) ? o : (keys.map(k => o && o[k]).find(Array.isArray) || []);
+
+// Envelope without its array (any accepted key) and without the version it is about to get
+function rest(o, keys){
+  if (!o || Array.isArray(o) || typeof o !== "object") return {};
+  const out = { ...o };
+  for (const k of [...keys, "schema_version"]) delete out[k];
+  return out;
+}
+
+// Rename `from` → `to` on every item that lacks `to`; counts the items changed in `changes`
+function rename(items, from, to, changes, conv = (v) => v){
+  return items.map(x => {
+    if (!x || typeof x !== "object" || x[from] == null || x[to] != null) return x;
+    const v = conv(x[from]);
+    if (v === undefined) return x;
+    const { [from]: _, ...y } = x;
+    changes[`${from}→${to}`] = (changes[`${from}→${to}`] || 0) + 1;
+    return { ...y, [to]: v };
+  });
+}
+const digest = (v) => { const m = DIGEST.exec(String(v)); return m ? m[1].toLowerCase() : undefined; };
+
+const MIGRATIONS = {
+  registry: {
+    1: (data, changes) => {
+      let items = listOf(data, "items", "docs", "registry");
+      items = rename(items, "url", "path", changes);
+      items = rename(items, "excerpt", "description", changes);
+      items = rename(items, "hash", "sha256", changes, digest);
+      return { ...rest(data, ["items", "docs", "registry"]), items };
+    }
+  },
+  search: {
+    1: (data, changes) => {
+      let docs = listOf(data, "docs", "items");
+      docs = rename(docs, "excerpt", "description", changes);
+      docs = rename(docs, "path", "url", changes);
+      // `hash` moves into attachments (non-digest values such as "dev" stay where they are)
+      docs = docs.map(d => {
+        const h = d && typeof d === "object" && d.hash != null && !d.attachments?.sha256 ? digest(d.hash) : undefined;
+        if (h === undefined) return d;
+        const { hash: _, ...y } = d;
+        changes["hash→attachments.sha256"] = (changes["hash→attachments.sha256"] || 0) + 1;
+        return { ...y, attachments: { ...(d.attachments || {}), sha256: h } };
+      });
+      return { ...rest(data, ["docs", "items"]), docs };
+    }
+  },
+  cross_links: {
+    1: (data, changes, opts) => {
+      const g = normalizeGraph(data, { registry: opts.registry });
+      if (!Array.isArray(data?.nodes)) changes["nodes derived"] = g.nodes.length;
+      return rest(g, []);
+    }
+  }
+};
+
+function unsupported(kind, version, message){
+  return Object.assign(new Error(message), { code: "unsupported_schema_version", file: kind, version, supported: CURRENT[kind] });
+}
+
+/**
+ * Why `data` is not any accepted envelope of `kind` (null when it is): registry and search are an array or an
+ * object holding one; cross_links is any graph shape (an object, or an edges array). Malformed files are not
+ * migrated — an upgrade would turn `search: "x"` into an empty, valid v2 file — so the schemas see them as sent.
+ */
+function envelopeError(kind, data){
+  const keys = { registry: ["items", "docs", "registry"], search: ["docs", "items"] }[kind];
+  if (Array.isArray(data)) return null;
+  if (!data || typeof data !== "object") return `${kind}: expected ${keys ? "an array or an object" : "a graph object"}, got ${data === null ? "null" : typeof data}`;
+  if (keys && !keys.some(k => Array.isArray(data[k]))) return `${kind}: no ${keys.join("/")} array`;
+  return null;
+}
+
+/** Version a file declares; files without `schema_version` (and bare arrays) are version 1. */
+function schemaVersion(data){
+  if (!data || Array.isArray(data) || typeof data !== "object" || data.schema_version == null) return 1;
+  return Number(data.schema_version);
+}
+
+/**
+ * Upgrade one canonical file to the current version (or opts.to), one step at a time.
+ * @param {"registry"|"search"|"cross_links"} kind
+ * @param {any} data - any accepted envelope of that file
+ * @param {{ to?:number, registry?:Array }} [opts] - registry: items used to derive graph nodes (cross_links)
+ * @returns {{ data:object, from:number, to:number, steps:Array<{ from:number, to:number, changes:Object<string,number> }> }}
+ * @throws {Error} code "unsupported_schema_version" for unknown kinds, newer or malformed versions
+ */
+function migrate(kind, data, opts = {}){
+  const to = opts.to ?? CURRENT[kind];
+  if (!CURRENT[kind]) throw unsupported(kind, null, `unknown canonical file "${kind}"`);
+  const from = schemaVersion(data);
+  if (!Number.isInteger(from) || from < 1) throw unsupported(kind, data.schema_version, `${kind}: invalid schema_version ${JSON.stringify(data.schema_version)}`);
+  if (from > CURRENT[kind]) throw unsupported(kind, from, `${kind}: schema_version ${from} is newer than supported (${CURRENT[kind]})`);
+  const steps = [];
+  let cur = data;
+  for (let v = from; v < to; v++) {
+    const step = MIGRATIONS[kind][v];
+    if (!step) throw unsupported(kind, v, `${kind}: no migration from schema_version ${v}`);
+    const changes = {};
+    cur = { schema_version: v + 1, ...step(cur, changes, opts) };
+    steps.push({ from: v, to: v + 1, changes });
+  }
+  return { data: cur, from, to: Math.max(from, to), steps };
+}
+
+/**
+ * Upgrade whichever canonicals are present (undefined/null and malformed envelopes stay as they are). Search
+ * may come as one file or as shards ([{ file, data }]); every shard is migrated on its own.
+ * @returns {{ registry:any, search:any, cross:any, searchShards:any, versions:Object<string,{ from:number, to:number, steps:Array }> }}
+ */
+function migrateCanonicals({ registry, search, cross, searchShards }){
+  const versions = {};
+  const run = (kind, data, label = kind, opts) => {
+    if (data == null || envelopeError(kind, data)) return data;
+    const r = migrate(kind, data, opts);
+    versions[label] = { from: r.from, to: r.to, steps: r.steps };
+    return r.data;
+  };
+  const reg = run("registry", registry);
+  return {
+    registry: reg,
+    search: run("search", search),
+    cross: run("cross_links", cross, "cross_links", { registry: reg?.items }),
+    searchShards: Array.isArray(searchShards)
+      ? searchShards.map((s, i) => s && s.data != null ? { ...s, data: run("search", s.data, `search/${s.file || `shard-${i}`}`) } : s)
+      : searchShards,
+    versions
+  };
+}
+
+// Files the run had to upgrade: "registry 1→2, cross_links 1→2"
+const describeVersions = (versions) => Object.entries(versions || {})
+  .filter(([, v]) => v.steps.length).map(([k, v]) => `${k} ${v.from}→${v.to}`).join(", ");
+
+module.exports = { migrate, migrateCanonicals, schemaVersion, envelopeError, describeVersions, CURRENT, MIGRATIONS };
@@ -1,9 +1,38 @@
 // api/kb/commit.js — CommonJS (Node 18+ on Vercel)
 // Performs authenticated commits of canonical KB files to GitHub.
+// All files land in ONE commit via the Git Data API (blobs → tree → commit → ref update).
 // Supports single search.json or sharded /docs/search/index.json + search-*.json.
+// GH_API_URL overrides https://api.github.com (GitHub Enterprise, local stubs).
+// Optimistic concurrency: POST `base_commit` (and/or `base_shas` {path: blob sha}); if the canonical
+// files moved since that base the commit is refused with 409 + conflict report. GET returns the
+// current head commit and canonical blob SHAs to use as the next base.
+// Baseline: deltas, the dry-run diff and the integrity baseline compare the payload with the canonicals at the
+// branch head (read through the API), not with the /docs this deployment was built from.
+// Preview: `dry_run: true` (or ?dry_run=1) validates, stamps and computes stats, then returns a
+// per-collection diff against that baseline and the projected kb_stats.json — no writes.
+// Integrity: cross-file checks (lib/integrity.js) run against that baseline; a payload that
+// introduces a new issue (orphan search doc, dangling edge, duplicate slug, …) is refused with 422.
+// Versions: payload files older than the current schema_version (lib/versions.js) are migrated and committed
+// at the current version (`schema_versions` in the response); a file from a newer schema is refused with 422.
+// Both validation 422s carry `report`: the per-file kb.validation/1 report (lib/validation.js) that /api/kb/validate returns.
+// Lint: the blocks a payload adds or changes are linted (lib/lint.js) into docs/lint_report.json; with
+// `lint: "block"` (or KB_LINT_MODE=block) lint errors refuse the commit with 422 `lint_failed` + the report.
+// ROI: stats.roi prices the blocks a payload adds or changes with lib/roi.js and schemas/roi_rates.json (the rate
+// cards the ingester uses); docs/kb_roi_report.json adds up the ROI of every live block.
+// Review: `mode: "pr"` (or KB_COMMIT_MODE=pr) commits to a fresh kb/ingest-<correlationId>-<suffix> branch and
+// opens a pull request against GH_BRANCH with stats, deltas and health flags in the body.
 
 const fs = require("fs").promises;
 const path = require("path");
+const { diffCollection, edgeKey } = require("../../.github/workflows/schemas/lib/diff");
+const { analyzeGraph, graphSummary } = require("../../.github/workflows/schemas/lib/graph");
+const { graphShape, normalizeGraph, isTombstone } = require("../../.github/workflows/schemas/lib/core");
+const { graphCounts, liveCounts } = require("../../.github/workflows/schemas/lib/stats");
+const { checkIntegrity } = require("../../.github/workflows/schemas/lib/integrity");
+const { validateFile, buildReport } = require("../../.github/workflows/schemas/lib/validation");
+const { lintDocs } = require("../../.github/workflows/schemas/lib/lint");
+const { blockROI, roiSummary, rateCard, buildROIReport } = require("../../.github/workflows/schemas/lib/roi");
+const { migrateCanonicals, describeVersions, envelopeError } = require("../../.github/workflows/schemas/lib/versions");
 
 // Optional: inline Ajv validation; disabled if schemas missing
 let Ajv;
@@ -29,13 +58,13 @@ module.exports = async (req, res) => {
     if (req.method === "OPTIONS") {
       if (!originAllowed) return res.status(403).end();
       res.setHeader("Access-Control-Allow-Origin", origin || "*");
-      res.setHeader("Access-Control-Allow-Methods", "POST,OPTIONS");
-      res.setHeader("Access-Control-Allow-Headers", "content-type,x-kb-key,x-roi-rate,x-correlation-id");
+      res.setHeader("Access-Control-Allow-Methods", "GET,POST,OPTIONS");
+      res.setHeader("Access-Control-Allow-Headers", "content-type,x-kb-key,x-correlation-id");
       res.setHeader("Access-Control-Max-Age", "86400");
       return res.status(204).end();
     }
 
-    if (req.method !== "POST") {
+    if (req.method !== "POST" && req.method !== "GET") {
       return json(res, 405, { ok: false, error: "method_not_allowed" }, origin, originAllowed);
     }
 
@@ -48,18 +77,7 @@ module.exports = async (req, res) => {
       return json(res, 403, { ok: false, error: "origin_forbidden", origin, allowed }, origin, originAllowed);
     }
 
-    // --- Parse JSON body ---
-    const payload = await readBody(req);
-    const {
-      registry,            // array OR {items|docs|registry}
-      search,              // array OR {items|docs} (non-sharded mode)
-      cross,               // graph or neighbor map
-      searchManifest,      // { total, shards:[{file,count}] }
-      searchShards,        // [{ file, data: {docs:[...] or items:[...] } }, ...]
-      message
-    } = payload || {};
-
-    // --- GitHub Contents API env ---
+    // --- GitHub API env ---
     const OWNER  = process.env.GH_OWNER;
     const REPO   = process.env.GH_REPO;
     const BRANCH = process.env.GH_BRANCH || "main";
@@ -67,9 +85,49 @@ module.exports = async (req, res) => {
     if (!OWNER || !REPO || !TOKEN) {
       return json(res, 500, { ok: false, error: "missing_env", need: ["GH_OWNER","GH_REPO","GH_TOKEN"] }, origin, originAllowed);
     }
+    const gh = { OWNER, REPO, BRANCH, TOKEN, API: process.env.GH_API_URL || "https://api.github.com" };
+
+    // --- GET: current base revision for optimistic concurrency ---
+    if (req.method === "GET") {
+      const head = await headRevision(gh);
+      return json(res, 200, { ok: true, branch: BRANCH, base_commit: head.sha, base_shas: Object.fromEntries(head.canonical) }, origin, originAllowed);
+    }
+
+    // --- Parse JSON body ---
+    const payload = await readBody(req);
+    const crossShape = payload?.cross == null ? null : graphShape(payload.cross);
+    // Older schema versions are upgraded step by step; a newer one than this deployment knows is refused
+    let upgraded;
+    try {
+      upgraded = migrateCanonicals(payload || {});
+    } catch (e) {
+      if (e.code !== "unsupported_schema_version") throw e;
+      return json(res, 422, { ok: false, error: e.code, file: e.file, version: e.version, supported: e.supported, detail: e.message }, origin, originAllowed);
+    }
+    const {
+      registry,            // array OR {items|docs|registry} (→ { schema_version, items })
+      search,              // array OR {items|docs} (non-sharded mode) (→ { schema_version, docs })
+      cross: crossRaw,     // graph or neighbor map (→ { schema_version, nodes, edges })
+      searchManifest,      // { total, shards:[{file,count}] }
+      searchShards,        // [{ file, data: {docs:[...] or items:[...] } }, ...] (each shard migrated on its own)
+      searchIndex,         // optional inverted index { header, files:[{ file, data:{postings} }] }
+      pendingLinks,        // optional unresolved-links queue { format, updated_at, links:[...] }
+      linkSuggestions,     // optional candidate links for orphan blocks { format, generated_at, blocks:[...] }
+      base_commit,         // optional commit SHA the payload was merged against
+      base_shas,           // optional { "docs/registry.json": "<blob sha>", ... }
+      message
+    } = { ...payload, ...upgraded };
+    const schemaVersions = upgraded.versions;
+    // Every accepted graph shape is validated and committed as { nodes, edges }; nodes missing from the
+    // payload are derived from its registry. A value that is no graph at all is validated (and refused) as sent.
+    const cross = crossRaw === undefined || envelopeError("cross_links", crossRaw) ? crossRaw : normalizeGraph(crossRaw, { registry: registryItems(registry) });
+    const dryRun = payload?.dry_run === true || /^(1|true)$/i.test(String(req.query?.dry_run || ""));
+    const prMode = (payload?.mode || process.env.KB_COMMIT_MODE || "direct") === "pr";
+    const lintBlock = (payload?.lint || process.env.KB_LINT_MODE || "report") === "block";
 
     // --- Optional Ajv validation (skip if schemas missing) ---
-    let schemaOk = true, schemaErrors = [];
+    // every file gets its own compiled validator, so all failing files (and shards) are reported
+    const schemaFiles = [];
     try {
       if (Ajv) {
         const schemasDir = path.join(process.cwd(), "schemas");
@@ -79,49 +137,60 @@ module.exports = async (req, res) => {
         const regSchema   = await loadIf(path.join(schemasDir, "registry.schema.json"));
         const searchSchema= await loadIf(path.join(schemasDir, "search.schema.json"));
         const crossSchema = await loadIf(path.join(schemasDir, "cross_links.schema.json"));
+        const relSchema   = await loadIf(path.join(schemasDir, "relation_types.schema.json")); // $ref'd by cross_links edge `type`
+        if (relSchema) ajv.addSchema(relSchema);
 
-        if (regSchema && registry !== undefined) {
-          if (!ajv.validate(regSchema, registry)) { schemaOk = false; schemaErrors.push(...(ajv.errors || [])); }
-        }
+        // registry and cross_links are always written, so both must be sent
+        if (regSchema) schemaFiles.push(validateFile("registry", ajv.compile(regSchema), registry, { required: true }));
         if (searchSchema) {
-          if (search) {
-            if (!ajv.validate(searchSchema, search)) { schemaOk = false; schemaErrors.push(...(ajv.errors || [])); }
-          } else if (searchManifest && Array.isArray(searchShards)) {
-            for (const s of searchShards) {
-              if (!ajv.validate(searchSchema, s.data)) { schemaOk = false; schemaErrors.push(...(ajv.errors || [])); break; }
-            }
+          const vSearch = ajv.compile(searchSchema);
+          if (search) schemaFiles.push(validateFile("search", vSearch, search));
+          else if (searchManifest && Array.isArray(searchShards)) {
+            searchShards.forEach((s, i) => schemaFiles.push(validateFile(`search/${s?.file || `shard-${i}`}`, vSearch, s?.data)));
           }
         }
-        if (crossSchema && cross !== undefined) {
-          if (!ajv.validate(crossSchema, cross)) { schemaOk = false; schemaErrors.push(...(ajv.errors || [])); }
-        }
+        if (crossSchema) schemaFiles.push(validateFile("cross_links", ajv.compile(crossSchema), cross, { required: true }));
       }
     } catch (e) {
-      schemaOk = false;
-      schemaErrors.push({ message: "validator_exception", detail: String(e?.message || e) });
+      return json(res, 422, { ok: false, error: "schema_validation_failed", detail: "validator_exception: " + String(e?.message || e) }, origin, originAllowed);
     }
-    if (!schemaOk) {
-      return json(res, 422, { ok: false, error: "schema_validation_failed", errors: (schemaErrors||[]).slice(0,3) }, origin, originAllowed);
+    if (schemaFiles.some(f => !f.ok)) {
+      const report = buildReport(schemaFiles);
+      return json(res, 422, { ok: false, error: "schema_validation_failed", summary: report.summary, report }, origin, originAllowed);
     }
 
-    // --- Read CURRENT canonicals from local /docs (for deltas & shape baselines) ---
-    const docsDir = path.join(process.cwd(), "docs");
-    let prevRegStr = null, prevSeaStr = null, prevXlnStr = null, prevManStr = null;
-    let prevReg = null, prevSea = null, prevXln = null, prevMan = null;
-    try {
-      [prevRegStr, prevSeaStr, prevXlnStr] = await Promise.all([
-        fs.readFile(path.join(docsDir, "registry.json"), "utf8"),
-        fs.readFile(path.join(docsDir, "search.json"), "utf8").catch(() => null),
-        fs.readFile(path.join(docsDir, "cross_links.json"), "utf8")
-      ]);
-      prevReg = JSON.parse(prevRegStr);
-      if (prevSeaStr) prevSea = JSON.parse(prevSeaStr);
-      prevXln = JSON.parse(prevXlnStr);
-    } catch { /* first run / missing files OK */ }
-    try {
-      prevManStr = await fs.readFile(path.join(docsDir, "search", "index.json"), "utf8");
-      prevMan = JSON.parse(prevManStr);
-    } catch { /* no manifest locally */ }
+    // --- Read CURRENT canonicals at the branch head (for deltas, the dry-run diff & the integrity baseline) ---
+    const headRev = await headRevision(gh);
+    const [prevRegStr, prevSeaStr, prevXlnStr, prevManStr] = await Promise.all(
+      ["docs/registry.json", "docs/search.json", "docs/cross_links.json", "docs/search/index.json"].map(p => readHeadFile(headRev, p, gh)));
+    const prevReg = parseOrNull(prevRegStr), prevSea = parseOrNull(prevSeaStr);
+    const prevXln = parseOrNull(prevXlnStr), prevMan = parseOrNull(prevManStr); // first run / missing files OK
+
+    // --- Referential integrity gate: refuse issues this payload introduces (those already published pass) ---
+    const repoFileExists = treeExists(headRev.blobs);
+    // (sharded payloads are checked as one concatenated docs list)
+    const nextDocsIn = search || (searchShards || []).flatMap(s => searchDocs(s?.data));
+    const prevDocs = prevSea ? searchDocs(prevSea) : await readHeadShards(headRev, prevMan, gh);
+    // (the published files are compared at the current schema version, so a migration alone is not an issue)
+    const published = migrateCanonicals({ registry: prevReg, search: prevDocs, cross: prevXln });
+    const baseline = checkIntegrity(published, { exists: repoFileExists });
+    const integrity = checkIntegrity({ registry, search: nextDocsIn, cross }, { baseline, exists: repoFileExists });
+    if (!integrity.ok) {
+      const introduced = integrity.issues.filter(i => !i.existing);
+      return json(res, 422, {
+        ok: false, error: "integrity_failed", introduced: introduced.length, counts: integrity.counts, issues: introduced.slice(0, 20),
+        report: buildReport(schemaFiles, { integrity })
+      }, origin, originAllowed);
+    }
+
+    // --- Content lint of the blocks this payload adds or changes (new id or new sha256) ---
+    const prevSha = new Map(searchDocs(published.search).filter(d => d && !isTombstone(d)).map(d => [String(d.id), d.attachments?.sha256 ?? null]));
+    const touched = searchDocs(nextDocsIn).filter(d => d && !isTombstone(d) && prevSha.get(String(d.id)) !== (d.attachments?.sha256 ?? null)).map(d => d.id);
+    const profiles = await fs.readFile(path.join(process.cwd(), "schemas", "ingest_profiles.json"), "utf8").then(JSON.parse).catch(() => null);
+    const lintReport = lintDocs(searchDocs(nextDocsIn), { scope: touched, registry: registryItems(registry), edges: graphEdges(cross), profiles });
+    if (lintBlock && !lintReport.ok) {
+      return json(res, 422, { ok: false, error: "lint_failed", counts: lintReport.counts, lint: lintReport }, origin, originAllowed);
+    }
 
     // --- Timestamps (non-destructive, do not mutate nested docs) ---
     const ts = new Date().toISOString();
@@ -139,15 +208,17 @@ module.exports = async (req, res) => {
     });
     const next = extractMetrics(nextRegistry, pickSearch(nextSearch, nextManifest), nextCross);
 
-    const rateUsd     = Number(req.headers["x-roi-rate"] || 120);
     const deltaCounts = {
       registry_items: (next.counts.registry_items ?? 0) - (prev.counts.registry_items ?? 0),
       search_docs:    (next.counts.search_docs ?? 0)    - (prev.counts.search_docs ?? 0),
       edges:          (next.counts.edges ?? 0)          - (prev.counts.edges ?? 0)
     };
-    const blocksAdded  = Math.max(0, deltaCounts.search_docs || 0);
-    const savedMinutes = blocksAdded * 15;
-    const valueUsd     = Number(((savedMinutes / 60) * rateUsd).toFixed(2));
+    // ROI of the added/changed blocks: their registry `roi` (stamped at ingest), else priced from the rate cards
+    const rates = rateCard(await fs.readFile(path.join(process.cwd(), "schemas", "roi_rates.json"), "utf8").then(JSON.parse).catch(() => null));
+    const docById = new Map(searchDocs(nextDocsIn).map(d => [String(d?.id), d]));
+    const touchedIds = new Set(touched.map(String));
+    const roi = roiSummary(registryItems(registry).filter(r => r && !isTombstone(r) && touchedIds.has(String(r.id)))
+      .map(r => r.roi || blockROI(r, docById.get(String(r.id)), rates)), rates);
 
     const thresholds = next.thresholds || {
       search_max_kb: 5000, registry_max_kb: 2000, cross_max_kb: 5000,
@@ -158,68 +229,127 @@ module.exports = async (req, res) => {
                  && (next.sizes_kb.cross_kb    ?? 0) <= thresholds.cross_max_kb;
     const graph_ok = (next.counts.unresolved_edges ?? 0) <= thresholds.unresolved_max;
 
+    // Graph analytics over the graph being committed → docs/kb_graph_report.json (+ headline counts in stats.graph)
+    const graphReport = analyzeGraph(nextCross, { registry: registryItems(nextRegistry), now: ts });
+
     const stats = {
       ts,
       updated_at: ts,
       counts: next.counts,
       sizes_kb: next.sizes_kb,
       quality: next.quality,
-      graph: next.graph,
+      graph: { ...next.graph, ...graphSummary(graphReport) },
       thresholds,
       delta: deltaCounts,
-      roi: { blocks_added: blocksAdded, saved_minutes_est: savedMinutes, rate_usd_per_hour: rateUsd, value_usd_est: valueUsd },
+      roi,
       health: { size_ok, graph_ok },
       notes: (size_ok && graph_ok) ? null : "warn: size or graph thresholds exceeded"
     };
 
     const cid = req.headers["x-correlation-id"] || Math.random().toString(36).slice(2);
-    console.log(JSON.stringify({ event: "kb.commit", ts, correlationId: cid, repo: `${OWNER}/${REPO}`, branch: BRANCH, ok: true, counts: next.counts, delta: deltaCounts, roi: stats.roi }));
+    console.log(JSON.stringify({ event: "kb.commit", ts, correlationId: cid, repo: `${OWNER}/${REPO}`, branch: BRANCH, ok: true, dry_run: dryRun, cross_shape: crossShape, migrated: describeVersions(schemaVersions) || null, counts: next.counts, delta: deltaCounts, roi: stats.roi }));
 
     // --- Build commit set (preserve shapes) ---
     const commitMsg = message || "KB: update canonicals";
-    const regStr = JSON.stringify(nextRegistry, null, 2);
-    const crossStr = JSON.stringify(nextCross, null, 2);
 
-    const writes = [
-      putFile(`docs/registry.json`, regStr, commitMsg, { OWNER, REPO, BRANCH, TOKEN }),
-      putFile(`docs/cross_links.json`, crossStr, commitMsg, { OWNER, REPO, BRANCH, TOKEN })
+    // files: paths to write; deletes: paths removed if present; prunes: docs/search/* not in keep
+    const files = [
+      { path: `docs/registry.json`, content: JSON.stringify(nextRegistry, null, 2) },
+      { path: `docs/cross_links.json`, content: JSON.stringify(nextCross, null, 2) }
     ];
+    const deletes = [], prunes = [];
 
     if (nextManifest && Array.isArray(searchShards) && !nextSearch) {
       // Sharded: manifest + shards, prune single + stale shards
-      const manStr = JSON.stringify(nextManifest, null, 2);
-      writes.push(putFile(`docs/search/index.json`, manStr, commitMsg, { OWNER, REPO, BRANCH, TOKEN }));
+      files.push({ path: `docs/search/index.json`, content: JSON.stringify(nextManifest, null, 2) });
 
       const shardNames = new Set();
       for (const s of searchShards) {
         if (!s || !s.file || !s.data) continue;
         shardNames.add(s.file);
-        writes.push(putFile(`docs/search/${s.file}`, JSON.stringify(s.data, null, 2), commitMsg, { OWNER, REPO, BRANCH, TOKEN }));
+        files.push({ path: `docs/search/${s.file}`, content: JSON.stringify(s.data, null, 2) });
       }
-      writes.push(deleteIfExists(`docs/search.json`, commitMsg, { OWNER, REPO, BRANCH, TOKEN }));
-      writes.push(pruneOtherShards(shardNames, commitMsg, { OWNER, REPO, BRANCH, TOKEN }));
+      deletes.push(`docs/search.json`);
+      prunes.push({ pattern: /^search-\d+\.json$/i, keep: shardNames });
     } else if (nextSearch) {
       // Single file; prune manifest + shards
-      const seaStr = JSON.stringify(nextSearch, null, 2);
-      writes.push(putFile(`docs/search.json`, seaStr, commitMsg, { OWNER, REPO, BRANCH, TOKEN }));
-      writes.push(deleteIfExists(`docs/search/index.json`, commitMsg, { OWNER, REPO, BRANCH, TOKEN }));
-      writes.push(pruneOtherShards(new Set(), commitMsg, { OWNER, REPO, BRANCH, TOKEN }));
+      files.push({ path: `docs/search.json`, content: JSON.stringify(nextSearch, null, 2) });
+      deletes.push(`docs/search/index.json`);
+      prunes.push({ pattern: /^search-\d+\.json$/i, keep: new Set() });
     } else {
       return json(res, 400, { ok: false, error: "missing_search_payload", hint: "Provide either `search` or (`searchManifest` + `searchShards`)." }, origin, originAllowed);
     }
 
-    // Stats + health history
-    writes.push(putFile(`docs/kb_stats.json`, JSON.stringify(stats, null, 2), commitMsg, { OWNER, REPO, BRANCH, TOKEN }));
+    // Inverted index (header + term shards); prune stale term shards
+    if (searchIndex && searchIndex.header && Array.isArray(searchIndex.files)) {
+      files.push({ path: `docs/search/terms.json`, content: JSON.stringify(searchIndex.header) });
+      const termNames = new Set();
+      for (const s of searchIndex.files) {
+        if (!s || !s.file || !s.data) continue;
+        termNames.add(s.file);
+        files.push({ path: `docs/search/${s.file}`, content: JSON.stringify(s.data) });
+      }
+      prunes.push({ pattern: /^terms-\d+\.json$/i, keep: termNames });
+    }
 
-    const history = await readRemoteJson(`docs/kb_health_history.json`, { OWNER, REPO, BRANCH, TOKEN }).catch(() => []);
+    // Pending/ambiguous cross-links queue (re-resolved by the next ingest)
+    if (pendingLinks && Array.isArray(pendingLinks.links)) {
+      files.push({ path: `docs/pending_links.json`, content: JSON.stringify(pendingLinks, null, 2) });
+    }
+    // Link suggestions still awaiting review (accepted ones are already edges in `cross`)
+    if (linkSuggestions && Array.isArray(linkSuggestions.blocks)) {
+      files.push({ path: `docs/link_suggestions.json`, content: JSON.stringify(linkSuggestions, null, 2) });
+    }
+
+    // Stats + graph report + health history
+    files.push({ path: `docs/kb_stats.json`, content: JSON.stringify(stats, null, 2) });
+    files.push({ path: `docs/kb_graph_report.json`, content: JSON.stringify(graphReport, null, 2) });
+    files.push({ path: `docs/lint_report.json`, content: JSON.stringify(lintReport, null, 2) });
+    const roiReport = buildROIReport({ registry: registryItems(nextRegistry), search: searchDocs(nextDocsIn), rates, now: ts });
+    files.push({ path: `docs/kb_roi_report.json`, content: JSON.stringify(roiReport, null, 2) });
+
+    // --- Dry run: report what would change, touch nothing ---
+    if (dryRun) {
+      const nextDocs = nextSearch ? searchDocs(nextSearch) : (searchShards || []).flatMap(s => searchDocs(s?.data));
+      const present = new Set(headRev.blobs.keys());
+      const removed = plannedDeletes(present, files, deletes, prunes);
+      const shardFiles = files.map(f => f.path).filter(p => /^docs\/search\/(search|terms)-\d+\.json$/i.test(p));
+      const diff = {
+        registry: diffCollection(registryItems(prevReg), registryItems(nextRegistry)),
+        search: diffCollection(prevDocs, nextDocs),
+        edges: diffCollection(graphEdges(prevXln), graphEdges(nextCross), edgeKey),
+        shards: {
+          mode: nextSearch ? "single" : "sharded",
+          created: shardFiles.filter(p => !present.has(p)),
+          updated: shardFiles.filter(p => present.has(p)),
+          pruned: removed.filter(p => p.startsWith("docs/search/"))
+        },
+        files: { write: files.map(f => f.path).concat(`docs/kb_health_history.json`), delete: removed }
+      };
+      res.setHeader("x-correlation-id", cid);
+      return json(res, 200, { ok: true, dry_run: true, correlationId: cid, diff, stats, schema_versions: schemaVersions, integrity: { counts: integrity.counts, introduced: 0 }, lint: lintReport.counts }, origin, originAllowed);
+    }
+
+    const history = await readRemoteJson(`docs/kb_health_history.json`, gh).catch(() => []);
     const compact = { ts: stats.ts, counts: stats.counts, delta: stats.delta, roi: stats.roi, size_kb: stats.sizes_kb };
     const nextHistory = Array.isArray(history) ? [...history, compact].slice(-365) : [compact];
-    writes.push(putFile(`docs/kb_health_history.json`, JSON.stringify(nextHistory, null, 2), commitMsg, { OWNER, REPO, BRANCH, TOKEN }));
+    files.push({ path: `docs/kb_health_history.json`, content: JSON.stringify(nextHistory, null, 2) });
 
-    const results = await Promise.all(writes);
+    // One tree, one commit, one ref update: either everything lands or nothing does.
+    const changes = { files, deletes, prunes, base: { commit: base_commit, shas: base_shas } };
+    let commit, pr = null;
+    try {
+      if (prMode) ({ commit, pr } = await commitViaPullRequest(changes, commitMsg, stats, cid, gh));
+      else commit = await commitFiles(changes, commitMsg, gh);
+    } catch (e) {
+      if (e.status !== 409) throw e;
+      console.log(JSON.stringify({ event: "kb.commit.conflict", ts, correlationId: cid, conflict: e.conflict }));
+      res.setHeader("x-correlation-id", cid);
+      return json(res, 409, { ok: false, error: "conflict", correlationId: cid, conflict: e.conflict }, origin, originAllowed);
+    }
 
     res.setHeader("x-correlation-id", cid);
-    return json(res, 200, { ok: true, correlationId: cid, results, stats }, origin, originAllowed);
+    return json(res, 200, { ok: true, correlationId: cid, commit, ...(pr ? { pull_request: pr } : {}), stats, schema_versions: schemaVersions, lint: lintReport.counts }, origin, originAllowed);
   } catch (e) {
     return json(res, 500, { ok: false, error: "commit_failed", detail: String(e?.message || e) });
   }
@@ -236,6 +366,42 @@ function json(res, status, body, origin, originAllowed = true) {
   return res.status(status).send(JSON.stringify(body));
 }
 
+function registryItems(o) {
+  return Array.isArray(o) ? o : Array.isArray(o?.items) ? o.items : Array.isArray(o?.docs) ? o.docs
+       : Array.isArray(o?.registry) ? o.registry : [];
+}
+function searchDocs(o) {
+  return Array.isArray(o?.docs) ? o.docs : Array.isArray(o?.items) ? o.items : Array.isArray(o) ? o : [];
+}
+// Edges from any accepted graph shape ({nodes,edges} | {graph:{...}} | neighbor map)
+function graphEdges(o) {
+  if (!o || typeof o !== "object") return [];
+  if (Array.isArray(o.edges)) return o.edges;
+  if (Array.isArray(o.graph?.edges)) return o.graph.edges;
+  return Object.entries(o).flatMap(([source, v]) =>
+    Array.isArray(v?.neighbors) ? v.neighbors.map(n => ({ source, target: typeof n === "object" ? n.id ?? n.target : n })) : []);
+}
+
+function parseOrNull(s) {
+  try { return s == null ? null : JSON.parse(s); }
+  catch { return null; }
+}
+
+async function readHeadShards(head, manifest, ctx) {
+  if (!manifest || !Array.isArray(manifest.shards)) return [];
+  const parts = await Promise.all(manifest.shards.map(s =>
+    readHeadFile(head, `docs/search/${s.file}`, ctx).then(t => searchDocs(parseOrNull(t)))));
+  return parts.flat();
+}
+
+// `exists` check for registry paths (as lib/integrity.js fileExists) against the head tree: repo root or docs/
+function treeExists(blobs) {
+  return (p) => {
+    const rel = String(p).replace(/^\.?\/+/, "");
+    return !!rel && (blobs.has(rel) || blobs.has(`docs/${rel}`));
+  };
+}
+
 function pickSearch(single, manifest) {
   // For metrics size calculation and counts: prefer single if present, else manifest.
   return single || manifest || null;
@@ -284,12 +450,12 @@ function extractMetrics(registryObj, searchObj, crossObj, raw = {}) {
   }
 
   const counts = {
-    registry_items: regArr.length,
-    search_docs: seaArr.length,
+    ...liveCounts(regArr, seaArr), // tombstones excluded, as in every history snapshot (lib/stats.js)
     nodes: mapNeighbors ? Object.keys(mapNeighbors).length : nodes.length,
     edges: mapNeighbors ? Object.values(mapNeighbors).reduce((a, v) => a + (v.neighbors?.length || 0), 0) : edges.length,
     unique_tags: 0,
-    unresolved_edges: 0
+    unresolved_edges: 0,
+    orphans_est: null
   };
 
   const tagSet = new Set();
@@ -300,9 +466,8 @@ function extractMetrics(registryObj, searchObj, crossObj, raw = {}) {
   }
   counts.unique_tags = tagSet.size;
 
-  if (!mapNeighbors && Array.isArray(edges)) {
-    counts.unresolved_edges = edges.filter(e => (e && e.status === "pending") || !e?.source || !e?.target).length;
-  }
+  // same unresolved/orphan figures as ingest and the daily health run (lib/stats.js), over the normalized graph
+  if (crossObj && typeof crossObj === "object") Object.assign(counts, graphCounts(normalizeGraph(crossObj, { registry: regArr })));
 
   const sizes_kb = {
     registry_kb: kbSize(raw.regStr ?? safeStringify(registryObj)),
@@ -352,71 +517,193 @@ function medianAgeDays(docs) {
   return times.length % 2 ? Number(times[mid].toFixed(1)) : Number(((times[mid - 1] + times[mid]) / 2).toFixed(1));
 }
 
-// ---- GitHub helpers ----
-async function readRemoteJson(pathname, { OWNER, REPO, BRANCH, TOKEN }) {
-  const r = await fetch(`https://api.github.com/repos/${OWNER}/${REPO}/contents/${pathname}?ref=${BRANCH}`, {
-    headers: { Authorization: `Bearer ${TOKEN}`, Accept: "application/vnd.github+json" }
+// ---- GitHub helpers (Git Data API) ----
+async function ghRequest(method, pathname, body, { OWNER, REPO, TOKEN, API }) {
+  const r = await fetch(`${API}/repos/${OWNER}/${REPO}/${pathname}`, {
+    method,
+    headers: { Authorization: `Bearer ${TOKEN}`, Accept: "application/vnd.github+json" },
+    ...(body ? { body: JSON.stringify(body) } : {})
   });
-  if (r.status === 404) throw new Error("not_found");
-  if (!r.ok) throw new Error(`GET ${pathname}: ${r.status} ${await r.text()}`);
-  const j = await r.json();
+  if (r.status === 404 && method === "GET") return null;
+  if (!r.ok) {
+    const err = new Error(`${method} ${pathname}: ${r.status} ${await r.text()}`);
+    err.status = r.status;
+    throw err;
+  }
+  return r.status === 204 ? null : r.json();
+}
+
+// Text of a file in a headRevision() tree; null when the tree has no such file
+async function readHeadFile(head, pathname, ctx) {
+  const sha = head.blobs.get(pathname);
+  const b = sha ? await ghRequest("GET", `git/blobs/${sha}`, null, ctx) : null;
+  return b ? Buffer.from(b.content || "", b.encoding === "base64" ? "base64" : "utf8").toString("utf8") : null;
+}
+
+async function readRemoteJson(pathname, ctx) {
+  const j = await ghRequest("GET", `contents/${pathname}?ref=${encodeURIComponent(ctx.BRANCH)}`, null, ctx);
+  if (!j) throw new Error("not_found");
   const buf = Buffer.from(j.content || "", "base64");
   return JSON.parse(buf.toString("utf8"));
 }
 
-async function putFile(pathname, content, msg, { OWNER, REPO, BRANCH, TOKEN }) {
-  const sha = await getSha(pathname, { OWNER, REPO, BRANCH, TOKEN });
-  const body = { message: msg, content: Buffer.from(content).toString("base64"), branch: BRANCH, ...(sha ? { sha } : {}) };
-  const r = await fetch(`https://api.github.com/repos/${OWNER}/${REPO}/contents/${pathname}`, {
-    method: "PUT",
-    headers: { Authorization: `Bearer ${TOKEN}`, Accept: "application/vnd.github+json" },
-    body: JSON.stringify(body)
-  });
-  if (!r.ok) throw new Error(`PUT ${pathname}: ${r.status} ${await r.text()}`);
-  return r.json();
+// Files whose concurrent modification invalidates a merge. kb_stats / history are derived and
+// rewritten by the daily health job, so they never count as conflicts.
+function isCanonical(p) {
+  return p === "docs/registry.json" || p === "docs/cross_links.json" || p === "docs/search.json"
+      || /^docs\/search\/[^/]+\.json$/.test(p);
 }
 
-async function deleteIfExists(pathname, msg, { OWNER, REPO, BRANCH, TOKEN }) {
-  const sha = await getSha(pathname, { OWNER, REPO, BRANCH, TOKEN });
-  if (!sha) return { skipped: true, path: pathname };
-  const r = await fetch(`https://api.github.com/repos/${OWNER}/${REPO}/contents/${pathname}`, {
-    method: "DELETE",
-    headers: { Authorization: `Bearer ${TOKEN}`, Accept: "application/vnd.github+json" },
-    body: JSON.stringify({ message: msg || `KB: delete ${pathname}`, sha, branch: BRANCH })
-  });
-  if (!r.ok && r.status !== 404) throw new Error(`DELETE ${pathname}: ${r.status} ${await r.text()}`);
-  return { deleted: true, path: pathname };
+async function treeBlobs(commitSha, ctx) {
+  const c = await ghRequest("GET", `git/commits/${commitSha}`, null, ctx);
+  if (!c) return null;
+  const t = await ghRequest("GET", `git/trees/${c.tree.sha}?recursive=1`, null, ctx);
+  const blobs = new Map((t?.tree || []).filter(e => e.type === "blob").map(e => [e.path, e.sha]));
+  return { treeSha: c.tree.sha, blobs };
 }
 
-async function getSha(pathname, { OWNER, REPO, BRANCH, TOKEN }) {
-  const r = await fetch(`https://api.github.com/repos/${OWNER}/${REPO}/contents/${pathname}?ref=${BRANCH}`, {
-    headers: { Authorization: `Bearer ${TOKEN}`, Accept: "application/vnd.github+json" }
-  });
-  if (r.status === 404) return undefined;
-  if (!r.ok) throw new Error(`GET sha ${pathname}: ${r.status} ${await r.text()}`);
-  const j = await r.json();
-  return j.sha;
+async function headRevision(ctx) {
+  const ref = await ghRequest("GET", `git/ref/heads/${ctx.BRANCH}`, null, ctx);
+  if (!ref) throw new Error(`branch_not_found: ${ctx.BRANCH}`);
+  const { treeSha, blobs } = await treeBlobs(ref.object.sha, ctx);
+  const canonical = [...blobs].filter(([p]) => isCanonical(p)).sort(([a], [b]) => a.localeCompare(b));
+  return { sha: ref.object.sha, treeSha, blobs, canonical };
 }
 
-async function listDir(pathname, { OWNER, REPO, BRANCH, TOKEN }) {
-  const r = await fetch(`https://api.github.com/repos/${OWNER}/${REPO}/contents/${pathname}?ref=${BRANCH}`, {
-    headers: { Authorization: `Bearer ${TOKEN}`, Accept: "application/vnd.github+json" }
-  });
-  if (r.status === 404) return [];
-  if (!r.ok) throw new Error(`LIST ${pathname}: ${r.status} ${await r.text()}`);
-  const arr = await r.json();
-  return Array.isArray(arr) ? arr : [];
+function conflictError(conflict) {
+  const err = new Error(`conflict: ${conflict.reason}`);
+  err.status = 409;
+  err.conflict = conflict;
+  return err;
+}
+
+// Which canonical files differ between the caller's base and the current head.
+async function checkBase(base, head, ctx) {
+  if (!base || (!base.commit && !base.shas)) return;
+  const changed = new Map();
+  if (base.commit && base.commit !== head.sha) {
+    const prev = await treeBlobs(base.commit, ctx);
+    if (!prev) throw conflictError({ reason: "unknown_base", base_commit: base.commit, head_commit: head.sha, files: [] });
+    for (const p of new Set([...prev.blobs.keys(), ...head.blobs.keys()])) {
+      if (!isCanonical(p)) continue;
+      const a = prev.blobs.get(p) || null, b = head.blobs.get(p) || null;
+      if (a !== b) changed.set(p, { path: p, base_sha: a, head_sha: b });
+    }
+  }
+  for (const [p, sha] of Object.entries(base.shas || {})) {
+    const b = head.blobs.get(p) || null;
+    if ((sha || null) !== b) changed.set(p, { path: p, base_sha: sha || null, head_sha: b });
+  }
+  if (changed.size) {
+    throw conflictError({ reason: "canonicals_moved", base_commit: base.commit || null, head_commit: head.sha, files: [...changed.values()] });
+  }
 }
 
-async function pruneOtherShards(keepSet, msg, ctx) {
-  const entries = await listDir(`docs/search`, ctx).catch(() => []);
-  const tasks = [];
-  for (const e of entries) {
-    if (e && e.type === "file" && /^search-\d+\.json$/i.test(e.name)) {
-      if (!keepSet.has(e.name)) tasks.push(deleteIfExists(`docs/search/${e.name}`, msg, ctx));
+// Paths to remove: explicit deletes that exist, plus docs/search/* matching a prune pattern but not kept.
+function plannedDeletes(present, files, deletes = [], prunes = []) {
+  const writing = new Set(files.map(f => f.path));
+  const removed = deletes.filter(p => present.has(p) && !writing.has(p));
+  for (const { pattern, keep } of prunes) {
+    for (const p of present) {
+      const m = p.match(/^docs\/search\/([^/]+)$/);
+      if (m && pattern.test(m[1]) && !keep.has(m[1]) && !writing.has(p) && !removed.includes(p)) removed.push(p);
     }
   }
-  return Promise.all(tasks);
+  return removed;
+}
+
+// blobs -> tree (on top of the branch head) -> commit -> fast-forward ref update.
+// Nothing is visible on the branch until the final ref PATCH succeeds.
+async function commitFiles({ files, deletes = [], prunes = [], base }, message, ctx) {
+  const head = await headRevision(ctx);
+  await checkBase(base, head, ctx);
+  const parentSha = head.sha;
+  const present = new Set(head.blobs.keys());
+
+  const removed = plannedDeletes(present, files, deletes, prunes);
+
+  const blobs = await Promise.all(files.map(f =>
+    ghRequest("POST", `git/blobs`, { content: Buffer.from(f.content).toString("base64"), encoding: "base64" }, ctx)
+  ));
+  const tree = await ghRequest("POST", `git/trees`, {
+    base_tree: head.treeSha,
+    tree: [
+      ...files.map((f, i) => ({ path: f.path, mode: "100644", type: "blob", sha: blobs[i].sha })),
+      ...removed.map(p => ({ path: p, mode: "100644", type: "blob", sha: null }))
+    ]
+  }, ctx);
+  const commit = await ghRequest("POST", `git/commits`, { message, tree: tree.sha, parents: [parentSha] }, ctx);
+  try {
+    await ghRequest("PATCH", `git/refs/heads/${ctx.BRANCH}`, { sha: commit.sha, force: false }, ctx);
+  } catch (e) {
+    // Non-fast-forward: someone committed between our read and our write.
+    if (e.status === 422) throw conflictError({ reason: "head_moved", base_commit: parentSha, head_commit: null, files: [] });
+    throw e;
+  }
+
+  return {
+    sha: commit.sha,
+    url: commit.html_url || null,
+    parent: parentSha,
+    branch: ctx.BRANCH,
+    files: files.map(f => f.path),
+    deleted: removed
+  };
+}
+
+// Branch off the current head, commit there, open a PR back into ctx.BRANCH.
+// The branch is removed again if the commit or the PR fails, so failures leave nothing behind. The correlation
+// id comes from the client (and repeats on retries), so the branch name also gets a unique suffix.
+async function commitViaPullRequest(changes, message, stats, cid, ctx) {
+  const suffix = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+  const branch = `kb/ingest-${String(cid).replace(/[^A-Za-z0-9._-]+/g, "-").slice(0, 80)}-${suffix}`;
+  const head = await headRevision(ctx);
+  try {
+    await ghRequest("POST", `git/refs`, { ref: `refs/heads/${branch}`, sha: head.sha }, ctx);
+  } catch (e) {
+    // "Reference already exists"
+    if (e.status === 422) throw conflictError({ reason: "branch_exists", base_commit: head.sha, head_commit: null, files: [], branch });
+    throw e;
+  }
+  let commit, pr;
+  try {
+    commit = await commitFiles(changes, message, { ...ctx, BRANCH: branch });
+    pr = await ghRequest("POST", `pulls`, {
+      title: message,
+      head: branch,
+      base: ctx.BRANCH,
+      body: pullRequestBody(stats, cid),
+      maintainer_can_modify: true
+    }, ctx);
+  } catch (e) {
+    await ghRequest("DELETE", `git/refs/heads/${branch}`, null, ctx).catch(() => {});
+    throw e;
+  }
+  return { commit, pr: { number: pr.number, url: pr.html_url, branch, base: ctx.BRANCH } };
+}
+
+function pullRequestBody(stats, cid) {
+  const c = stats.counts || {}, d = stats.delta || {}, h = stats.health || {};
+  const sign = (n) => (n > 0 ? `+${n}` : String(n ?? 0));
+  const flag = (ok) => (ok ? "✅" : "⚠️");
+  return [
+    `Automated KB ingest — correlation id \`${cid}\`.`,
+    ``,
+    `| | registry items | search docs | edges | unresolved edges |`,
+    `|---|---|---|---|---|`,
+    `| total | ${c.registry_items ?? 0} | ${c.search_docs ?? 0} | ${c.edges ?? 0} | ${c.unresolved_edges ?? 0} |`,
+    `| delta | ${sign(d.registry_items)} | ${sign(d.search_docs)} | ${sign(d.edges)} | |`,
+    ``,
+    `**Health:** size ${flag(h.size_ok)} · graph ${flag(h.graph_ok)}${stats.notes ? ` — ${stats.notes}` : ""}`,
+    `**ROI:** ${stats.roi?.blocks_added ?? 0} blocks, ~$${stats.roi?.value_usd_est ?? 0}`,
+    ``,
+    `<details><summary>kb_stats.json</summary>`,
+    ``,
+    "```json",
+    JSON.stringify(stats, null, 2),
+    "```",
+    `</details>`
+  ].join("\n");
 }
 
 // ---- shared body reader ----
@@ -0,0 +1,73 @@
+// api/kb/export.js — CommonJS (Node 18+ on Vercel)
+// Block-exact round-trip: rebuilds the Markdown master from docs/search.json (or sharded search/*). Every block
+// comes back byte for byte; text before a source's first block (its preamble) is not stored, so it is not restored.
+// GET /api/kb/export                     → text/markdown master (422 + report if any block fails sha256)
+// GET /api/kb/export?format=json         → { ok, sources, blocks, errors, superseded, skipped, files }
+// GET /api/kb/export?source=<file>       → text/markdown of one source file (block numbers count per source)
+// GET /api/kb/export?block=12[&source=…] → text/markdown of a single block (400 when several sources have one)
+
+const fs = require('fs').promises;
+const path = require('path');
+const { exportMarkdown } = require('../../.github/workflows/schemas/lib/export');
+const { sourceKey } = require('../../.github/workflows/schemas/lib/core');
+
+module.exports = async (req, res) => {
+  const t0 = Date.now();
+  if (req.method !== 'GET') return res.status(405).json({ ok: false, error: 'method_not_allowed' });
+  const query = req.query || Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+
+  try {
+    const docs = await loadDocs(path.join(process.cwd(), 'docs'));
+    const result = exportMarkdown(docs);
+    const ok = result.errors.length === 0;
+    console.log(JSON.stringify({ event: 'kb.export', ok, blocks: result.blocks.length, errors: result.errors.length, elapsed_ms: Date.now() - t0 }));
+
+    if (query.format === 'json') {
+      const { master, ...rest } = result;
+      const sources = rest.sources.map(({ content, ...s }) => ({ ...s, bytes: Buffer.byteLength(content, 'utf8') }));
+      return res.status(200).json({ ok, ...rest, sources, bytes: Buffer.byteLength(master, 'utf8'), elapsed_ms: Date.now() - t0 });
+    }
+
+    const report = { ok: false, error: 'verification_failed', errors: result.errors };
+    const inSource = (x) => query.source === undefined || String(x.source) === String(sourceKey(query.source));
+    let body = result.master;
+    if (query.block !== undefined) {
+      const hits = result.blocks.map((b, i) => i).filter(i => String(result.blocks[i].block_number) === String(query.block) && inSource(result.blocks[i]));
+      if (!hits.length) return res.status(404).json({ ok: false, error: 'block_not_found', block: query.block, ...(query.source !== undefined ? { source: query.source } : {}) });
+      if (hits.length > 1) return res.status(400).json({ ok: false, error: 'ambiguous_block', block: query.block, sources: hits.map(i => result.blocks[i].source) });
+      const [i] = hits;
+      if (!result.blocks[i].ok) return res.status(422).json({ ...report, errors: result.errors.filter(e => e.id === result.blocks[i].id) });
+      body = result.files[i].content;
+    } else if (query.source !== undefined) {
+      const src = result.sources.find(inSource);
+      if (!src) return res.status(404).json({ ok: false, error: 'source_not_found', source: query.source });
+      const errors = result.errors.filter(inSource);
+      if (errors.length) return res.status(422).json({ ...report, errors });
+      body = src.content;
+    } else if (!ok) {
+      return res.status(422).json(report);
+    }
+
+    res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+    res.setHeader('x-kb-export-blocks', String(query.block !== undefined ? 1 : result.blocks.filter(inSource).length));
+    return res.status(200).send(body);
+  } catch (e) {
+    console.error(JSON.stringify({ event: 'kb.export.error', error: String(e?.message || e) }));
+    return res.status(500).json({ ok: false, error: 'export_failed', detail: String(e?.message || e) });
+  }
+};
+
+async function readJson(p) {
+  return JSON.parse(await fs.readFile(p, 'utf8'));
+}
+
+async function loadDocs(docsDir) {
+  const pick = (o) => (Array.isArray(o?.docs) ? o.docs : Array.isArray(o?.items) ? o.items : Array.isArray(o) ? o : []);
+  try {
+    return pick(await readJson(path.join(docsDir, 'search.json')));
+  } catch {
+    const man = await readJson(path.join(docsDir, 'search', 'index.json'));
+    const shards = await Promise.all((man.shards || []).map(s => readJson(path.join(docsDir, 'search', s.file))));
+    return shards.flatMap(pick);
+  }
+}
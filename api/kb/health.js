@@ -1,8 +1,17 @@
+// api/kb/health.js — CommonJS (Node 18+ on Vercel)
+// GET /api/kb/health                        → counts, sizes, edges by type, graph report summary
+// GET /api/kb/health?graph=full             → … plus the whole docs/kb_graph_report.json
+// GET /api/kb/health?from=<block>&to=<block> → … plus the shortest path between two blocks (&directed=1)
+// Trends and regression alerts over the daily snapshots: api/kb/health/history.js
 const fs = require('fs').promises;
 const path = require('path');
+const { shortestPath } = require('../../.github/workflows/schemas/lib/graph');
+const { normalizeGraph } = require('../../.github/workflows/schemas/lib/core');
+const { graphCounts, liveCounts } = require('../../.github/workflows/schemas/lib/stats');
 
 module.exports = async (req, res) => {
   const t0 = Date.now();
+  const query = req.query || Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
   try {
     const docsDir = path.join(process.cwd(), 'docs');
     const [rS, sS, xS] = await Promise.all([
@@ -11,6 +20,8 @@ module.exports = async (req, res) => {
       fs.readFile(path.join(docsDir, 'cross_links.json'), 'utf8')
     ]);
     const reg = JSON.parse(rS), sea = JSON.parse(sS), xln = JSON.parse(xS);
+    // written by ingest / commit / kb-healthreport.js; optional
+    const report = await fs.readFile(path.join(docsDir, 'kb_graph_report.json'), 'utf8').then(JSON.parse).catch(() => null);
 
     const regArr = Array.isArray(reg) ? reg : Array.isArray(reg?.items) ? reg.items : Array.isArray(reg?.registry) ? reg.registry : [];
     const seaArr = Array.isArray(sea) ? sea : Array.isArray(sea?.docs) ? sea.docs : Array.isArray(sea?.items) ? sea.items : [];
@@ -21,17 +32,31 @@ module.exports = async (req, res) => {
     const uniqueTags = new Set();
     for (const d of seaArr) if (Array.isArray(d?.tags)) for (const t of d.tags) uniqueTags.add(String(t).toLowerCase());
 
-    const unresolved = edges.filter(e => !e?.source || !e?.target).length;
+    // unresolved/orphans as every kb_health_history.json writer counts them (lib/stats.js)
+    const { unresolved_edges: unresolved, orphans_est } = graphCounts(normalizeGraph(xln, { registry: regArr }));
+    const edgesByType = {};
+    for (const e of edges) {
+      const g = edgesByType[e?.type || e?.rel || 'ref'] ||= { edges: 0, unresolved: 0 };
+      g.edges++;
+      if (e?.status === 'pending' || e?.status === 'ambiguous') g.unresolved++;
+    }
 
     const out = {
       ok: true,
       ts: new Date().toISOString(),
       counts: {
-        registry_items: regArr.length,
-        search_docs: seaArr.length,
+        ...liveCounts(regArr, seaArr),
         edges: edges.length,
         unique_tags: uniqueTags.size,
-        unresolved_edges: unresolved
+        unresolved_edges: unresolved,
+        orphans_est
+      },
+      graph: {
+        edges_by_type: edgesByType,
+        report: report && {
+          generated_at: report.generated_at, counts: report.counts, main_component_share: report.components?.main?.share ?? null,
+          top_pagerank: (report.pagerank?.top || []).slice(0, 5), top_broken_targets: (report.broken_targets || []).slice(0, 5)
+        }
       },
       sizes_kb: {
         registry_kb: Math.round(Buffer.byteLength(rS) / 1024),
@@ -46,8 +71,14 @@ module.exports = async (req, res) => {
       },
       elapsed_ms: Date.now() - t0
     };
+    if (query.graph === 'full' && report) out.graph.report = report;
+    if (query.from && query.to) {
+      const directed = /^(1|true)$/i.test(String(query.directed || ''));
+      out.graph.path = shortestPath(xln, query.from, query.to, { directed }) || { from: query.from, to: query.to, hops: null, path: [], edges: [] };
+    }
 
-    console.log(JSON.stringify({ event: 'kb.health', ...out }));
+    // counts only: with ?graph=full the response carries the whole graph report
+    console.log(JSON.stringify({ event: 'kb.health', ok: out.ok, counts: out.counts, sizes_kb: out.sizes_kb, health: out.health, graph: query.graph || null, elapsed_ms: out.elapsed_ms }));
     return res.status(200).json(out);
   } catch (e) {
     console.error(JSON.stringify({ event: 'kb.health.error', error: String(e?.message || e) }));
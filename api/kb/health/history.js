@@ -0,0 +1,32 @@
+// api/kb/health/history.js — CommonJS (Node 18+ on Vercel)
+// GET /api/kb/health/history             → trends, headroom and alerts over docs/kb_health_history.json
+// GET /api/kb/health/history?series=30   → … plus the last 30 snapshots
+// GET /api/kb/health/history?alerts=only → alerts and counts only
+const fs = require('fs').promises;
+const path = require('path');
+const { analyzeHistory } = require('../../../.github/workflows/schemas/lib/trends');
+
+module.exports = async (req, res) => {
+  const t0 = Date.now();
+  const query = req.query || Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+  try {
+    const docsDir = path.join(process.cwd(), 'docs');
+    const readOpt = (f) => fs.readFile(path.join(docsDir, f), 'utf8').then(JSON.parse).catch(() => null);
+    const config = await fs.readFile(path.join(process.cwd(), 'schemas', 'health_alerts.json'), 'utf8').then(JSON.parse).catch(() => null);
+    // written by ingest / commit / kb-healthreport.js, and kb_health_trends.js; both optional
+    const [history, previous] = await Promise.all([readOpt('kb_health_history.json'), readOpt('kb_health_trends.json')]);
+
+    const series = Math.min(Math.max(parseInt(query.series, 10) || 0, 0), 365);
+    const report = analyzeHistory(history || [], { config, previous, series });
+    const out = query.alerts === 'only'
+      ? { ok: report.ok, generated_at: report.generated_at, counts: report.counts, alerts: report.alerts }
+      : report;
+    out.elapsed_ms = Date.now() - t0;
+
+    console.log(JSON.stringify({ event: 'kb.health.history', ok: out.ok, counts: out.counts, elapsed_ms: out.elapsed_ms }));
+    return res.status(200).json(out);
+  } catch (e) {
+    console.error(JSON.stringify({ event: 'kb.health.history.error', error: String(e?.message || e) }));
+    return res.status(500).json({ ok: false, error: 'health_history_failed', detail: String(e?.message || e) });
+  }
+};
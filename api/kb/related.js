@@ -0,0 +1,65 @@
+// api/kb/related.js — CommonJS (Node 18+ on Vercel)
+// "See also" for one block: graph proximity (cross_links.json) + tag overlap (registry) + TF-IDF
+// cosine over the search `tokens`, ranked and explained per signal.
+// GET /api/kb/related?id=<id|path|slug>&limit=10&graph_weight=0.4&tags_weight=0.2&text_weight=0.4
+
+const fs = require('fs').promises;
+const path = require('path');
+const { buildRelatedIndex, related, DEFAULT_WEIGHTS } = require('../../.github/workflows/schemas/lib/related');
+
+let indexPromise = null; // canonicals are static per deployment; build once per instance
+
+module.exports = async (req, res) => {
+  const t0 = Date.now();
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'GET') return res.status(405).json({ ok: false, error: 'method_not_allowed' });
+
+  const query = req.query || Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+  const id = String(query.id || '').trim();
+  if (!id) return res.status(400).json({ ok: false, error: 'missing_id', hint: 'Provide `id` (block id, path or slug).' });
+
+  try {
+    if (!indexPromise) indexPromise = loadIndex(path.join(process.cwd(), 'docs'));
+    const index = await indexPromise.catch(e => { indexPromise = null; throw e; });
+
+    const result = related(index, id, {
+      limit: query.limit,
+      weights: {
+        graph: numOr(query.graph_weight, DEFAULT_WEIGHTS.graph),
+        tags: numOr(query.tags_weight, DEFAULT_WEIGHTS.tags),
+        text: numOr(query.text_weight, DEFAULT_WEIGHTS.text)
+      }
+    });
+    if (!result) return res.status(404).json({ ok: false, error: 'block_not_found', id });
+
+    const out = { ok: true, ...result, elapsed_ms: Date.now() - t0 };
+    console.log(JSON.stringify({ event: 'kb.related', id, total: result.items.length, elapsed_ms: out.elapsed_ms }));
+    return res.status(200).json(out);
+  } catch (e) {
+    console.error(JSON.stringify({ event: 'kb.related.error', error: String(e?.message || e) }));
+    return res.status(500).json({ ok: false, error: 'related_failed', detail: String(e?.message || e) });
+  }
+};
+
+function numOr(v, def) {
+  const n = Number(v);
+  return v !== undefined && v !== '' && Number.isFinite(n) && n >= 0 ? n : def;
+}
+
+async function readJson(p) {
+  return JSON.parse(await fs.readFile(p, 'utf8'));
+}
+
+// Single search.json wins; otherwise concatenate the shards listed in search/index.json.
+async function loadIndex(docsDir) {
+  const opt = (p) => readJson(p).catch(() => null);
+  let search = await opt(path.join(docsDir, 'search.json'));
+  if (!search) {
+    const man = await readJson(path.join(docsDir, 'search', 'index.json'));
+    const shards = await Promise.all((man.shards || []).map(s => readJson(path.join(docsDir, 'search', s.file))));
+    search = { docs: shards.flatMap(s => s.docs || s.items || []) };
+  }
+  const [registry, cross] = await Promise.all([opt(path.join(docsDir, 'registry.json')), opt(path.join(docsDir, 'cross_links.json'))]);
+  return buildRelatedIndex({ search, registry, cross });
+}
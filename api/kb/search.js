@@ -0,0 +1,70 @@
+// api/kb/search.js — CommonJS (Node 18+ on Vercel)
+// Server-side BM25 search over docs/search.json or docs/search/index.json + search-*.json shards.
+// GET /api/kb/search?q=lead+gen&tags=sales,ops&page=1&per_page=10&title_boost=2&tags_boost=1.5
+
+const fs = require('fs').promises;
+const path = require('path');
+const { docsOf, buildCorpus, search, DEFAULT_BOOSTS } = require('../../.github/workflows/schemas/lib/search');
+
+let corpusPromise = null; // canonicals are static per deployment; build once per instance
+
+module.exports = async (req, res) => {
+  const t0 = Date.now();
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'GET') return res.status(405).json({ ok: false, error: 'method_not_allowed' });
+
+  const query = req.query || Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+  const q = String(query.q || '').trim();
+  const tags = String(query.tags || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (!q && !tags.length) {
+    return res.status(400).json({ ok: false, error: 'missing_query', hint: 'Provide `q` and/or `tags`.' });
+  }
+
+  try {
+    if (!corpusPromise) corpusPromise = loadCorpus(path.join(process.cwd(), 'docs'));
+    const corpus = await corpusPromise.catch(e => { corpusPromise = null; throw e; });
+
+    const result = search(corpus, q, {
+      tags,
+      page: query.page,
+      perPage: query.per_page || query.limit,
+      boosts: {
+        title: numOr(query.title_boost, DEFAULT_BOOSTS.title),
+        tags: numOr(query.tags_boost, DEFAULT_BOOSTS.tags)
+      }
+    });
+
+    const out = { ok: true, q, tags, ...result, elapsed_ms: Date.now() - t0 };
+    console.log(JSON.stringify({ event: 'kb.search', q, tags, total: result.total, page: result.page, elapsed_ms: out.elapsed_ms }));
+    return res.status(200).json(out);
+  } catch (e) {
+    console.error(JSON.stringify({ event: 'kb.search.error', error: String(e?.message || e) }));
+    return res.status(500).json({ ok: false, error: 'search_failed', detail: String(e?.message || e) });
+  }
+};
+
+function numOr(v, def) {
+  const n = Number(v);
+  return v !== undefined && v !== '' && Number.isFinite(n) && n >= 0 ? n : def;
+}
+
+async function readJson(p) {
+  return JSON.parse(await fs.readFile(p, 'utf8'));
+}
+
+// Single search.json wins; otherwise (only when there is none) concatenate the shards listed in
+// search/index.json. Hits link to their registry path when the doc has no url of its own.
+async function loadCorpus(docsDir) {
+  let docs;
+  try {
+    docs = docsOf(await readJson(path.join(docsDir, 'search.json')));
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e; // a corrupt search.json is an error, not a reason to serve stale shards
+    const man = await readJson(path.join(docsDir, 'search', 'index.json'));
+    const shards = await Promise.all((man.shards || []).map(s => readJson(path.join(docsDir, 'search', s.file))));
+    docs = shards.flatMap(docsOf);
+  }
+  const registry = await readJson(path.join(docsDir, 'registry.json')).catch(e => { if (e.code === 'ENOENT') return []; throw e; });
+  return buildCorpus(docs, { registry: Array.isArray(registry) ? registry : registry.items || registry.registry || [] });
+}
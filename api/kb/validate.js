@@ -1,6 +1,15 @@
 const Ajv = require('ajv');
 const fs = require('fs').promises;
 const path = require('path');
+const { graphShape, normalizeGraph } = require('../../.github/workflows/schemas/lib/core');
+const { checkIntegrity, fileExists, readCanonicals } = require('../../.github/workflows/schemas/lib/integrity');
+const { validateFile, buildReport, renderReport } = require('../../.github/workflows/schemas/lib/validation');
+const { migrateCanonicals, envelopeError } = require('../../.github/workflows/schemas/lib/versions');
+
+// POST { registry, search, cross? } → { ok, counts, cross_shape, report } (report: lib/validation.js, kb.validation/1)
+// ?format=text (or Accept: text/plain) → the same report rendered for a terminal
+// Older schema versions are validated as the current version they would commit as (report.versions);
+// a file from a newer schema version → 422 unsupported_schema_version
 
 module.exports = async (req, res) => {
   if (req.method !== 'POST') return res.status(405).json({ error: 'method_not_allowed' });
@@ -8,42 +17,74 @@ module.exports = async (req, res) => {
   let payload; try { payload = await readBody(req); } catch (e) {
     return res.status(400).json({ error: 'invalid_json', detail: String(e?.message || e) });
   }
-  const { registry, search, cross } = payload || {};
+  const crossShape = graphShape(payload?.cross);
+  let upgraded;
+  try { upgraded = migrateCanonicals(payload || {}); } catch (e) {
+    if (e.code !== 'unsupported_schema_version') throw e;
+    return res.status(422).json({ ok: false, error: e.code, file: e.file, version: e.version, supported: e.supported, detail: e.message });
+  }
+  const { registry, search, cross: crossRaw } = upgraded;
+  // legacy graph shapes (edges-only, { graph }, neighbor map) are validated as the { nodes, edges } they commit as;
+  // a file that is no graph at all (or none) is validated as sent
+  const cross = crossRaw === undefined || envelopeError('cross_links', crossRaw) ? crossRaw : normalizeGraph(crossRaw, { registry: listOf(registry) });
   const ajv = new Ajv({ allErrors: true, strict: false });
 
   try {
-    const [regS, seaS, xlnS] = await Promise.all([
+    const [regS, seaS, xlnS, relS] = await Promise.all([
       fs.readFile(path.join(process.cwd(), 'schemas/registry.schema.json'), 'utf8'),
       fs.readFile(path.join(process.cwd(), 'schemas/search.schema.json'), 'utf8'),
-      fs.readFile(path.join(process.cwd(), 'schemas/cross_links.schema.json'), 'utf8')
+      fs.readFile(path.join(process.cwd(), 'schemas/cross_links.schema.json'), 'utf8'),
+      fs.readFile(path.join(process.cwd(), 'schemas/relation_types.schema.json'), 'utf8')
     ]);
-    const okR = ajv.validate(JSON.parse(regS), registry);
-    const okS = ajv.validate(JSON.parse(seaS), search);
-    const okX = ajv.validate(JSON.parse(xlnS), cross);
-    const ok  = okR && okS && okX;
+    ajv.addSchema(JSON.parse(relS)); // edge `type` vocabulary, $ref'd by cross_links
+    const files = [
+      validateFile('registry', ajv.compile(JSON.parse(regS)), registry, { required: true }),
+      validateFile('search', ajv.compile(JSON.parse(seaS)), search, { required: true }),
+      validateFile('cross_links', ajv.compile(JSON.parse(xlnS)), cross)
+    ];
+
+    // Cross-file integrity; issues already in the published /docs canonicals are counted but do not fail
+    const exists = fileExists(process.cwd());
+    const baseline = checkIntegrity(readCanonicals(path.join(process.cwd(), 'docs')), { exists });
+    const integrity = checkIntegrity({ registry, search, cross }, { baseline, exists });
+    const report = buildReport(files, { integrity, versions: upgraded.versions });
+    const ok = report.ok;
 
     const counts = {
-      registry_items: Array.isArray(registry) ? registry.length :
-        Array.isArray(registry?.items) ? registry.items.length :
-        Array.isArray(registry?.registry) ? registry.registry.length : 0,
+      registry_items: listOf(registry).length,
       search_docs: Array.isArray(search) ? search.length :
         Array.isArray(search?.docs) ? search.docs.length :
-        Array.isArray(search?.items) ? search.items.length : 0
+        Array.isArray(search?.items) ? search.items.length : 0,
+      nodes: Array.isArray(cross?.nodes) ? cross.nodes.length : 0,
+      edges: Array.isArray(cross?.edges) ? cross.edges.length : 0
     };
 
     console.log(JSON.stringify({
       event: 'kb.validate',
       ts: new Date().toISOString(),
       correlationId: req.headers['x-correlation-id'] || null,
-      ok, counts, elapsed_ms: Date.now() - t0
+      ok, counts, cross_shape: crossShape, summary: report.summary, elapsed_ms: Date.now() - t0
     }));
 
-    return res.status(200).json({ ok, counts, errors: ajv.errors || [] });
+    const query = req.query || Object.fromEntries(new URL(req.url || '/', 'http://localhost').searchParams);
+    if (query.format === 'text' || /^text\/plain/.test(req.headers.accept || '')) {
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      return res.status(200).send(renderReport(report) + '\n');
+    }
+    // `errors`: every schema error, flat (older callers)
+    const errors = files.flatMap(f => f.errors.map(e => ({ file: f.file, ...e })));
+    return res.status(200).json({ ok, counts, cross_shape: crossShape, report, errors });
   } catch (e) {
     return res.status(500).json({ error: 'validation_failed', detail: String(e?.message || e) });
   }
 };
 
+function listOf(registry) {
+  return Array.isArray(registry) ? registry :
+    Array.isArray(registry?.items) ? registry.items :
+    Array.isArray(registry?.registry) ? registry.registry : [];
+}
+
 function readBody(req) {
   return new Promise((resolve, reject) => {
     let data = ''; req.on('data', c => (data += c));
@@ -9,24 +9,50 @@ import Ajv from "ajv";
 import regSchema from "@/schemas/registry.schema.json";
 import searchSchema from "@/schemas/search.schema.json";
 import xSchema from "@/schemas/cross_links.schema.json";
+import relSchema from "@/schemas/relation_types.schema.json";
+import path from "path";
+import { graphShape, normalizeGraph } from "../../../.github/workflows/schemas/lib/core";
+import { checkIntegrity, fileExists, readCanonicals } from "../../../.github/workflows/schemas/lib/integrity";
+import { validateFile, buildReport, renderReport } from "../../../.github/workflows/schemas/lib/validation";
+import { migrateCanonicals, envelopeError } from "../../../.github/workflows/schemas/lib/versions";
 
 const ajv = new Ajv({ allErrors: true, strict: false });
+ajv.addSchema(relSchema as any); // edge `type` vocabulary, $ref'd by cross_links
 const vReg = ajv.compile(regSchema as any);
 const vSearch = ajv.compile(searchSchema as any);
 const vCross = ajv.compile(xSchema as any);
 
 export async function POST(req: NextRequest) {
-  const { registry, search, cross } = await req.json();
-  const okR = vReg(registry);
-  const okS = vSearch(search);
-  const okC = vCross(cross);
-  const ok = !!(okR && okS && okC);
+  const payload = await req.json();
+  // older schema versions are validated as the current version they commit as; newer ones are refused
+  let upgraded: ReturnType<typeof migrateCanonicals>;
+  try { upgraded = migrateCanonicals(payload || {}); } catch (e: any) {
+    if (e?.code !== "unsupported_schema_version") throw e;
+    return NextResponse.json({ ok: false, error: e.code, file: e.file, version: e.version, supported: e.supported, detail: e.message }, { status: 422 });
+  }
+  const { registry, search, cross: crossRaw } = upgraded;
+  // legacy graph shapes (edges-only, { graph }, neighbor map) are validated as the { nodes, edges } they commit as;
+  // a file that is no graph at all (or none) is validated as sent
+  const items = Array.isArray(registry) ? registry : registry?.items ?? registry?.registry ?? [];
+  const cross = crossRaw === undefined || envelopeError("cross_links", crossRaw) ? crossRaw : normalizeGraph(crossRaw, { registry: items });
+  const files = [
+    validateFile("registry", vReg, registry, { required: true }),
+    validateFile("search", vSearch, search, { required: true }),
+    validateFile("cross_links", vCross, cross)
+  ];
+  // Cross-file integrity; issues already in the published /docs canonicals are counted but do not fail
+  const exists = fileExists(process.cwd());
+  const baseline = checkIntegrity(readCanonicals(path.join(process.cwd(), "docs")), { exists });
+  const integrity = checkIntegrity({ registry, search, cross }, { baseline, exists });
+  const report = buildReport(files, { integrity, versions: upgraded.versions });
+  // same report as api/kb/validate.js; ?format=text renders it for a terminal
+  if (req.nextUrl.searchParams.get("format") === "text" || /^text\/plain/.test(req.headers.get("accept") || "")) {
+    return new NextResponse(renderReport(report) + "\n", { headers: { "Content-Type": "text/plain; charset=utf-8" } });
+  }
   return NextResponse.json({
-    ok,
-    errors: {
-      registry: vReg.errors || [],
-      search: vSearch.errors || [],
-      cross: vCross.errors || []
-    }
+    ok: report.ok,
+    cross_shape: graphShape(payload?.cross),
+    report,
+    errors: files.flatMap(f => f.errors.map(e => ({ file: f.file, ...e })))
   });
 }
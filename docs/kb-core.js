@@ -0,0 +1,1485 @@
+// GENERATED by scripts/kb_sync_core.js from .github/workflows/schemas/lib/core.js. Do not edit.
+// lib/core.js
+// Isomorphic ingestion core: the ONE Markdown → registry/search/edges implementation shared by
+// the CLI (compose in lib/index.js), the Next.js KBUploader (parseMarkdown.ts) and the static
+// viewer (docs/kb-core.js, a synced copy — see scripts/kb_sync_core.js).
+// No Node built-ins and no dependencies: hashing is pure JS so IDs are identical in every runtime.
+//
+// Canonical scheme:
+//   id   = uuidv5(sha256(NFC(raw block)), NAMESPACE_KB)
+//   slug = slugifyTitle("Block N — Title"), made unique with -2, -3, …
+//   path = /docs/md/<slug>.md
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.KBCore = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // IMPORTANT: do not change; changing namespace will change every ID.
+  const NAMESPACE_KB = "b4b80c28-0e9c-5c53-9e31-8478a29799c1";
+
+  // ---------------- hashing ----------------
+  const K256 = [
+    0x428a2f98,0x71374491,0xb5c0fbcf,0xe9b5dba5,0x3956c25b,0x59f111f1,0x923f82a4,0xab1c5ed5,
+    0xd807aa98,0x12835b01,0x243185be,0x550c7dc3,0x72be5d74,0x80deb1fe,0x9bdc06a7,0xc19bf174,
+    0xe49b69c1,0xefbe4786,0x0fc19dc6,0x240ca1cc,0x2de92c6f,0x4a7484aa,0x5cb0a9dc,0x76f988da,
+    0x983e5152,0xa831c66d,0xb00327c8,0xbf597fc7,0xc6e00bf3,0xd5a79147,0x06ca6351,0x14292967,
+    0x27b70a85,0x2e1b2138,0x4d2c6dfc,0x53380d13,0x650a7354,0x766a0abb,0x81c2c92e,0x92722c85,
+    0xa2bfe8a1,0xa81a664b,0xc24b8b70,0xc76c51a3,0xd192e819,0xd6990624,0xf40e3585,0x106aa070,
+    0x19a4c116,0x1e376c08,0x2748774c,0x34b0bcb5,0x391c0cb3,0x4ed8aa4a,0x5b9cca4f,0x682e6ff3,
+    0x748f82ee,0x78a5636f,0x84c87814,0x8cc70208,0x90befffa,0xa4506ceb,0xbef9a3f7,0xc67178f2
+  ];
+
+  function utf8(str){ return new TextEncoder().encode(String(str)); }
+  function hex(bytes){ let s = ""; for (const b of bytes) s += b.toString(16).padStart(2, "0"); return s; }
+  function rotr(x, n){ return (x >>> n) | (x << (32 - n)); }
+  function rotl(x, n){ return (x << n) | (x >>> (32 - n)); }
+
+  // Merkle–Damgård padding shared by SHA-1 and SHA-256 (big-endian 64-bit bit length)
+  function pad(msg){
+    const len = ((msg.length + 9 + 63) >> 6) << 6;
+    const buf = new Uint8Array(len);
+    buf.set(msg); buf[msg.length] = 0x80;
+    const dv = new DataView(buf.buffer);
+    const bits = msg.length * 8;
+    dv.setUint32(len - 8, Math.floor(bits / 0x100000000));
+    dv.setUint32(len - 4, bits >>> 0);
+    return dv;
+  }
+
+  function sha256(msg){
+    const dv = pad(msg);
+    const H = new Uint32Array([0x6a09e667,0xbb67ae85,0x3c6ef372,0xa54ff53a,0x510e527f,0x9b05688c,0x1f83d9ab,0x5be0cd19]);
+    const W = new Uint32Array(64);
+    for (let off = 0; off < dv.byteLength; off += 64) {
+      for (let i = 0; i < 16; i++) W[i] = dv.getUint32(off + i * 4);
+      for (let i = 16; i < 64; i++) {
+        const x = W[i - 15], y = W[i - 2];
+        W[i] = W[i - 16] + (rotr(x, 7) ^ rotr(x, 18) ^ (x >>> 3)) + W[i - 7] + (rotr(y, 17) ^ rotr(y, 19) ^ (y >>> 10));
+      }
+      let a = H[0], b = H[1], c = H[2], d = H[3], e = H[4], f = H[5], g = H[6], h = H[7];
+      for (let i = 0; i < 64; i++) {
+        const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K256[i] + W[i]) | 0;
+        const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+        h = g; g = f; f = e; e = (d + t1) | 0; d = c; c = b; b = a; a = (t1 + t2) | 0;
+      }
+      H[0] += a; H[1] += b; H[2] += c; H[3] += d; H[4] += e; H[5] += f; H[6] += g; H[7] += h;
+    }
+    const out = new DataView(new ArrayBuffer(32));
+    H.forEach((v, i) => out.setUint32(i * 4, v));
+    return new Uint8Array(out.buffer);
+  }
+
+  function sha1(msg){
+    const dv = pad(msg);
+    const H = new Uint32Array([0x67452301,0xefcdab89,0x98badcfe,0x10325476,0xc3d2e1f0]);
+    const W = new Uint32Array(80);
+    for (let off = 0; off < dv.byteLength; off += 64) {
+      for (let i = 0; i < 16; i++) W[i] = dv.getUint32(off + i * 4);
+      for (let i = 16; i < 80; i++) W[i] = rotl(W[i - 3] ^ W[i - 8] ^ W[i - 14] ^ W[i - 16], 1);
+      let a = H[0], b = H[1], c = H[2], d = H[3], e = H[4];
+      for (let i = 0; i < 80; i++) {
+        const [f, k] = i < 20 ? [(b & c) | (~b & d), 0x5a827999]
+                     : i < 40 ? [b ^ c ^ d, 0x6ed9eba1]
+                     : i < 60 ? [(b & c) | (b & d) | (c & d), 0x8f1bbcdc]
+                     : [b ^ c ^ d, 0xca62c1d6];
+        const t = (rotl(a, 5) + f + e + k + W[i]) | 0;
+        e = d; d = c; c = rotl(b, 30); b = a; a = t;
+      }
+      H[0] += a; H[1] += b; H[2] += c; H[3] += d; H[4] += e;
+    }
+    const out = new DataView(new ArrayBuffer(20));
+    H.forEach((v, i) => out.setUint32(i * 4, v));
+    return new Uint8Array(out.buffer);
+  }
+
+  /** SHA-256 hex of a string (UTF-8) or byte array (Buffer/Uint8Array). */
+  function sha256Hex(input){
+    return hex(sha256(typeof input === "string" ? utf8(input) : new Uint8Array(input)));
+  }
+
+  /** RFC 4122 name-based UUID (SHA-1, version 5). */
+  function uuidv5(name, namespace){
+    const ns = namespace.replace(/-/g, "").match(/../g).map(h => parseInt(h, 16));
+    const nameBytes = utf8(name);
+    const msg = new Uint8Array(16 + nameBytes.length);
+    msg.set(ns); msg.set(nameBytes, 16);
+    const b = sha1(msg).slice(0, 16);
+    b[6] = (b[6] & 0x0f) | 0x50;
+    b[8] = (b[8] & 0x3f) | 0x80;
+    const h = hex(b);
+    return `${h.slice(0, 8)}-${h.slice(8, 12)}-${h.slice(12, 16)}-${h.slice(16, 20)}-${h.slice(20)}`;
+  }
+
+  function nfc(str){ return (str && typeof str.normalize === "function") ? str.normalize("NFC") : str; }
+
+  /** Stable ID for a raw Markdown block: uuidv5(sha256(NFC(raw)), NAMESPACE_KB) */
+  function stableId(rawMarkdown){
+    return uuidv5(sha256Hex(nfc(String(rawMarkdown || ""))), NAMESPACE_KB);
+  }
+
+  /** Basic slugify: lowercase, remove diacritics/punct, collapse dashes. */
+  function slugifyTitle(s){
+    return String(s || "")
+      .normalize("NFKD")
+      .toLowerCase()
+      .replace(/[^a-z0-9\s\-–—]/g, "")
+      .replace(/[\s–—]+/g, "-")
+      .replace(/-+/g, "-")
+      .replace(/^-|-$/g, "");
+  }
+
+  function canonicalPath(slug){ return `/docs/md/${slug}.md`; }
+
+  /** Append -2, -3, … until free; records the chosen slug in `taken`. */
+  function ensureUniqueSlug(slug, taken){
+    let s = slug, i = 2;
+    while (taken.has(s)) s = `${slug}-${i++}`;
+    taken.add(s);
+    return s;
+  }
+
+  // ---------------- profiles ----------------
+  // An ingestion profile says how a Markdown file splits into blocks and how a block's sections, tags and
+  // links are read. Callers pass schemas/ingest_profiles.json (or one profile) as opts.profile, and a name as
+  // opts.profileName; a profile only lists what differs from DEFAULT_PROFILE, the "## Block N — Title"
+  // format every earlier release ingested. `sections.names` maps a section key to the labels that open it.
+  const DEFAULT_PROFILE = {
+    segmentation: {
+      block_pattern: "^\\s*##\\s*Block\\s+(\\d+)\\b[^\\n]*$",  // capture 1 = block number
+      heading_levels: [2, 1],                                // fallbacks, tried in order when block_pattern finds nothing
+      front_matter: true,
+      horizontal_rules: false,                               // `---` / `***` / `___` also start a block
+      title: "block"                                         // "block": "Block N — …"; "heading": the heading text
+    },
+    sections: {
+      heading_level: 3,
+      styles: ["heading", "bold", "label"],                  // "### Name", "**Name:**" (and inline "**Name:** value"), "Name:";
+                                                             // "label_inline": "Name: value"
+      names: {
+        context: ["Context"], insights: ["Insights"], offer_applications: ["Offer Applications"],
+        benefits: ["Benefits"], risks: ["Risks"], mitigations: ["Mitigations"],
+        cross_links: ["Cross-links", "Cross links", "Crosslinks"], tags: ["Tags"],
+        roi_takeaway: ["ROI Takeaway"], roi: ["ROI"]
+      }
+    },
+    tags: { section: "tags", split: "[,\\s;|/]+", lowercase: true, hashtags: false },
+    links: { section: "cross_links", markdown: true, wiki: true },
+    lint: {                                                  // content checks of lib/lint.js
+      required_sections: [["context"], ["insights"], ["risks", "mitigations"], ["roi_takeaway", "roi"]], // one of each group
+      header_pattern: "^#{1,6}\\s*Block\\s+\\d+\\s*(?:—|–|-{1,2}|:)\\s*\\S",   // null: any header
+      min_words: 30, max_words: 2000,
+      severity: {}                                           // rule → "error" | "warning" | "info" | "off"
+    }
+  };
+  const escapeRe = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+  /**
+   * Compile a profile (or pick `name` — else `default` — from a { default, profiles } config).
+   * Throws on an unknown name, so a typo in --profile never silently ingests with the default rules.
+   */
+  function ingestProfile(spec, name){
+    if (spec && spec.compiled) return spec;
+    let p = spec || {}, key = name || "master";
+    if (spec && spec.profiles) {
+      key = name || spec.default || Object.keys(spec.profiles)[0];
+      p = spec.profiles[key];
+      if (!p) throw new Error(`unknown ingestion profile "${key}" (known: ${Object.keys(spec.profiles).join(", ")})`);
+    } else if (!spec && name && name !== "master") throw new Error(`unknown ingestion profile "${name}" (no profiles configured)`);
+    const seg = { ...DEFAULT_PROFILE.segmentation, ...(p.segmentation || {}) };
+    const sec = { ...DEFAULT_PROFILE.sections, ...(p.sections || {}) };
+    const tags = { ...DEFAULT_PROFILE.tags, ...(p.tags || {}) };
+    const links = { ...DEFAULT_PROFILE.links, ...(p.links || {}) };
+    const lint = { ...DEFAULT_PROFILE.lint, ...(p.lint || {}) };
+    const label = (k) => [].concat((sec.names || {})[k] || k)[0];
+    const styles = new Set(sec.styles);
+    return {
+      compiled: true, name: key,
+      block: seg.block_pattern ? new RegExp(seg.block_pattern, "gmi") : null,
+      headings: (seg.heading_levels || []).map(n => new RegExp(`^\\s*#{${n}}\\s+`, "gmi")),
+      frontMatter: seg.front_matter !== false, rules: !!seg.horizontal_rules, title: seg.title === "heading" ? "heading" : "block",
+      sections: Object.entries(sec.names || {}).flatMap(([k, names]) => [].concat(names).map(n => ({
+        key: k,
+        line: [
+          styles.has("heading") && new RegExp(`^#{${sec.heading_level}}\\s+${escapeRe(n)}\\s*$`, "i"),
+          styles.has("bold") && new RegExp(`^\\*\\*${escapeRe(n)}\\:\\*\\*\\s*$`, "i"),
+          styles.has("label") && new RegExp(`^${escapeRe(n)}\\:\\s*$`, "i")
+        ].filter(Boolean),
+        inline: [
+          styles.has("bold") && new RegExp(`^\\*\\*${escapeRe(n)}\\:\\*\\*\\s+(\\S.*)$`, "i"),
+          styles.has("label_inline") && new RegExp(`^${escapeRe(n)}\\:\\s+(\\S.*)$`, "i")
+        ].filter(Boolean)
+      }))),
+      tags: { section: tags.section, split: new RegExp(tags.split), lowercase: tags.lowercase !== false, hashtags: !!tags.hashtags },
+      links: { section: links.section, markdown: links.markdown !== false, wiki: links.wiki !== false },
+      lint: {
+        required: (lint.required_sections || []).map(g => [].concat(g).map(k => ({ key: k, label: label(k) }))),
+        header: lint.header_pattern ? new RegExp(lint.header_pattern, "i") : null,
+        min_words: lint.min_words ?? 0, max_words: lint.max_words ?? Infinity, severity: { ...(lint.severity || {}) }
+      }
+    };
+  }
+  const MASTER_PROFILE = ingestProfile(DEFAULT_PROFILE);
+  const profileOf = (opts = {}) => opts.profile || opts.profileName ? ingestProfile(opts.profile, opts.profileName) : MASTER_PROFILE;
+
+  // ---------------- segmentation ----------------
+  const RULE = /^[ \t]{0,3}(?:-[ \t]*){3,}$|^[ \t]{0,3}(?:\*[ \t]*){3,}$|^[ \t]{0,3}(?:_[ \t]*){3,}$/gm;
+
+  /** Split a Markdown file into blocks by the profile's rules (default: "## Block N" headings). */
+  function segmentIntoBlocks(raw, profile){
+    profile = profileOf({ profile });
+    const indices = [];
+    const skip = profile.frontMatter ? parseFrontMatter(raw).end : 0; // "# comment" lines in front-matter are not headings
+    let m;
+    if (profile.block) {
+      profile.block.lastIndex = skip;
+      while ((m = profile.block.exec(raw))) {
+        indices.push({ idx: m.index, header: m[0], num: /^\d+$/.test(m[1] || "") ? Number(m[1]) : null });
+        if (!m[0]) profile.block.lastIndex++;
+      }
+    }
+
+    // if none found, try fallbacks
+    if (!indices.length) {
+      for (const re of profile.headings) {
+        re.lastIndex = skip;
+        let fm;
+        // header_line of a fallback is the matched "## " prefix, as it always was; heading titles need the whole line
+        while ((fm = re.exec(raw))) indices.push({ idx: fm.index, header: profile.title === "heading" ? fm[0] + raw.slice(re.lastIndex).split(/\r?\n/)[0] : fm[0], num: null });
+        if (indices.length) break;
+      }
+    }
+
+    // thematic breaks after a blank line, outside code fences and block front-matter; a break right before a
+    // heading (or the end) starts nothing
+    if (profile.rules) {
+      const fences = [...raw.matchAll(/```[\s\S]*?```/g)].map(f => [f.index, f.index + f[0].length]);
+      if (profile.frontMatter) indices.forEach((h, i) => {
+        const fm = blockFrontMatter(raw.slice(h.idx, indices[i+1]?.idx ?? raw.length));
+        if (fm) fences.push([h.idx + fm.start, h.idx + fm.end]);
+      });
+      const body = (from, to) => raw.slice(from, to).replace(new RegExp(RULE.source, "gm"), "").trim();
+      const bounds = indices.map(i => i.idx).concat(raw.length).sort((a,b)=>a-b);
+      const rules = [];
+      RULE.lastIndex = skip;
+      while ((m = RULE.exec(raw))) {
+        const at = m.index;
+        if (fences.some(([s, e]) => at >= s && at < e) || /\S[ \t]*\r?\n$/.test(raw.slice(Math.max(0, at - 200), at))) continue;
+        if (body(at, Math.min(...bounds.filter(b => b > at)))) rules.push(at);
+      }
+      // prose before the first break is a block of its own
+      if (rules.length && !indices.some(i => i.idx < rules[0]) && body(skip, rules[0])) rules.unshift(skip);
+      for (const at of rules) {
+        const header = raw.slice(at).split(/\r?\n/).find(l => l.trim() && !new RegExp(RULE.source).test(l)) || "";
+        indices.push({ idx: at, header, num: null });
+      }
+    }
+    if (!indices.length) return [{ blockNumber: 1, headerLine: "Block 1 — (implicit)", rawBlock: raw, start: 0 }];
+
+    indices.sort((a,b)=>a.idx-b.idx);
+    const out = [];
+    for (let i=0;i<indices.length;i++){
+      const start = indices[i].idx;
+      const end = i+1<indices.length ? indices[i+1].idx : raw.length;
+      out.push({
+        blockNumber: indices[i].num || (i+1),
+        headerLine: indices[i].header.trim(),
+        rawBlock: raw.slice(start, end),
+        start
+      });
+    }
+    return out;
+  }
+
+  // ---------------- markdown ----------------
+  // A small CommonMark/GFM reader: a block becomes an mdast-shaped tree (root, yaml, heading, paragraph,
+  // blockquote, list/listItem, code, html, table/tableRow/tableCell, thematicBreak, definition; inline text,
+  // inlineCode, emphasis, strong, delete, link, image, wikiLink, html, break). Reference links are resolved
+  // through their definitions (`reference` keeps the label); <…> autolinks and bare URLs are links with
+  // `autolink: true`. Top-level nodes carry `position` offsets into the source, so callers cut sections out of
+  // the raw text: the tree is only ever read, never re-serialized, and raw_markdown stays the author's bytes.
+  // Deliberate simplification: a line at the left margin ends a list or blockquote (no lazy continuation),
+  // which is what "**Risks:**" labels right under a bullet list expect.
+  const MD = {
+    fence: /^ {0,3}(`{3,}|~{3,})(.*)$/,
+    atx: /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/,
+    rule: /^ {0,3}(?:(?:-[ \t]*){3,}|(?:\*[ \t]*){3,}|(?:_[ \t]*){3,})$/,
+    setext: /^ {0,3}(=+|-+)[ \t]*$/,
+    quote: /^ {0,3}> ?/,
+    item: /^( {0,3})([-+*]|\d{1,9}[.)])([ \t]+|$)/,
+    html: /^ {0,3}(?:<[A-Za-z][\w-]*(?:[\s/>]|$)|<\/[A-Za-z][\w-]*\s*>|<!--|<\?|<![A-Z])/,
+    def: /^ {0,3}\[((?:[^\]\\]|\\.)+)\]:[ \t]*<?([^\s>]+)>?(?:[ \t]+(?:"([^"]*)"|'([^']*)'|\(([^)]*)\)))?[ \t]*$/,
+    delim: /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/,
+    indent: /^(?: {4}|\t)/
+  };
+  const mdLabel = (s) => String(s).trim().toLowerCase().replace(/\s+/g, " ");
+
+  /**
+   * Markdown → { type:"root", children, definitions }. opts.frontMatter (default true): a leading `---` block is a
+   * yaml node. Nested nodes (inside lists and quotes) have no `position`.
+   */
+  function parseMarkdown(md, opts = {}){
+    const ctx = { definitions: { ...(opts.definitions || {}) }, inline: [] };
+    const src = String(md || "");
+    const head = opts.frontMatter === false ? null : frontMatterAt(src, 0);
+    const children = mdBlocks(head ? src.slice(0, head.end).replace(/[^\n]/g, " ") + src.slice(head.end) : src, ctx, true);
+    if (head) children.unshift({ type: "yaml", value: src.slice(0, head.end), data: head.data, position: { start: 0, end: head.end } });
+    // inline content is read once every definition (anywhere in the block) is known
+    for (const [node, text] of ctx.inline) node.children = mdInline(text, ctx.definitions);
+    return { type: "root", children, definitions: ctx.definitions };
+  }
+
+  function mdBlocks(src, ctx, top){
+    const lines = [];
+    let at = 0;
+    for (const l of src.split("\n")) { lines.push({ text: l.replace(/\r$/, ""), at }); at += l.length + 1; }
+    const nodes = [];
+    const add = (node, a, b, text) => {
+      if (top) node.position = { start: lines[a].at, end: lines[b].at + lines[b].text.length };
+      if (text !== undefined) ctx.inline.push([node, text]);
+      nodes.push(node);
+    };
+    const blank = (k) => k >= lines.length || !lines[k].text.trim();
+    const indentOf = (t) => t.match(/^[ \t]*/)[0].replace(/\t/g, "    ").length;
+    const fenceAt = (t) => { const m = MD.fence.exec(t); return m && !(m[1][0] === "`" && m[2].includes("`")) ? m : null; };
+    const tableAt = (k) => lines[k].text.includes("|") && k + 1 < lines.length && lines[k+1].text.includes("|") && MD.delim.test(lines[k+1].text);
+    const bulletAt = (t) => { const m = MD.item.exec(t); return m && m[3] && (!/\d/.test(m[2]) || /^1[.)]$/.test(m[2])) && !MD.rule.test(t); };
+    const interrupts = (t, k) => MD.atx.test(t) || fenceAt(t) || MD.quote.test(t) || MD.rule.test(t) || bulletAt(t) || tableAt(k);
+    const cells = (t) => {
+      const out = [];
+      let cur = "", code = false;
+      const row = t.trim().replace(/^\|/, "").replace(/(?<!\\)\|$/, "");
+      for (let k = 0; k < row.length; k++) {
+        if (row[k] === "\\" && row[k+1] === "|") { cur += "|"; k++; continue; }
+        if (row[k] === "`") code = !code;
+        if (row[k] === "|" && !code) { out.push(cur.trim()); cur = ""; continue; }
+        cur += row[k];
+      }
+      return out.concat(cur.trim());
+    };
+
+    let i = 0, m;
+    while (i < lines.length) {
+      const t = lines[i].text;
+      if (!t.trim()) { i++; continue; }
+
+      if ((m = fenceAt(t))) {
+        const close = new RegExp(`^ {0,3}${m[1][0] === "`" ? "`" : "~"}{${m[1].length},}[ \\t]*$`);
+        let j = i + 1;
+        while (j < lines.length && !close.test(lines[j].text)) j++;
+        const info = m[2].trim();
+        add({
+          type: "code", fenced: true, lang: info.split(/\s+/)[0] || null, meta: info.split(/\s+/).slice(1).join(" ") || null,
+          value: lines.slice(i + 1, j).map(l => l.text).join("\n")
+        }, i, Math.min(j, lines.length - 1));
+        i = j + 1; continue;
+      }
+      if ((m = MD.atx.exec(t))) { add({ type: "heading", depth: m[1].length }, i, i, m[2] || ""); i++; continue; }
+      if (MD.rule.test(t)) { add({ type: "thematicBreak" }, i, i); i++; continue; }
+      if (MD.quote.test(t)) {
+        let j = i;
+        while (j < lines.length && MD.quote.test(lines[j].text)) j++;
+        add({ type: "blockquote", children: mdBlocks(lines.slice(i, j).map(l => l.text.replace(MD.quote, "")).join("\n"), ctx, false) }, i, j - 1);
+        i = j; continue;
+      }
+      if ((m = MD.item.exec(t))) {
+        const ordered = /\d/.test(m[2]), marker = m[2].slice(-1);
+        const list = { type: "list", ordered, start: ordered ? parseInt(m[2], 10) : null, children: [] };
+        let j = i, last = i;
+        while (j < lines.length) {
+          const im = MD.item.exec(lines[j].text);
+          if (!im || /\d/.test(im[2]) !== ordered || im[2].slice(-1) !== marker || MD.rule.test(lines[j].text)) break;
+          const w = im[1].length + im[2].length + (im[3].length > 4 ? 1 : Math.max(1, im[3].length));
+          const body = [lines[j].text.slice(Math.min(im[0].length, w))];
+          last = j++;
+          // continuation: indented lines, and blank lines followed by an indented one
+          while (j < lines.length) {
+            if (blank(j)) {
+              let k = j; while (k < lines.length && blank(k)) k++;
+              if (k < lines.length && indentOf(lines[k].text) >= Math.min(w, 2)) { while (j < k) { body.push(""); j++; } continue; }
+              break;
+            }
+            const ind = indentOf(lines[j].text);
+            if (!ind) break;
+            body.push(lines[j].text.replace(/^\t/, "    ").slice(Math.min(ind, w)));
+            last = j++;
+          }
+          const task = /^\[([ xX])\][ \t]+/.exec(body[0]);
+          if (task) body[0] = body[0].slice(task[0].length);
+          list.children.push({ type: "listItem", ...(task ? { checked: task[1] !== " " } : {}), children: mdBlocks(body.join("\n"), ctx, false) });
+          while (j < lines.length && blank(j)) j++;
+          if (j > last + 1 && !(MD.item.exec(lines[j]?.text || "") && !MD.rule.test(lines[j].text))) break;
+        }
+        add(list, i, last);
+        i = last + 1; continue;
+      }
+      if (MD.html.test(t)) {
+        let j = i;
+        while (j < lines.length && !blank(j)) j++;
+        add({ type: "html", value: lines.slice(i, j).map(l => l.text).join("\n") }, i, j - 1);
+        i = j; continue;
+      }
+      if ((m = MD.def.exec(t))) {
+        const def = { type: "definition", identifier: mdLabel(m[1]), label: m[1], url: m[2], title: m[3] ?? m[4] ?? m[5] ?? null };
+        if (!(def.identifier in ctx.definitions)) ctx.definitions[def.identifier] = { url: def.url, title: def.title };
+        add(def, i, i);
+        i++; continue;
+      }
+      if (tableAt(i)) {
+        const align = cells(lines[i+1].text).map(c => c.startsWith(":") ? (c.endsWith(":") ? "center" : "left") : c.endsWith(":") ? "right" : null);
+        const table = { type: "table", align, children: [] };
+        let j = i;
+        for (; j < lines.length && !blank(j) && (j <= i + 1 || lines[j].text.includes("|")); j++) {
+          if (j === i + 1) continue;
+          const row = { type: "tableRow", children: [] };
+          for (const c of cells(lines[j].text)) { const cell = { type: "tableCell" }; ctx.inline.push([cell, c]); row.children.push(cell); }
+          table.children.push(row);
+        }
+        add(table, i, j - 1);
+        i = j; continue;
+      }
+      if (MD.indent.test(t)) {
+        let j = i, last = i;
+        while (j < lines.length && (blank(j) || MD.indent.test(lines[j].text))) { if (!blank(j)) last = j; j++; }
+        add({ type: "code", fenced: false, lang: null, meta: null, value: lines.slice(i, last + 1).map(l => l.text.replace(MD.indent, "")).join("\n") }, i, last);
+        i = last + 1; continue;
+      }
+
+      // paragraph, up to a blank line or a block that may interrupt it; a `===` / `---` underline makes it a heading
+      let j = i + 1, depth = 0;
+      for (; j < lines.length && !blank(j); j++) {
+        const s = MD.setext.exec(lines[j].text);
+        if (s) { depth = s[1][0] === "=" ? 1 : 2; break; }
+        if (interrupts(lines[j].text, j)) break;
+      }
+      const text = lines.slice(i, j).map(l => l.text.replace(/^[ \t]+/, "")).join("\n").replace(/[ \t]+$/, "");
+      if (depth) { add({ type: "heading", depth, setext: true }, i, j, text); i = j + 1; }
+      else { add({ type: "paragraph" }, i, j - 1, text); i = j; }
+    }
+    return nodes;
+  }
+
+  const PUNCT = /[!-/:-@[-`{-~]/;
+  const BARE_URL = /(?:https?:\/\/|www\.)[^\s<]*[^\s<?!.,:*_~'")\]]/y;
+  const AUTOLINK = /<([A-Za-z][A-Za-z0-9+.-]{1,31}:[^\s<>]*)>/y;
+  const AUTOMAIL = /<([^\s@<>\\]+@[^\s@<>\\]+\.[^\s@<>\\]+)>/y;
+  const INLINE_HTML = /<!--[\s\S]*?-->|<\/?[A-Za-z][\w-]*(?:\s[^<>]*)?\/?>/y;
+
+  /** Inline Markdown → mdast inline nodes; `definitions` resolves [text][ref] and [ref] links. */
+  function mdInline(src, definitions = {}){
+    src = String(src || "");
+    const out = [];
+    let text = "", i = 0;
+    const push = (node) => { if (text) out.push({ type: "text", value: text }); text = ""; out.push(node); };
+    const sticky = (re) => { re.lastIndex = i; return re.exec(src); };
+    // index of the "]" closing the "[" at `open` (nested brackets, escapes and code spans skipped)
+    const closeBracket = (open) => {
+      let depth = 0;
+      for (let k = open; k < src.length; k++) {
+        const c = src[k];
+        if (c === "\\") { k++; continue; }
+        if (c === "`") { const n = runAt(k, "`"), e = src.indexOf("`".repeat(n), k + n); if (e > 0) { k = e + n - 1; continue; } }
+        if (c === "[") depth++;
+        else if (c === "]" && --depth === 0) return k;
+      }
+      return -1;
+    };
+    const runAt = (k, c) => { let n = 0; while (src[k + n] === c) n++; return n; };
+    // "(dest 'title')" after a link label → { url, title, end }
+    const destination = (k) => {
+      if (src[k] !== "(") return null;
+      let p = k + 1, url = "", title = null;
+      while (/[ \t\n]/.test(src[p] || "")) p++;
+      if (src[p] === "<") { const e = src.indexOf(">", p); if (e < 0) return null; url = src.slice(p + 1, e); p = e + 1; }
+      else {
+        let depth = 0;
+        for (; p < src.length && !/[\s]/.test(src[p]); p++) {
+          if (src[p] === "\\") { url += src[++p] || ""; continue; }
+          if (src[p] === "(") depth++;
+          if (src[p] === ")" && depth-- === 0) break;
+          url += src[p];
+        }
+      }
+      while (/[ \t\n]/.test(src[p] || "")) p++;
+      const q = { '"': '"', "'": "'", "(": ")" }[src[p]];
+      if (q) { const e = src.indexOf(q, p + 1); if (e < 0) return null; title = src.slice(p + 1, e); p = e + 1; while (/[ \t\n]/.test(src[p] || "")) p++; }
+      return src[p] === ")" ? { url, title, end: p + 1 } : null;
+    };
+    // [label](dest) | [label][ref] | [label][] | [label] → link fields, or null when it is plain text
+    const linkAt = (open) => {
+      const close = closeBracket(open);
+      if (close < 0) return null;
+      const label = src.slice(open + 1, close);
+      const dest = destination(close + 1);
+      if (dest) return { label, url: dest.url, title: dest.title, end: dest.end };
+      let ref = label, end = close + 1;
+      if (src[close + 1] === "[") {
+        const e = src.indexOf("]", close + 2);
+        if (e > 0) { ref = src.slice(close + 2, e) || label; end = e + 1; }
+      }
+      const def = definitions[mdLabel(ref)];
+      return def ? { label, url: def.url, title: def.title, reference: mdLabel(ref), end } : null;
+    };
+
+    while (i < src.length) {
+      const c = src[i];
+      let m;
+      if (c === "\\" && src[i+1] === "\n") { push({ type: "break" }); i += 2; continue; }
+      if (c === "\\" && PUNCT.test(src[i+1] || "")) { text += src[i+1]; i += 2; continue; }
+      if (c === "`") {
+        const n = runAt(i, "`");
+        let e = src.indexOf("`".repeat(n), i + n);
+        while (e > 0 && src[e + n] === "`") e = src.indexOf("`".repeat(n), e + runAt(e, "`"));
+        if (e < 0) { text += "`".repeat(n); i += n; continue; }
+        let v = src.slice(i + n, e).replace(/\n/g, " ");
+        if (/^ .*[^ ].* $/.test(v)) v = v.slice(1, -1);
+        push({ type: "inlineCode", value: v });
+        i = e + n; continue;
+      }
+      if (c === "[" && src[i+1] === "[") {
+        const e = src.indexOf("]]", i + 2), inner = e > 0 ? src.slice(i + 2, e) : "";
+        if (inner.trim() && !/[[\]]/.test(inner)) {
+          const [target, alias] = inner.split("|");
+          push({ type: "wikiLink", value: target.trim(), ...(alias !== undefined ? { alias: alias.trim() } : {}) });
+          i = e + 2; continue;
+        }
+      }
+      if ((c === "!" && src[i+1] === "[") || c === "[") {
+        const l = linkAt(c === "!" ? i + 1 : i);
+        if (l) {
+          const node = c === "!"
+            ? { type: "image", url: l.url, title: l.title, alt: mdText({ children: mdInline(l.label, definitions) }) }
+            : { type: "link", url: l.url, title: l.title, children: mdInline(l.label, definitions) };
+          if (l.reference) node.reference = l.reference;
+          push(node);
+          i = l.end; continue;
+        }
+      }
+      if (c === "<" && ((m = sticky(AUTOLINK)) || (m = sticky(AUTOMAIL)))) {
+        const url = /^[A-Za-z][A-Za-z0-9+.-]{1,31}:/.test(m[1]) ? m[1] : `mailto:${m[1]}`;
+        push({ type: "link", url, title: null, autolink: true, children: [{ type: "text", value: m[1] }] });
+        i += m[0].length; continue;
+      }
+      if (c === "<" && (m = sticky(INLINE_HTML))) { push({ type: "html", value: m[0] }); i += m[0].length; continue; }
+      if ((c === "h" || c === "w") && (i === 0 || /[\s(*_~]/.test(src[i-1])) && (m = sticky(BARE_URL))) {
+        push({ type: "link", url: m[0].startsWith("www.") ? `http://${m[0]}` : m[0], title: null, autolink: true, children: [{ type: "text", value: m[0] }] });
+        i += m[0].length; continue;
+      }
+      if (c === "*" || c === "_" || c === "~") {
+        const n = runAt(i, c), after = src[i + n] || "", before = src[i - 1] || "";
+        const opens = after && !/\s/.test(after) && !(c === "_" && /[A-Za-z0-9]/.test(before)) && (c !== "~" || n === 2);
+        if (opens) {
+          const run = c.repeat(Math.min(n, 3));
+          let e = src.indexOf(run, i + run.length);
+          while (e > 0 && (/\s/.test(src[e - 1]) || (c === "_" && /[A-Za-z0-9]/.test(src[e + run.length] || "")))) e = src.indexOf(run, e + 1);
+          if (e > i + run.length) {
+            const inner = mdInline(src.slice(i + run.length, e), definitions);
+            const type = c === "~" ? "delete" : run.length === 1 ? "emphasis" : "strong";
+            push(run.length === 3 ? { type: "strong", children: [{ type: "emphasis", children: inner }] } : { type, children: inner });
+            i = e + run.length; continue;
+          }
+        }
+        text += c.repeat(n); i += n; continue;
+      }
+      if (c === "\n" && / {2,}$/.test(text)) { text = text.replace(/ +$/, ""); push({ type: "break" }); i++; continue; }
+      text += c; i++;
+    }
+    if (text) out.push({ type: "text", value: text });
+    return out;
+  }
+
+  const MD_BLOCK_PARENTS = new Set(["root", "blockquote", "list", "listItem", "table", "tableRow"]);
+  /** Plain text of a node or tree: no markup, HTML, code blocks, images or front-matter. */
+  function mdText(node){
+    if (!node) return "";
+    if (Array.isArray(node)) return node.map(mdText).join(" ");
+    switch (node.type) {
+      case "text": case "inlineCode": return node.value;
+      case "break": return "\n";
+      case "wikiLink": return node.alias || node.value;
+      case "image": case "html": case "code": case "yaml": case "definition": case "thematicBreak": return "";
+    }
+    return (node.children || []).map(mdText).join(MD_BLOCK_PARENTS.has(node.type) ? " " : "");
+  }
+
+  function mdWalk(node, visit){
+    visit(node);
+    for (const c of node.children || []) mdWalk(c, visit);
+  }
+
+  /** Headings in document order: [{ depth, text }] */
+  function mdOutline(tree){
+    const out = [];
+    mdWalk(tree, n => { if (n.type === "heading") out.push({ depth: n.depth, text: mdText(n).replace(/\s+/g, " ").trim() }); });
+    return out;
+  }
+
+  /** Every link in document order: [{ kind:"inline"|"reference"|"autolink"|"wiki", url, text }] (images excluded). */
+  function mdLinks(tree){
+    const out = [];
+    mdWalk(tree, n => {
+      if (n.type === "link") out.push({ kind: n.autolink ? "autolink" : n.reference ? "reference" : "inline", url: n.url, text: mdText(n) });
+      else if (n.type === "wikiLink") out.push({ kind: "wiki", url: n.value, text: n.alias || n.value });
+    });
+    return out;
+  }
+
+  /** #hashtags in the prose (not in code, URLs or headings' own markers) */
+  function hashtags(tree){
+    const out = [];
+    mdWalk(tree, n => { if (n.type === "text") for (const h of n.value.matchAll(/(?:^|[\s(])#([A-Za-z][\w-]*)/g)) out.push(h[1]); });
+    return out;
+  }
+
+  /** Images: [{ url, alt, title }] */
+  function mdImages(tree){
+    const out = [];
+    mdWalk(tree, n => { if (n.type === "image") out.push({ url: n.url, alt: n.alt, title: n.title || null }); });
+    return out;
+  }
+
+  // ---------------- metadata ----------------
+  // Flat YAML as authors write it: `key: value`, `key: [a, b]` and block lists (`key:` then `- a` lines);
+  // full-line # comments are skipped.
+  function parseYamlLines(text){
+    const unquote = (s) => s.trim().replace(/^['"]|['"]$/g, "");
+    const out = {};
+    let list = null;
+    for (const line of String(text).split(/\r?\n/).map(l=>l.trim())) {
+      if (!line || line.startsWith("#")) continue;
+      const item = list && line.match(/^-\s*(.*)$/);
+      if (item) { if (unquote(item[1])) out[list].push(unquote(item[1])); continue; }
+      list = null;
+      const i = line.indexOf(":"); if (i < 0) continue;
+      const k = line.slice(0, i).trim();
+      let v = unquote(line.slice(i+1));
+      if (!v && !line.slice(i+1).trim()) { out[k] = []; list = k; continue; }
+      if (v.startsWith("[") && v.endsWith("]")) {
+        v = v.slice(1, -1);
+        out[k] = v ? v.split(",").map(unquote).filter(Boolean) : [];
+      } else out[k] = v;
+    }
+    // `key:` without list items is an empty value, as it always was
+    for (const [k, v] of Object.entries(out)) if (Array.isArray(v) && !v.length) out[k] = "";
+    return out;
+  }
+
+  // Fenced ```yaml block (flat key: value / key: [a, b]) — the format the uploader always accepted.
+  function parseFencedYaml(block){
+    const m = String(block).match(/```ya?ml([\s\S]*?)```/);
+    return m ? parseYamlLines(m[1]) : {};
+  }
+
+  // `---` front-matter: at the very start of the text, or of a block right under its heading. Every line
+  // between the fences must read as YAML, so a pair of thematic breaks around prose is not taken for it.
+  const FRONT_MATTER = /^(\uFEFF?---[ \t]*\r?\n)([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+  const YAML_LINE = /^\s*(?:#(?!#).*|-\s.*|-|[\w.-]+\s*:.*)?$/;
+  function frontMatterAt(text, at){
+    const m = FRONT_MATTER.exec(text.slice(at));
+    if (!m || !m[2].split(/\r?\n/).every(l => YAML_LINE.test(l))) return null;
+    return { data: parseYamlLines(m[2]), start: at, end: at + m[0].length };
+  }
+  /** Front-matter of a whole Markdown file: { data, end } (end 0 when there is none). */
+  function parseFrontMatter(raw){
+    const fm = frontMatterAt(String(raw), 0);
+    return fm ? { data: fm.data, end: fm.end } : { data: {}, end: 0 };
+  }
+  function blockFrontMatter(block){
+    const text = String(block);
+    const underHeading = text.match(/^\s*[^\n]*\n(?:[ \t]*\r?\n)*/);
+    return frontMatterAt(text, 0) || (underHeading ? frontMatterAt(text, underHeading[0].length) : null);
+  }
+
+  // Author metadata of one block. Precedence, highest first:
+  //   fenced ```yaml in the block > block front-matter > file front-matter (DOCUMENT_KEYS only) > heading-derived values.
+  // List keys (tags, aliases, owners, cross_links, relation types) are merged across all three; `sources` records
+  // where each scalar came from; `*_at` values that do not parse as dates are skipped. File-level identity
+  // (id, title, aliases) applies only to a single-block file.
+  const META_LISTS = new Set(["tags", "aliases", "owners", "cross_links"]);
+  const META_KEYS = { owner: "owners", alias: "aliases" };
+  const DOCUMENT_KEYS = ["tags", "owners", "created_at", "updated_at"];
+  function blockMetadata(block, opts = {}){
+    const doc = {};
+    for (const [k, v] of Object.entries(opts.document || {})) {
+      const key = META_KEYS[k] || k;
+      if (DOCUMENT_KEYS.includes(key) || (opts.single && ["id", "title", "aliases"].includes(key))) doc[key] = v;
+    }
+    const fm = profileOf(opts).frontMatter ? blockFrontMatter(block) : null;
+    const meta = {}, sources = {};
+    for (const [source, data] of [["document", doc], ["front_matter", fm ? fm.data : {}], ["yaml", parseFencedYaml(block)]]) {
+      for (const [k, v] of Object.entries(data)) {
+        const key = META_KEYS[k] || k;
+        if (Array.isArray(v) || META_LISTS.has(key) || Array.isArray(meta[key])) {
+          const list = Array.isArray(v) ? v : String(v).split(",").map(s=>s.trim()).filter(Boolean);
+          meta[key] = [...new Set([...(Array.isArray(meta[key]) ? meta[key] : meta[key] ? [meta[key]] : []), ...list])];
+        } else if (v !== "" && !(/_at$/.test(key) && Number.isNaN(Date.parse(v)))) { meta[key] = v; sources[key] = source; }
+      }
+    }
+    return { meta, sources, frontMatter: fm };
+  }
+
+  function extractSections(block, opts = {}){
+    const text = block;
+    const profile = profileOf(opts);
+    const { meta: yaml, sources, frontMatter } = blockMetadata(text, { ...opts, profile });
+    // block front-matter is blanked (offsets kept) so the tree's positions still index the raw block
+    const src = frontMatter
+      ? text.slice(0, frontMatter.start) + text.slice(frontMatter.start, frontMatter.end).replace(/[^\n]/g, " ") + text.slice(frontMatter.end)
+      : text;
+    const tree = parseMarkdown(src, { frontMatter: profile.frontMatter });
+
+    // section labels of the profile's vocabulary, on any line of a top-level heading or paragraph (never in code,
+    // lists, quotes or tables); the inline form ("**Tags:** a, b") starts the value on the label line
+    const marks = [];
+    for (const node of tree.children) {
+      if (node.type !== "heading" && node.type !== "paragraph") continue;
+      let at = node.position.start;
+      for (const raw of src.slice(node.position.start, node.position.end).split("\n")) {
+        const line = raw.replace(/\r$/, ""), next = at + raw.length + 1;
+        for (const s of profile.sections){
+          if (s.line.some(re=>re.test(line))) { marks.push({ key: s.key, at, from: next, first:"" }); break; }
+          const m = s.inline.map(re => line.match(re)).find(Boolean);
+          if (m) { marks.push({ key: s.key, at, from: next, first:m[1] }); break; }
+        }
+        at = next;
+      }
+    }
+    // a section runs to the next label, without its fenced code and link reference definitions
+    const fenced = tree.children.filter(n => n.type === "code" && n.fenced || n.type === "definition").map(n => n.position);
+    const cut = (from, to) => {
+      let out = "", p = from;
+      for (const f of fenced) if (f.end > p && f.start < to) { out += src.slice(p, f.start); p = Math.min(f.end, to); }
+      return (out + src.slice(p, to)).replace(/\r\n/g, "\n");
+    };
+    const sec = {};
+    for (let i=0;i<marks.length;i++){
+      const s = marks[i], e = marks[i+1]?.at ?? src.length;
+      sec[s.key] = [s.first, cut(Math.min(s.from, e), e)].join("\n").trim();
+    }
+
+    const yamlList = (v) => Array.isArray(v) ? v : (v ? String(v).split(",").map(s=>s.trim()).filter(Boolean) : []);
+
+    const tag = (t) => profile.tags.lowercase ? String(t).toLowerCase().trim() : String(t).trim();
+    const tags_raw = (sec[profile.tags.section] || "").split(profile.tags.split).map(tag).filter(Boolean)
+      .concat(yamlList(yaml.tags).map(tag))
+      .concat(profile.tags.hashtags ? hashtags(tree).map(tag) : []);
+    // typed cross-links: "depends-on: [[X]]" in the section, yaml cross_links entries, or yaml keys named after a type
+    const vocab = relationVocabulary(opts.relations);
+    const cross_links_typed = parseCrossLinks(sec[profile.links.section] || "", vocab);
+    // a yaml item is one target ("Pricing Strategy"), optionally typed ("depends-on: Pricing Strategy")
+    const yamlLink = (v) => /\[\[|\]\(/.test(v) ? v
+      : String(v).replace(/^([A-Za-z][\w-]*\s*:\s+)?(.+)$/, (m, label, t) => `${label || ""}[[${t.trim()}]]`);
+    for (const v of yamlList(yaml.cross_links)) cross_links_typed.push(...parseCrossLinks(yamlLink(v), vocab));
+    for (const [k, v] of Object.entries(yaml)) {
+      const type = k === "cross_links" ? null : relationType(k, vocab);
+      if (type) for (const t of yamlList(v)) cross_links_typed.push(...parseCrossLinks(yamlLink(t), vocab).map(l => ({ ...l, type })));
+    }
+    const cross_links_raw = cross_links_typed.map(l => l.target);
+
+    // ROI parse (defaults applied later)
+    const roi_raw = sec["roi_takeaway"] || sec["roi"] || "";
+
+    // author-pinned values for buildDocs (scalars must be plain strings; unparseable dates were skipped above)
+    const str = (v) => typeof v === "string" && v.trim() ? v.trim() : null;
+    const metadata = {
+      id: str(yaml.id), title: str(yaml.title),
+      aliases: yamlList(yaml.aliases).map(String), owners: yamlList(yaml.owners).map(String),
+      created_at: str(yaml.created_at), updated_at: str(yaml.updated_at),
+      sources: Object.fromEntries(Object.entries(sources).filter(([k]) => ["id", "title", "created_at", "updated_at"].includes(k)))
+    };
+    return {
+      sections: sec, tags_raw, cross_links_raw, cross_links_typed, roi_raw, metadata,
+      outline: mdOutline(tree), images: mdImages(tree), definitions: tree.definitions
+    };
+  }
+
+  // ---------------- docs ----------------
+  function removeFences(s){ return s.replace(/```[\s\S]*?```/gm, ""); }
+
+  function makeTokens(md){
+    const noCode = removeFences(md);
+    return noCode
+      .toLowerCase()
+      .replace(/[–—]/g, " ")
+      .replace(/[^a-z0-9\s]/g, " ")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  // Token list for any search doc: buildDocs' `tokens` string, the viewer's token array,
+  // or (legacy docs without tokens) the best available doc text tokenized the same way.
+  function docTokens(d){
+    const t = Array.isArray(d.tokens) ? makeTokens(d.tokens.join(" "))
+            : typeof d.tokens === "string" ? makeTokens(d.tokens)
+            : makeTokens(String(d.content || d.description || d.excerpt || d.teaser || d.title || ""));
+    return t ? t.split(" ") : [];
+  }
+
+  // Plain-text excerpt: the text of the Markdown tree, without markup, HTML, table pipes, code blocks or images
+  // (opts.definitions: the block's link definitions, for an excerpt cut from one of its sections)
+  function firstLines(s, nChars=260, opts = {}){
+    const plain = mdText(parseMarkdown(s, opts)).replace(/\s+/g, " ").trim();
+    return plain.slice(0, nChars);
+  }
+
+  function pickTitle(headerLine, blockNumber, rawBlock){
+    // e.g., "## Block 12 — Strategic Focus"
+    const line = headerLine.replace(/^#+\s*/,"").trim();
+    const parts = line.split(/—|-{2,}|-/);
+    const maybeShort = parts.slice(1).join("—").trim();
+    return `Block ${blockNumber} — ${maybeShort || "Untitled"}`;
+  }
+
+  function buildDocs({ rawBlock, blockNumber, headerLine }, opts){
+    const { sections, tags_raw, cross_links_raw, cross_links_typed = [], roi_raw, metadata: meta = {}, outline = [], images = [], definitions } = opts.sectionData;
+    // author-pinned id/title/dates (front-matter, fenced yaml) win over the content hash, heading and clock
+    const id = meta.id || stableId(rawBlock);
+    const title = meta.title || (opts.profile?.title === "heading"
+      ? headerLine.replace(/^#+\s*/, "").trim().slice(0, 120) || `Block ${blockNumber}`
+      : pickTitle(headerLine, blockNumber, rawBlock));
+    const slug = slugifyTitle(title);
+    const path = canonicalPath(slug);
+    const now = opts.now || new Date().toISOString();
+    const tags = Array.from(new Set(tags_raw));
+    const authored = {
+      ...(meta.aliases?.length ? { aliases: meta.aliases } : {}),
+      ...(meta.owners?.length ? { owners: meta.owners } : {})
+    };
+    const created_at = meta.created_at || now, updated_at = meta.updated_at || now;
+
+    const description = firstLines(sections.context || sections.insights || rawBlock, 200, { definitions });
+    const snippet = sections.benefits ? firstLines(sections.benefits, 120, { definitions }) : "";
+
+    const sha256 = sha256Hex(rawBlock);
+
+    const registry = {
+      id, title, slug, path, tags, ...authored,
+      created_at, updated_at,
+      summary: firstLines((sections.context || sections.insights || sections.benefits || rawBlock), 320, { definitions }),
+      links: []
+    };
+
+    const search = {
+      id, title, description, snippet, tags, ...authored,
+      content: rawBlock,                           // LOSSLESS
+      tokens: makeTokens(rawBlock),                // search-only
+      attachments: {
+        raw_markdown: rawBlock,                    // LOSSLESS (must === content)
+        sha256,
+        ...(outline.length ? { outline } : {}),    // headings, from the Markdown tree
+        ...(images.length ? { images } : {}),
+        sections: {
+          context: sections.context || "",
+          insights: sections.insights || "",
+          offer_applications: sections["offer_applications"] || sections["offer applications"] || "",
+          benefits: sections.benefits || "",
+          risks: sections.risks || "",
+          mitigations: sections.mitigations || "",
+          cross_links_raw,
+          cross_links_typed,
+          tags_raw,
+          roi_raw
+        },
+        meta: {
+          block_number: blockNumber, header_line: headerLine,
+          ...(sourceKey(opts.source) != null ? { source: sourceKey(opts.source) } : {}), // block numbers count within this source
+          ...(opts.profile && opts.profile.name !== "master" ? { profile: opts.profile.name } : {}), // lint rules to re-check it by
+          ...(Object.keys(meta.sources || {}).length ? { metadata_sources: meta.sources } : {})
+        }
+      },
+      created_at, updated_at
+    };
+
+    if (search.content !== search.attachments.raw_markdown) {
+      throw new Error("Lossless breach: content !== attachments.raw_markdown");
+    }
+
+    return { id, slug, path, registry, search, cross_links_raw, roi_raw };
+  }
+
+  // ---------------- links ----------------
+  // Link targets of a block: inline, reference and autolinks first, then [[wiki]] links (images and code excluded)
+  function extractRawLinks(md, profile){
+    const { markdown, wiki } = profileOf({ profile }).links;
+    const links = mdLinks(parseMarkdown(md));
+    return [
+      ...(markdown ? links.filter(l => l.kind !== "wiki").map(l => l.url) : []),
+      ...(wiki ? links.filter(l => l.kind === "wiki").map(l => l.url) : [])
+    ];
+  }
+
+  // Relationship types. The vocabulary is configurable: callers pass schemas/relation_types.schema.json
+  // (enum, default, definitions.aliases.default) as opts.relations; this copy is the built-in default.
+  const RELATION_TYPES = {
+    enum: ["ref", "depends-on", "supersedes", "contradicts", "related-to", "part-of", "example-of"],
+    default: "ref",
+    definitions: {
+      aliases: {
+        default: {
+          depends: "depends-on", requires: "depends-on", replaces: "supersedes", "conflicts-with": "contradicts",
+          related: "related-to", "see-also": "related-to", example: "example-of"
+        }
+      }
+    }
+  };
+  const relKey = (s) => String(s || "").trim().toLowerCase().replace(/[\s_]+/g, "-");
+
+  function relationVocabulary(spec){
+    if (spec && spec.types instanceof Set) return spec;
+    const s = Array.isArray(spec) ? { enum: spec } : (spec || RELATION_TYPES);
+    const types = new Set(s.enum || RELATION_TYPES.enum);
+    const aliases = new Map();
+    for (const [k, v] of Object.entries(s.definitions?.aliases?.default || {})) if (types.has(v)) aliases.set(relKey(k), v);
+    return { types, aliases, default: types.has(s.default) ? s.default : (types.has("ref") ? "ref" : [...types][0]) };
+  }
+
+  function relationType(label, vocab){
+    const k = relKey(label);
+    return vocab.types.has(k) ? k : (vocab.aliases.get(k) || null);
+  }
+
+  /**
+   * Cross-links text → [{ type, target, type_raw? }]. Accepts "depends-on: [[X]], supersedes: [[Y]]",
+   * one "type:" per line or bullet (a label-only line types the lines below it), and untyped
+   * [[X]] / [t](path) / bare targets. An unknown label keeps the default type and is kept in type_raw.
+   */
+  function parseCrossLinks(text, vocab){
+    vocab = relationVocabulary(vocab);
+    // links are read by the Markdown reader and held as tokens; code spans, images and HTML drop out
+    const held = [];
+    const flat = (nodes) => nodes.map(n =>
+      n.type === "link" || n.type === "wikiLink" ? `\u0000${held.push(n) - 1}\u0000`
+      : n.type === "text" ? n.value : n.type === "break" ? "\n" : n.children ? flat(n.children) : "").join("");
+    const masked = flat(mdInline(String(text || "")));
+    const labelRE = /(?:^|[\s,;(])([A-Za-z][\w-]*)\s*:(?=\s|$)/g;
+    const out = [];
+    let carry = null;
+    for (const line of masked.split(/\r?\n/)) {
+      const body = line.replace(/^\s*(?:[-*+]|\d+[.)])\s+/, "");
+      if (!body.trim()) { carry = null; continue; }
+      const labels = [...body.matchAll(labelRE)];
+      const segs = [];
+      if (!labels.length || labels[0].index > 0 && body.slice(0, labels[0].index).trim()) {
+        segs.push({ label: carry, text: body.slice(0, labels.length ? labels[0].index : body.length) });
+      }
+      labels.forEach((m, i) => segs.push({ label: m[1], text: body.slice(m.index + m[0].length, labels[i + 1]?.index ?? body.length) }));
+      for (const seg of segs) {
+        const type = seg.label ? relationType(seg.label, vocab) : null;
+        const meta = seg.label && !type ? { type: vocab.default, type_raw: seg.label } : { type: type || vocab.default };
+        const tokens = [...seg.text.matchAll(/\u0000(\d+)\u0000/g)].map(m => held[+m[1]]);
+        const targets = tokens.length
+          ? tokens.map(t => t.type === "wikiLink" ? t.value : t.url)
+          : seg.text.split(/[,;]/.test(seg.text) ? /[,;]/ : /\s+/);
+        for (const t of targets) {
+          const target = t.trim().replace(/^["']|["']$/g, "");
+          if (target) out.push({ ...meta, target });
+        }
+      }
+      if (labels.length) carry = segs.length === 1 && labels.length === 1 && !segs[0].text.trim() ? labels[0][1] : null;
+    }
+    return out;
+  }
+
+  // Link resolution: ranked matching of a raw link target against every known entry's path, id,
+  // slug, title (with and without its "Block N —" prefix) and aliases.
+  //   1.00 exact path / id     0.95 same normalized path / slug / title     0.90 short title, alias, "Block N"
+  //   fuzzy: 0.85 × Dice overlap of slug tokens or of character bigrams (whichever is higher, so typos still match)
+  // A match is accepted at LINK_ACCEPT unless a runner-up is within LINK_MARGIN (→ "ambiguous").
+  // With no accepted match, 2+ candidates ≥ LINK_SUGGEST are "ambiguous", otherwise "pending".
+  const LINK_ACCEPT = 0.75, LINK_MARGIN = 0.05, LINK_SUGGEST = 0.5, LINK_MAX_CANDIDATES = 5;
+  const BLOCK_PREFIX = /^Block\s+(\d+)\s*(?:[—–:]|-+)\s*/i;
+
+  function isExternalLink(t){ return /^(?:[a-z][a-z0-9+.-]*:|\/\/|#)/i.test(String(t).trim()); }
+
+  function linkKey(s){
+    let t = String(s || "").trim().replace(/^\[\[|\]\]$/g, "").split("|")[0].split("#")[0];
+    t = t.replace(/^\.?\//, "").replace(/^docs\/md\//i, "").replace(/\.md$/i, "");
+    return slugifyTitle(t.replace(/\//g, " "));
+  }
+
+  function bigrams(s){
+    const out = new Set();
+    for (let i = 0; i < s.length - 1; i++) out.add(s.slice(i, i + 2));
+    return out;
+  }
+
+  function dice(a, b){
+    if (!a.size || !b.size) return 0;
+    let n = 0;
+    for (const t of a) if (b.has(t)) n++;
+    return 2 * n / (a.size + b.size);
+  }
+
+  /**
+   * Index of link targets. add() takes registry-like entries; addKey() takes a bare key → path
+   * (legacy IDs/paths, or the Map<key, path> older callers pass as `known`).
+   */
+  function createLinkIndex(entries){
+    const keys = new Map();   // exact or normalized key → Map<path, score>
+    const fuzzy = new Map();  // path → [{ toks, grams }]
+    const titles = new Map(); // path → title
+    const put = (k, path, score) => {
+      if (!k) return;
+      let m = keys.get(k);
+      if (!m) keys.set(k, m = new Map());
+      if ((m.get(path) || 0) < score) m.set(path, score);
+    };
+    const putFuzzy = (name, path) => {
+      const key = linkKey(name);
+      const toks = new Set(key.split("-").filter(Boolean));
+      if (!toks.size) return;
+      if (!fuzzy.has(path)) fuzzy.set(path, []);
+      fuzzy.get(path).push({ toks, grams: bigrams(key) });
+    };
+    const index = {
+      add(e){
+        if (!e || !e.path) return index;
+        const short = e.title ? String(e.title).replace(BLOCK_PREFIX, "") : "";
+        const num = e.title && String(e.title).match(BLOCK_PREFIX);
+        put("=" + e.path, e.path, 1);
+        if (e.id != null) put("=" + e.id, e.path, 1);
+        for (const k of [e.path, e.slug, e.title]) put(linkKey(k), e.path, 0.95);
+        for (const k of [short, ...(e.aliases || [])]) put(linkKey(k), e.path, 0.9);
+        if (num) put(`block-${num[1]}`, e.path, 0.9);
+        for (const k of [short || e.title, e.slug, ...(e.aliases || [])]) if (k) putFuzzy(k, e.path);
+        if (e.title && !titles.has(e.path)) titles.set(e.path, e.title);
+        return index;
+      },
+      addKey(k, path){
+        put("=" + k, path, 1);
+        put(linkKey(k), path, 0.95);
+        return index;
+      },
+      has(path){ return titles.has(path) || fuzzy.has(path); },
+      /** @returns {{ status:"ok"|"ambiguous"|"pending"|"external", target:string, confidence:number, candidates:Array<{path:string,title:string|null,score:number}> }} */
+      resolve(raw){
+        const t = String(raw).trim();
+        if (isExternalLink(t)) return { status: "external", target: t, confidence: 0, candidates: [] };
+        const scores = new Map();
+        const bump = (path, s) => { if ((scores.get(path) || 0) < s) scores.set(path, s); };
+        for (const k of ["=" + t, linkKey(t)]) for (const [p, s] of keys.get(k) || []) bump(p, s);
+        const key = linkKey(t);
+        const want = new Set(key.split("-").filter(Boolean)), wantGrams = bigrams(key);
+        for (const [p, names] of fuzzy) for (const n of names) {
+          const s = 0.85 * Math.max(dice(want, n.toks), dice(wantGrams, n.grams));
+          if (s >= LINK_SUGGEST * 0.85) bump(p, Math.round(s * 1000) / 1000);
+        }
+        const ranked = [...scores.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+          .map(([path, score]) => ({ path, title: titles.get(path) || null, score }));
+        const [top, next] = ranked;
+        const candidates = ranked.filter(c => c.score >= LINK_SUGGEST).slice(0, LINK_MAX_CANDIDATES);
+        if (top && top.score >= LINK_ACCEPT && !(next && next.score >= top.score - LINK_MARGIN)) {
+          return { status: "ok", target: top.path, confidence: top.score, candidates: [] };
+        }
+        const status = candidates.length >= 2 ? "ambiguous" : "pending";
+        return { status, target: t, confidence: top ? top.score : 0, candidates };
+      }
+    };
+    for (const e of entries || []) index.add(e);
+    return index;
+  }
+
+  // Map<key, path> (the older `known` shape) → link index
+  function toLinkIndex(known){
+    if (known && typeof known.resolve === "function") return known;
+    const index = createLinkIndex();
+    for (const [k, p] of known || []) index.addKey(k, p);
+    return index;
+  }
+
+  function resolveEdges(rawTargets, known){
+    const index = toLinkIndex(known);
+    return rawTargets.map(t => index.resolve(t));
+  }
+
+  // ---------------- graph shape ----------------
+  // cross_links.json has been published as { nodes, edges }, { graph: { nodes, edges } }, bare { edges } and a
+  // neighbor map { "<source>": { neighbors: ["<target>" | { id|target, type? }] } }. normalizeGraph reads any of
+  // them into the canonical { nodes, edges }: live registry items missing from `nodes` are added, and a graph that
+  // had no nodes at all also gets one per resolved edge endpoint (those were its nodes implicitly).
+  function graphShape(cross){
+    if (!cross || typeof cross !== "object" || Array.isArray(cross)) return "empty";
+    if (Array.isArray(cross.nodes) && Array.isArray(cross.edges)) return "canonical";
+    if (cross.graph && (Array.isArray(cross.graph.nodes) || Array.isArray(cross.graph.edges))) return "nested";
+    if (Array.isArray(cross.edges) || Array.isArray(cross.nodes)) return "partial";
+    const vals = Object.values(cross).filter(v => v && typeof v === "object" && !Array.isArray(v));
+    return vals.length && vals.every(v => Array.isArray(v.neighbors)) ? "neighbors" : "empty";
+  }
+
+  function normalizeGraph(cross, opts = {}){
+    const shape = graphShape(cross);
+    let nodes = [], edges = [], rest = {};
+    if (shape === "canonical" || shape === "partial") {
+      ({ nodes = [], edges = [], ...rest } = cross);
+    } else if (shape === "nested") {
+      ({ graph: { nodes = [], edges = [] } = {}, ...rest } = cross);
+    } else if (shape === "neighbors") {
+      for (const [source, v] of Object.entries(cross)) {
+        if (!v || typeof v !== "object") { rest[source] = v; continue; } // updated_at and friends
+        if (!Array.isArray(v.neighbors)) continue;
+        for (const n of v.neighbors) {
+          const target = n && typeof n === "object" ? (n.target ?? n.id ?? n.path) : n;
+          if (target == null) continue;
+          edges.push(n && typeof n === "object" && (n.type || n.rel) ? { source, target: String(target), type: n.type || n.rel } : { source, target: String(target) });
+        }
+      }
+    }
+    edges = (Array.isArray(edges) ? edges : []).filter(e => e && e.source != null && e.target != null);
+    nodes = (Array.isArray(nodes) ? nodes : []).filter(n => n && (n.path ?? n.id) != null);
+    const implicit = nodes.length === 0; // legacy graph: every endpoint was a node
+
+    const live = (opts.registry || []).filter(r => r && r.path && !isTombstone(r));
+    const byKey = new Map();
+    for (const r of live) { byKey.set(r.path, r); if (r.id != null && !byKey.has(r.id)) byKey.set(r.id, r); }
+    // resolved endpoints written as a registry id point at the item's path, like every canonical edge
+    const canon = (k) => byKey.get(String(k))?.path ?? String(k);
+    edges = edges.map(e => {
+      if (e.status && e.status !== "ok") return { ...e, source: canon(e.source) };
+      return { ...e, source: canon(e.source), target: canon(e.target) };
+    });
+    const seen = new Set(nodes.map(n => n.path ?? n.id));
+    const add = (key, r) => {
+      const path = r ? r.path : key;
+      if (seen.has(path)) return;
+      seen.add(path);
+      nodes.push({ id: r ? r.id ?? null : null, path, title: r ? r.title ?? null : null, slug: r ? r.slug ?? null : null });
+    };
+    for (const r of live) add(r.path, r);
+    if (implicit) for (const e of edges) {
+      add(e.source, byKey.get(e.source));
+      if (!e.status || e.status === "ok") add(e.target, byKey.get(e.target));
+    }
+    return { ...rest, nodes, edges };
+  }
+
+  // ---------------- link suggestions ----------------
+  // Orphan blocks (no resolved link in or out) and weakly linked ones (≤ weakDegree) get ranked
+  // candidate targets from three signals: shared tags (Jaccard), the target's title or an alias
+  // mentioned in the block's content, and IDF-weighted token overlap. The editor accepts or ignores them.
+  const SUGGEST_WEIGHTS = { tags: 0.3, mention: 0.4, text: 0.3 };
+  const SUGGEST_FORMAT = "kb.suggestions/1";
+
+  function suggestLinks({ registry = [], search = [], edges = [] } = {}, opts = {}){
+    const weights = { ...SUGGEST_WEIGHTS, ...(opts.weights || {}) };
+    const limit = opts.limit || 5, weakDegree = opts.weakDegree ?? 1, minScore = opts.minScore ?? 0.15;
+    const docById = new Map(search.filter(d => d && !isTombstone(d)).map(d => [d.id, d]));
+    const live = registry.filter(r => r && r.path && !isTombstone(r));
+    // search docs without a registry item (legacy canonicals) take part under their url
+    const listed = new Set(live.map(r => r.id));
+    for (const d of docById.values()) if (!listed.has(d.id) && (d.path || d.url)) live.push({ ...d, path: d.path || d.url });
+    const entries = live.map(r => {
+      const doc = docById.get(r.id) || { title: `${r.title || ""} ${r.summary || r.description || ""}` };
+      // single short words ("Pricing") would match almost anywhere: names need 2+ words or 8+ characters
+      const names = [String(r.title || "").replace(BLOCK_PREFIX, ""), ...(r.aliases || [])]
+        .map(n => ({ name: String(n).trim(), key: makeTokens(n) })).filter(n => n.key.includes(" ") || n.key.length >= 8);
+      return {
+        path: r.path, id: r.id, title: r.title || null, names,
+        tags: new Set([...(r.tags || []), ...(doc.tags || [])].map(t => String(t).toLowerCase())),
+        terms: new Set(docTokens(doc))
+      };
+    });
+    const byPath = new Map(entries.map(e => [e.path, e]));
+
+    // resolved links only: a block whose links are all pending is still an orphan
+    const linked = new Map(entries.map(e => [e.path, new Set()]));
+    for (const e of edges) {
+      if (!e || (e.status && e.status !== "ok") || !byPath.has(e.source) || !byPath.has(e.target)) continue;
+      linked.get(e.source).add(e.target); linked.get(e.target).add(e.source);
+    }
+
+    const df = new Map();
+    for (const e of entries) for (const t of e.terms) df.set(t, (df.get(t) || 0) + 1);
+    const idf = (t) => Math.log((entries.length + 1) / (df.get(t) || 1));
+    const mass = new Map(entries.map(e => [e.path, [...e.terms].reduce((s, t) => s + idf(t), 0)]));
+    const round = (x) => Math.round(x * 1e4) / 1e4;
+
+    const blocks = [];
+    for (const src of entries) {
+      const degree = linked.get(src.path).size;
+      if (degree > weakDegree) continue;
+      const text = ` ${docTokens(docById.get(src.id) || {}).join(" ")} `;
+      const suggestions = [];
+      for (const t of entries) {
+        if (t === src || linked.get(src.path).has(t.path)) continue;
+        const shared = [...t.tags].filter(x => src.tags.has(x));
+        const mentioned = t.names.find(n => text.includes(` ${n.key} `));
+        let common = 0, top = [];
+        for (const w of t.terms) if (src.terms.has(w)) { common += idf(w); top.push(w); }
+        const signals = {
+          tags: shared.length ? shared.length / new Set([...src.tags, ...t.tags]).size : 0,
+          mention: mentioned ? 1 : 0,
+          text: common ? common / (mass.get(src.path) + mass.get(t.path) - common) : 0
+        };
+        const score = weights.tags * signals.tags + weights.mention * signals.mention + weights.text * signals.text;
+        if (score < minScore) continue;
+        const reasons = [];
+        if (mentioned) reasons.push(`mentions "${mentioned.name}"`);
+        if (shared.length) reasons.push(`shares tags ${shared.slice(0, 5).join(", ")}`);
+        if (signals.text > 0) reasons.push(`similar wording (${top.sort((a, b) => idf(b) - idf(a)).slice(0, 5).join(", ")})`);
+        suggestions.push({
+          target: t.path, id: t.id, title: t.title, score: round(score),
+          signals: { tags: round(signals.tags), mention: signals.mention, text: round(signals.text) }, reasons
+        });
+      }
+      if (!suggestions.length) continue;
+      suggestions.sort((a, b) => b.score - a.score || a.target.localeCompare(b.target));
+      blocks.push({
+        source: src.path, id: src.id, title: src.title, degree, kind: degree ? "weak" : "orphan",
+        suggestions: suggestions.slice(0, limit)
+      });
+    }
+    blocks.sort((a, b) => a.degree - b.degree || b.suggestions[0].score - a.suggestions[0].score || a.source.localeCompare(b.source));
+    return { format: SUGGEST_FORMAT, generated_at: opts.now || new Date().toISOString(), weights, blocks };
+  }
+
+  // Accepted suggestions ({ source, target, type? }) → resolved edges in `cross`; duplicates of an existing
+  // source/target/type edge are skipped. Returns the new graph and how many edges were added.
+  function acceptSuggestions(cross, accepted, opts = {}){
+    const edges = Array.isArray(cross?.edges) ? [...cross.edges] : [];
+    const key = (e) => `${e.source}\u0000${e.target}\u0000${e.type || e.rel || "ref"}`;
+    const seen = new Set(edges.map(key));
+    let added = 0;
+    for (const a of accepted || []) {
+      if (!a || !a.source || !a.target) continue;
+      const edge = { source: a.source, target: a.target, type: a.type || opts.type || "related-to", status: "ok", confidence: 1, origin: "suggestion" };
+      if (seen.has(key(edge))) continue;
+      seen.add(key(edge)); edges.push(edge); added++;
+    }
+    return { cross: { ...cross, edges }, added };
+  }
+
+  // ---------------- deletions ----------------
+  // A tombstone keeps the entry's identity so consumers can tell a retired page from a missing one:
+  // registry items keep their metadata, search docs drop content/tokens/attachments.
+  function isTombstone(x){ return !!(x && x.deleted_at); }
+
+  function tombstoneOf(x, kind, { deleted_at, superseded_by }){
+    if (isTombstone(x)) return { ...x, superseded_by: superseded_by ?? x.superseded_by ?? null };
+    const base = kind === "search"
+      ? { id: x.id, title: x.title, ...(x.url ? { url: x.url } : {}), tags: x.tags || [], created_at: x.created_at }
+      : { ...x };
+    return { ...base, updated_at: deleted_at, deleted_at, superseded_by: superseded_by ?? null };
+  }
+
+  /**
+   * Tombstone entries by ID and drop every edge into or out of them.
+   * @param {{ registry?:Array, search?:Array, edges?:Array }} state - arrays (not mutated)
+   * @param {Array<{ id:string, superseded_by?:string|null }>} deletions
+   * @param {{ now?:string }} [opts]
+   * @returns {{ registry:Array, search:Array, edges:Array, removed:{ registry:number, search:number, edges:number } }}
+   */
+  function applyDeletions(state, deletions, opts = {}){
+    const deleted_at = opts.now || new Date().toISOString();
+    const byId = new Map((deletions || []).filter(d => d && d.id != null).map(d => [String(d.id), d]));
+    const removed = { registry: 0, search: 0, edges: 0 };
+    const mark = (arr, kind) => (arr || []).map(x => {
+      const del = x && byId.get(String(x.id));
+      if (!del || (isTombstone(x) && del.superseded_by === undefined)) return x;
+      removed[kind]++;
+      return tombstoneOf(x, kind, { deleted_at, superseded_by: del.superseded_by });
+    });
+    const registry = mark(state.registry, "registry");
+    const search = mark(state.search, "search");
+
+    // Edge endpoints are paths (or IDs in older graphs); a path still owned by a live entry stays.
+    const live = new Set(registry.filter(r => !isTombstone(r)).map(r => r.path));
+    const dead = new Set(byId.keys());
+    for (const r of registry) if (isTombstone(r) && byId.has(String(r.id)) && r.path && !live.has(r.path)) dead.add(r.path);
+    const edges = (state.edges || []).filter(e => {
+      const drop = dead.has(e.source) || dead.has(e.target);
+      if (drop) removed.edges++;
+      return !drop;
+    });
+    return { registry, search, edges, removed };
+  }
+
+  // The name a source file is recorded and matched under: its file name without directories, so the CLI (any
+  // working directory), the uploader and the viewer agree ("kb/master.md", "C:\\kb\\master.md" → "master.md").
+  // Two files with the same name need distinct names (the CLI's --source).
+  function sourceKey(name){
+    if (name == null) return null;
+    const base = String(name).trim().split(/[\\/]/).pop();
+    return base || null;
+  }
+
+  // block_number → canonical state of that block in one source file (ingestMarkdown's `previous`). Block
+  // numbers only mean something within a source and the profile that segmented it (non-master profiles number
+  // blocks by position), so the candidates are the blocks ingested from opts.source (attachments.meta.source)
+  // with opts.profile (name or compiled profile; attachments.meta.profile, absent for master); without a source
+  // there is nothing to compare with. Blocks published before
+  // sources were recorded are `legacy`: claimed by a block with the same content (`matches`, by sha256), else
+  // (opts.adopt) by the block of that number like this source's own. Re-ingests can leave several docs per block
+  // number; the most recently updated live one is the canonical, and a block of this source wins over legacy ones.
+  function previousBlocks(searchDocs, registryItems, opts = {}){
+    const out = new Map();
+    const source = sourceKey(opts.source);
+    if (source == null) return out;
+    const profile = String((opts.profile && opts.profile.name) || opts.profile || "master");
+    const regById = new Map((registryItems || []).map(r => [r.id, r]));
+    for (const d of searchDocs || []) {
+      const meta = d && d.attachments && d.attachments.meta;
+      const num = meta && meta.block_number;
+      if (num == null || !d.attachments.sha256 || isTombstone(d) || String(meta.profile || "master") !== profile) continue;
+      const legacy = meta.source == null;
+      if (!legacy && sourceKey(meta.source) !== source) continue;
+      const r = regById.get(d.id);
+      const entry = {
+        id: d.id, sha256: d.attachments.sha256, created_at: d.created_at, updated_at: d.updated_at,
+        slug: r && r.slug, path: r && r.path, source: legacy ? null : source
+      };
+      const cur = out.get(Number(num));
+      if (legacy) {
+        if (cur && !cur.legacy) continue;
+        const matches = cur ? cur.matches : new Map();
+        if (!matches.has(entry.sha256)) matches.set(entry.sha256, entry);
+        if (!cur || String(cur.updated_at || "") < String(d.updated_at || "")) {
+          out.set(Number(num), { ...entry, legacy: true, matches, ...(opts.adopt ? { adopt: true } : {}) });
+        }
+        continue;
+      }
+      if (cur && !cur.legacy && String(cur.updated_at || "") >= String(d.updated_at || "")) continue;
+      out.set(Number(num), entry);
+    }
+    return out;
+  }
+
+  // ---------------- pipeline ----------------
+  /**
+   * Markdown → canonical docs for every block.
+   * @param {string} raw - Markdown source
+   * @param {object} [opts]
+   * @param {object} [opts.links] - createLinkIndex() over the existing KB; this source's blocks are added to it
+   * @param {Map<string,string>} [opts.known] - older alternative to `links`: path|slug|title → canonical path
+   * @param {Set<string>} [opts.takenSlugs] - slugs already in use; extended in place
+   * @param {string} [opts.now] - ISO timestamp for created_at/updated_at
+   * @param {string} [opts.source] - source file name, stored in attachments.meta.source
+   * @param {Map<number,object>} [opts.previous] - previousBlocks() of the same source and profile: block_number → { id, sha256,
+   *   created_at, updated_at, slug, path, source, legacy? } of the existing canonical; blocks are then classified
+   *   (docs.change) and keep created_at/slug. A block published without a source comes back `adopted` (rewrite it
+   *   to record the source); `legacy` ones only match the same content, unless `adopt`, and are only then dropped.
+   * @param {object} [opts.relations] - relationship vocabulary (schemas/relation_types.schema.json); built-in default otherwise
+   * Edges carry a relationship `type` (links in the body are the default type; a typed cross-link replaces
+   * the untyped edge to the same target), status ok | ambiguous | pending plus confidence; unresolved
+   * ones keep `raw` and `candidates`.
+   * External links (http:, mailto:, #anchor) are not graph edges and are left out.
+   * Author metadata (file front-matter, block front-matter, fenced yaml; see blockMetadata) pins id, title,
+   * aliases, owners, tags and dates; a pinned id already taken by another block is ignored with a warning.
+   * @returns {{ blocks:Array<object>, registry:Array<object>, search:Array<object>,
+   *             nodes:Array<object>, edges:Array<object>,
+   *             changes:{ added:Array<object>, changed:Array<object>, unchanged:Array<object>, dropped:Array<object> },
+   *             warnings:Array<{ code:string, block_number:number, id:string }> }}
+   */
+  function ingestMarkdown(raw, opts = {}){
+    const links = opts.links || toLinkIndex(opts.known);
+    const takenSlugs = opts.takenSlugs || new Set();
+    const now = opts.now || new Date().toISOString();
+    const previous = opts.previous || new Map();
+    const relations = relationVocabulary(opts.relations);
+    const profile = profileOf(opts);
+
+    const built = [];
+    const claimed = new Set();
+    const changes = { added: [], changed: [], unchanged: [], dropped: [] };
+    const warnings = [];
+    // author-pinned ids: one pinned by an earlier block, or by another block of the canonical, falls back to the content hash
+    const pinned = new Set();
+    const pinnedElsewhere = (id, num) => [...previous].some(([n, p]) => p.id === id && n !== num);
+    const document = profile.frontMatter ? parseFrontMatter(raw).data : {};
+    const segments = segmentIntoBlocks(raw, profile);
+    for (const b of segments) {
+      const sectionData = extractSections(b.rawBlock, { relations, profile, document, single: segments.length === 1 });
+      const meta = sectionData.metadata;
+      if (meta.id && (pinned.has(meta.id) || pinnedElsewhere(meta.id, b.blockNumber))) {
+        warnings.push({ code: "duplicate_pinned_id", block_number: b.blockNumber, id: meta.id });
+        meta.id = null;
+        delete meta.sources.id;
+      } else if (meta.id) pinned.add(meta.id);
+      const docs = buildDocs({ rawBlock: b.rawBlock, blockNumber: b.blockNumber, headerLine: b.headerLine }, { sectionData, now, profile, source: opts.source });
+
+      // Incremental: compare with the canonical doc for this block number (first occurrence claims it)
+      let prev = claimed.has(b.blockNumber) ? null : previous.get(b.blockNumber);
+      if (prev && prev.legacy) prev = prev.matches.get(docs.search.attachments.sha256) || (prev.adopt ? prev : null);
+      if (prev) {
+        claimed.add(b.blockNumber);
+        const same = prev.sha256 === docs.search.attachments.sha256;
+        docs.change = same ? "unchanged" : "changed";
+        if (opts.source != null && prev.source == null) docs.adopted = true;
+        if (prev.id !== docs.id) docs.previous_id = prev.id;
+        for (const d of [docs.registry, docs.search]) {
+          d.created_at = meta.created_at || prev.created_at || d.created_at;
+          if (same) d.updated_at = meta.updated_at || prev.updated_at || d.updated_at;
+        }
+      } else docs.change = "added";
+
+      // Keep the published slug while the title still produces it; else ensure unique slug (append -2, -3…)
+      const base = docs.registry.slug;
+      const keep = prev && prev.slug && (prev.slug === base || new RegExp(`^${base}-\\d+$`).test(prev.slug));
+      const uniqueSlug = keep ? prev.slug : ensureUniqueSlug(base, takenSlugs);
+      if (uniqueSlug !== docs.registry.slug) {
+        docs.slug = docs.registry.slug = uniqueSlug;
+        docs.path = docs.registry.path = canonicalPath(uniqueSlug);
+      }
+      takenSlugs.add(uniqueSlug);
+      links.add(docs.registry);
+      changes[docs.change].push({
+        id: docs.id, block_number: b.blockNumber, path: docs.registry.path,
+        ...(docs.previous_id ? { previous_id: docs.previous_id } : {})
+      });
+      built.push({ docs, sectionData });
+    }
+    for (const [num, prev] of previous) {
+      if (!claimed.has(num) && (!prev.legacy || prev.adopt)) changes.dropped.push({ id: prev.id, block_number: num, path: prev.path || null });
+    }
+
+    // Resolve once every block of this source is known, so forward references resolve too.
+    const edges = [];
+    for (const { docs, sectionData } of built) {
+      const targets = extractRawLinks(docs.search.content, profile).map(target => ({ type: relations.default, target }))
+        .concat(sectionData.cross_links_typed || []);
+      const own = new Map(); // target → Map<type, edge>
+      for (const l of targets) {
+        const r = links.resolve(l.target);
+        if (r.status === "external") continue;
+        if (!own.has(r.target)) own.set(r.target, new Map());
+        if (own.get(r.target).has(l.type)) continue;
+        own.get(r.target).set(l.type, {
+          source: docs.registry.path, target: r.target, type: l.type, status: r.status, confidence: r.confidence,
+          ...(l.type_raw ? { type_raw: l.type_raw } : {}),
+          ...(r.status !== "ok" ? { raw: l.target } : {}),
+          ...(r.candidates.length ? { candidates: r.candidates } : {})
+        });
+      }
+      for (const byType of own.values()) {
+        if (byType.size > 1) byType.delete(relations.default);
+        edges.push(...byType.values());
+      }
+    }
+
+    const blocks = built.map(b => b.docs);
+    return {
+      blocks,
+      registry: blocks.map(d => d.registry),
+      search: blocks.map(d => d.search),
+      nodes: blocks.map(d => ({ id: d.registry.id, path: d.registry.path, title: d.registry.title, slug: d.registry.slug })),
+      edges,
+      changes,
+      warnings
+    };
+  }
+
+  return {
+    NAMESPACE_KB,
+    sha256Hex, uuidv5, stableId, slugifyTitle, canonicalPath, ensureUniqueSlug,
+    DEFAULT_PROFILE, ingestProfile,
+    segmentIntoBlocks, parseMarkdown, mdInline, mdText, mdOutline, mdLinks, mdImages,
+    parseYamlLines, parseFencedYaml, parseFrontMatter, blockMetadata, extractSections,
+    makeTokens, docTokens, firstLines, pickTitle, buildDocs,
+    extractRawLinks, resolveEdges, createLinkIndex, linkKey, isExternalLink,
+    RELATION_TYPES, relationVocabulary, relationType, parseCrossLinks,
+    graphShape, normalizeGraph,
+    suggestLinks, acceptSuggestions,
+    isTombstone, applyDeletions, sourceKey, previousBlocks,
+    ingestMarkdown
+  };
+});
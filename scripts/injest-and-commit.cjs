@@ -4,18 +4,46 @@
  * Usage:
  *   node scripts/ingest-and-commit.cjs --md ./Block1-2215_KBReady_Master_FULL_AllBlocks_MERGED.md
  *   node scripts/ingest-and-commit.cjs --md ./file.md --commit --base https://your-app.vercel.app --key YOUR_KB_KEY --origin https://your-site
+ *   ... --commit --base-commit <sha> --retries 3 --raw https://raw.githubusercontent.com/udigitrentals/github-kb
+ *   ... --commit --dry-run   (preview: prints the diff /api/kb/commit would apply; nothing is written)
+ *   ... --commit --pr        (commit to a kb/ingest-* branch and open a pull request instead of writing to main)
+ *   ... --keep-missing       (do not tombstone blocks of this file that are no longer in it; other files'
+ *                             blocks are never tombstoned by an ingest)
+ *   ... --source master.md   (name the file's blocks are recorded and matched under; default: the --md file name,
+ *                             the name the uploader uses too. Set it when two ingested files share a name)
+ *   ... --adopt              (first re-ingest of a file published before block sources were recorded: compare
+ *                             with, and retire, the blocks that carry no source)
+ *   ... --relations ./schemas/relation_types.schema.json   (edge type vocabulary; this path is the default)
+ *   ... --profile headings   (ingestion profile for this file: block segmentation, section names, tag/link rules)
+ *   ... --profiles ./schemas/ingest_profiles.json          (profile definitions; this path is the default)
+ *   ... --rates ./schemas/roi_rates.json                   (ROI rate cards by block type and tag; this path is the default)
+ *   ... --related [N]        (bake an N-item `related` see-also list into every registry item; default 5)
+ *   ... --lint block         (ask /api/kb/commit to refuse the commit when new or changed blocks have lint errors;
+ *                             docs/lint_report.json is written either way)
  *
  * What it does:
  *  1) Loads existing /docs/* (handles search.json OR search/index.json + shards).
- *  2) Runs your ingestion lib (lib/ingest/index.js -> compose) to build registry/search/cross + stats.
+ *  2) Runs your ingestion lib (lib/ingest/index.js -> compose) to build registry/search/cross + stats
+ *     and the inverted index (search/terms.json + terms-*.json).
+ *     Blocks removed from the source (and old versions of changed blocks) become tombstones
+ *     (deleted_at, superseded_by) and their edges are dropped. Blocks are matched within their source file
+ *     (its file name, or --source), so other files' blocks are never touched.
  *  3) Writes outputs back into /docs locally (so you can inspect).
  *  4) Saves a commit payload at ./kb-payload.json (single or sharded).
- *  5) If --commit is provided, POSTs the payload to /api/kb/commit.
+ *  5) If --commit is provided, POSTs the payload to /api/kb/commit with `base_commit` (--base-commit, else
+ *     the branch head GET /api/kb/commit reports, with `base_shas` of the local /docs canonicals so a copy
+ *     behind that head conflicts). On 409 (canonicals moved since that base) it re-fetches the canonicals
+ *     at the new head from --raw, re-merges, and retries (--retries).
  */
 
 const fs = require("fs");
 const fsp = require("fs").promises;
+const crypto = require("crypto");
 const path = require("path");
+const { renderReport } = require("../.github/workflows/schemas/lib/validation");
+const { renderLint } = require("../.github/workflows/schemas/lib/lint");
+const { migrateCanonicals } = require("../.github/workflows/schemas/lib/versions");
+const { ingestProfile, sourceKey } = require("../.github/workflows/schemas/lib/core");
 
 // --- Config / Args ---
 const args = require("node:process").argv.slice(2);
@@ -31,7 +59,22 @@ const DO_COMMIT = !!arg("commit", false);
 const BASE = arg("base", "http://localhost:3000"); // your app base (for commit)
 const KB_KEY = arg("key", process.env.KB_PROTECT_KEY || "");
 const ORIGIN = arg("origin", "");
+const DRY_RUN = !!arg("dry-run", false);
+const PR_MODE = !!arg("pr", false);
+const KEEP_MISSING = !!arg("keep-missing", false);
+const ADOPT = !!arg("adopt", false);
+const SOURCE = typeof arg("source", null) === "string" ? arg("source") : null; // null → the --md file name
+const BASE_COMMIT = arg("base-commit", null);
+const RETRIES = Number(arg("retries", 3));
+const RAW = arg("raw", "https://raw.githubusercontent.com/udigitrentals/github-kb");
 const OUT_PAYLOAD = path.join(process.cwd(), "kb-payload.json");
+const RELATED = arg("related", 0);
+const RELATED_LIMIT = RELATED === true ? 5 : Number(RELATED) || 0; // bare --related → 5
+const RELATIONS_FILE = arg("relations", path.join(process.cwd(), "schemas", "relation_types.schema.json"));
+const PROFILE = typeof arg("profile", null) === "string" ? arg("profile") : null; // null → the config's default
+const PROFILES_FILE = arg("profiles", path.join(process.cwd(), "schemas", "ingest_profiles.json"));
+const RATES_FILE = arg("rates", path.join(process.cwd(), "schemas", "roi_rates.json"));
+const LINT_MODE = arg("lint", null) === "block" ? "block" : null;
 
 // --- Load compose() from your ingestion library ---
 let compose;
@@ -60,17 +103,20 @@ try {
     const docsDir = path.join(process.cwd(), "docs");
     const existing = await loadExisting(docsDir);
 
-    // --- Run ingestion pipeline ---
-    const result = await compose({ rawMarkdown, existing });
-    // result: { registry, search (or null), searchManifest (maybe), searchShards (maybe), cross, stats }
-
-    // --- Write to /docs locally (inspect before committing) ---
-    await writeOutputs(docsDir, result);
+    if (!global.fetch) {
+      try { global.fetch = (await import("node-fetch")).default; } catch {}
+    }
+    const commitUrl = new URL("/api/kb/commit", BASE).toString();
+    const headers = {
+      "Content-Type": "application/json",
+      ...(KB_KEY ? { "x-kb-key": KB_KEY } : {}),
+      ...(ORIGIN ? { "Origin": ORIGIN } : {})
+    };
+    // Base revision for optimistic concurrency: what the local /docs were read from (before ingest rewrites them)
+    let base = DO_COMMIT ? await baseRevision(commitUrl, headers) : {};
 
-    // --- Build commit payload (single OR sharded) ---
-    const payload = buildPayloadForCommit(result);
-    await fsp.writeFile(OUT_PAYLOAD, JSON.stringify(payload, null, 2), "utf8");
-    logOk(`Wrote payload → ${OUT_PAYLOAD}`);
+    // --- Run ingestion pipeline, write /docs locally, build commit payload (single OR sharded) ---
+    let { payload } = await ingest(rawMarkdown, existing, docsDir);
 
     if (!DO_COMMIT) {
       console.log("\n✅ Ingest complete. Open the /docs folder and kb-payload.json to review.");
@@ -79,25 +125,49 @@ try {
     }
 
     // --- Commit to /api/kb/commit ---
-    if (!global.fetch) {
-      try { global.fetch = (await import("node-fetch")).default; } catch {}
+    let res, data;
+    for (let attempt = 0; ; attempt++) {
+      res = await fetch(commitUrl, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({ ...payload, ...(base.commit ? { base_commit: base.commit } : {}), ...(base.shas ? { base_shas: base.shas } : {}), ...(DRY_RUN ? { dry_run: true } : {}), ...(PR_MODE ? { mode: "pr" } : {}), ...(LINT_MODE ? { lint: LINT_MODE } : {}) })
+      });
+      data = await res.json().catch(() => ({}));
+      if (res.status !== 409 || attempt >= RETRIES) break;
+
+      // Someone else committed: re-fetch canonicals at the new head, re-merge, retry
+      console.warn(`⚠️ Conflict (${data.conflict?.reason}): ${(data.conflict?.files || []).map(f => f.path).join(", ") || "head moved"}`);
+      const head = await fetch(commitUrl, { headers }).then(r => r.json());
+      if (!head.ok) break;
+      base = { commit: head.base_commit };
+      const fresh = await fetchExisting(RAW, base.commit);
+      ({ payload } = await ingest(rawMarkdown, fresh, docsDir));
+      logOk(`Re-merged against ${base.commit} (retry ${attempt + 1}/${RETRIES})`);
     }
-    const commitUrl = new URL("/api/kb/commit", BASE).toString();
-    const res = await fetch(commitUrl, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        ...(KB_KEY ? { "x-kb-key": KB_KEY } : {}),
-        ...(ORIGIN ? { "Origin": ORIGIN } : {})
-      },
-      body: JSON.stringify(payload)
-    });
-    const data = await res.json().catch(() => ({}));
     if (!res.ok || !data.ok) {
+      if (data?.error === "lint_failed" && data.lint) {
+        console.error(`❌ Commit refused (${res.status} ${data.error})`);
+        console.error(renderLint(data.lint));
+        process.exit(1);
+      }
+      if (data?.report) {
+        console.error(`❌ Commit refused (${res.status} ${data.error})`);
+        console.error(renderReport(data.report));
+        process.exit(1);
+      }
       console.error("❌ Commit failed", res.status, data);
       process.exit(1);
     }
-    logOk(`Committed canonicals to ${commitUrl}`);
+    if (data.dry_run) {
+      const d = data.diff || {};
+      const n = (c) => `+${c?.added?.length || 0} -${c?.removed?.length || 0} ~${c?.modified?.length || 0}`;
+      logOk(`Dry run (nothing written): registry ${n(d.registry)} • search ${n(d.search)} • edges ${n(d.edges)}`);
+      console.log(JSON.stringify({ shards: d.shards, files: d.files }, null, 2));
+    } else if (data.pull_request) {
+      logOk(`Opened pull request ${data.pull_request.url} (${data.pull_request.branch} → ${data.pull_request.base})`);
+    } else {
+      logOk(`Committed canonicals to ${commitUrl}${data.commit?.sha ? ` (commit ${data.commit.sha})` : ""}`);
+    }
     console.log(JSON.stringify(data.stats || {}, null, 2));
   } catch (e) {
     console.error("❌ Error:", e);
@@ -106,6 +176,85 @@ try {
 })();
 
 // ----------------- helpers -----------------
+// Incremental ingest report: blocks compared with the canonical by attachments.sha256
+function logChanges(changes) {
+  if (!changes) return;
+  const { added, changed, unchanged, dropped } = changes;
+  logOk(`Blocks: ${added.length} added, ${changed.length} changed, ${unchanged.length} unchanged, ${dropped.length} dropped from source`);
+  for (const [label, list] of [["added", added], ["changed", changed], ["dropped", dropped]]) {
+    for (const b of list) console.log(`   ${label.padEnd(7)} block ${b.block_number} ${b.path || b.id}`);
+  }
+}
+
+async function ingest(rawMarkdown, existing, docsDir) {
+  const relations = await loadJSON(RELATIONS_FILE); // null → the core's built-in vocabulary
+  const profile = ingestProfile(await loadJSON(PROFILES_FILE), PROFILE || undefined); // no file → built-in master rules; unknown name throws
+  logOk(`Ingestion profile: ${profile.name}`);
+  const rates = await loadJSON(RATES_FILE); // null → built-in $120/h, 15 min per block
+  // blocks are numbered per file: the path (relative, "/"-separated) keys them across ingests
+  const source = sourceKey(SOURCE || MD_FILE); // file name only: the same from any working directory and in the uploader
+  const result = await compose({ rawMarkdown, existing, source, adopt: ADOPT, keepMissing: KEEP_MISSING, relations, profile, rates, relatedLimit: RELATED_LIMIT });
+  // result: { registry, search (or null), searchManifest (maybe), searchShards (maybe), cross, stats, changes }
+  logChanges(result.changes);
+  for (const w of result.warnings || []) console.warn(`⚠️ block ${w.block_number}: ${w.code} "${w.id}" (content-hash id used instead)`);
+  // canonicals are written and committed in their current schema_version envelopes
+  const { registry, search, cross, searchShards } = migrateCanonicals(result);
+  Object.assign(result, { registry, search, cross, searchShards });
+
+  // --- Write to /docs locally (inspect before committing) ---
+  await writeOutputs(docsDir, result);
+
+  const payload = buildPayloadForCommit(result);
+  await fsp.writeFile(OUT_PAYLOAD, JSON.stringify(payload, null, 2), "utf8");
+  logOk(`Wrote payload → ${OUT_PAYLOAD}`);
+  return { result, payload };
+}
+
+// --base-commit, else the head the endpoint reports (GET /api/kb/commit) plus the git blob sha of every local
+// canonical it lists or /docs holds: if the local copy is not that head, the POST gets 409 canonicals_moved
+// and is re-merged against the head. A local `git rev-parse HEAD` is no base: it is often not on the remote.
+async function baseRevision(commitUrl, headers) {
+  if (BASE_COMMIT) return { commit: BASE_COMMIT };
+  const head = await fetch(commitUrl, { headers }).then(r => r.json()).catch(() => null);
+  if (!head?.ok || !head.base_commit) {
+    console.warn(`⚠️ Could not read the branch head from ${commitUrl}; committing without a base (no conflict check)`);
+    return {};
+  }
+  const docsDir = path.join(process.cwd(), "docs");
+  const local = ["registry.json", "search.json", "cross_links.json"].map(f => `docs/${f}`)
+    .concat(fs.existsSync(path.join(docsDir, "search")) ? fs.readdirSync(path.join(docsDir, "search")).filter(f => f.endsWith(".json")).map(f => `docs/search/${f}`) : []);
+  const shas = {};
+  for (const p of new Set([...Object.keys(head.base_shas || {}), ...local])) shas[p] = gitBlobSha(path.join(process.cwd(), p));
+  return { commit: head.base_commit, shas };
+}
+
+// `git hash-object` of a file; null when it does not exist
+function gitBlobSha(file) {
+  if (!fs.existsSync(file)) return null;
+  const buf = fs.readFileSync(file);
+  return crypto.createHash("sha1").update(`blob ${buf.length}\0`).update(buf).digest("hex");
+}
+
+// Canonicals as of `sha` from RAW GitHub (single search.json OR manifest + shards)
+async function fetchExisting(rawBase, sha) {
+  const get = async (p) => {
+    const r = await fetch(`${rawBase}/${sha}/docs/${p}`, { cache: "no-store" });
+    if (r.status === 404) return null;
+    if (!r.ok) throw new Error(`Fetch failed ${r.status} for ${p}@${sha}`);
+    return r.json();
+  };
+  const [reg, cross, single, idMap, pendingLinks] = await Promise.all([
+    get("registry.json"), get("cross_links.json"), get("search.json"), get("id_map.json"), get("pending_links.json")
+  ]);
+  let search = single;
+  if (!search) {
+    const man = await get("search/index.json");
+    const shards = man ? await Promise.all((man.shards || []).map(s => get(`search/${s.file}`))) : [];
+    search = { docs: shards.flatMap(s => s?.docs || s?.items || []) };
+  }
+  return { registry: reg || [], search: search || [], cross: cross || { nodes: [], edges: [] }, idMap, pendingLinks };
+}
+
 async function loadJSON(p) {
   try { return JSON.parse(await fsp.readFile(p, "utf8")); }
   catch { return null; }
@@ -115,21 +264,28 @@ async function loadExisting(docsDir) {
   await fsp.mkdir(docsDir, { recursive: true });
   const reg = await loadJSON(path.join(docsDir, "registry.json"));
   const cross = await loadJSON(path.join(docsDir, "cross_links.json"));
+  const idMap = await loadJSON(path.join(docsDir, "id_map.json")); // legacy → canonical IDs (kb_migrate_ids.js)
+  const pendingLinks = await loadJSON(path.join(docsDir, "pending_links.json")); // unresolved links, retried every ingest
   // Either single search.json OR sharded manifest
   const singleSearch = await loadJSON(path.join(docsDir, "search.json"));
   const man = await loadJSON(path.join(docsDir, "search", "index.json"));
 
   let searchExisting = null;
   if (singleSearch) searchExisting = singleSearch;
-  else if (man) searchExisting = man;
+  else if (man) {
+    // the manifest only lists the shards: load their docs, as fetchExisting and /api/kb/search do
+    const shards = await Promise.all((man.shards || []).map(s => loadJSON(path.join(docsDir, "search", s.file))));
+    const missing = (man.shards || []).filter((s, i) => !shards[i]).map(s => s.file);
+    if (missing.length) throw new Error(`search/index.json lists missing or unreadable shards: ${missing.join(", ")}`);
+    searchExisting = { docs: shards.flatMap(s => s.docs || s.items || []) };
+  }
   // Tolerant shape: pass through what we have
-  return { registry: reg || [], search: searchExisting || [], cross: cross || { nodes: [], edges: [] } };
+  return { registry: reg || [], search: searchExisting || [], cross: cross || { nodes: [], edges: [] }, idMap, pendingLinks };
 }
 
 async function writeOutputs(docsDir, result) {
-  // 1) registry.json (preserve shape: array or envelope)
-  const regOut = Array.isArray(result.registry) ? result.registry : result.registry.items ? { items: result.registry.items } : result.registry;
-  await fsp.writeFile(path.join(docsDir, "registry.json"), JSON.stringify(regOut, null, 2), "utf8");
+  // 1) registry.json ({ schema_version, items })
+  await fsp.writeFile(path.join(docsDir, "registry.json"), JSON.stringify(result.registry, null, 2), "utf8");
   logOk("registry.json written");
 
   // 2) search: single or sharded
@@ -157,10 +313,59 @@ async function writeOutputs(docsDir, result) {
     logOk("search.json written");
   }
 
+  // 2b) inverted index: header + term-range shards (prune stale shards)
+  if (result.searchIndex) {
+    const searchDir = path.join(docsDir, "search");
+    await fsp.mkdir(searchDir, { recursive: true });
+    await fsp.writeFile(path.join(searchDir, "terms.json"), JSON.stringify(result.searchIndex.header), "utf8");
+    const keep = new Set();
+    for (const s of result.searchIndex.files) {
+      keep.add(s.file);
+      await fsp.writeFile(path.join(searchDir, s.file), JSON.stringify(s.data), "utf8");
+    }
+    const stale = (await fsp.readdir(searchDir)).filter(f => /^terms-\d+\.json$/i.test(f) && !keep.has(f));
+    await Promise.all(stale.map(f => fsp.unlink(path.join(searchDir, f))));
+    logOk(`inverted index written (${result.searchIndex.files.length} shard(s))`);
+  }
+
   // 3) cross_links.json
   await fsp.writeFile(path.join(docsDir, "cross_links.json"), JSON.stringify(result.cross, null, 2), "utf8");
   logOk("cross_links.json written");
 
+  // 3b) pending_links.json (unresolved/ambiguous links queue)
+  if (result.pendingLinks) {
+    await fsp.writeFile(path.join(docsDir, "pending_links.json"), JSON.stringify(result.pendingLinks, null, 2), "utf8");
+    logOk(`pending_links.json written (${result.pendingLinks.links.length} pending, ${result.resolvedLinks?.length || 0} resolved from queue)`);
+  }
+
+  // 3c) kb_graph_report.json (components, PageRank/HITS, dead ends, broken targets)
+  if (result.graphReport) {
+    await fsp.writeFile(path.join(docsDir, "kb_graph_report.json"), JSON.stringify(result.graphReport, null, 2), "utf8");
+    const c = result.graphReport.counts;
+    logOk(`kb_graph_report.json written (${c.components} components, ${c.dead_ends} dead ends, ${c.broken_targets} broken targets)`);
+  }
+
+  // 3d) link_suggestions.json (candidate links for orphan/weakly linked blocks, reviewed in the uploader)
+  if (result.linkSuggestions) {
+    await fsp.writeFile(path.join(docsDir, "link_suggestions.json"), JSON.stringify(result.linkSuggestions, null, 2), "utf8");
+    logOk(`link_suggestions.json written (${result.linkSuggestions.blocks.length} block(s) with suggestions)`);
+  }
+
+  // 3e) lint_report.json (content lint of this source's blocks: sections, tags, duplicates, length, links, headers)
+  if (result.lintReport) {
+    await fsp.writeFile(path.join(docsDir, "lint_report.json"), JSON.stringify(result.lintReport, null, 2), "utf8");
+    const c = result.lintReport.counts;
+    logOk(`lint_report.json written (${c.errors} error(s), ${c.warnings} warning(s) in ${c.flagged} of ${c.blocks} block(s))`);
+    if (c.errors) console.warn(renderLint(result.lintReport)); // errors are listed first
+  }
+
+  // 3f) kb_roi_report.json (per-block ROI added up by tag, type, block range and time window)
+  if (result.roiReport) {
+    await fsp.writeFile(path.join(docsDir, "kb_roi_report.json"), JSON.stringify(result.roiReport, null, 2), "utf8");
+    const t = result.roiReport.totals;
+    logOk(`kb_roi_report.json written (${t.blocks} block(s), ~$${t.value_usd_est} ${result.roiReport.currency}, ${t.declared} with a declared ROI)`);
+  }
+
   // 4) kb_stats.json (always)
   await fsp.writeFile(path.join(docsDir, "kb_stats.json"), JSON.stringify(result.stats, null, 2), "utf8");
 
@@ -182,6 +387,9 @@ function buildPayloadForCommit(result) {
       cross: result.cross,
       searchManifest: result.searchManifest,
       searchShards: result.searchShards,
+      searchIndex: result.searchIndex,
+      pendingLinks: result.pendingLinks,
+      linkSuggestions: result.linkSuggestions,
       message: "KB: ingest (sharded)"
     };
   }
@@ -189,6 +397,9 @@ function buildPayloadForCommit(result) {
     registry: result.registry,
     search: result.search,
     cross: result.cross,
+    searchIndex: result.searchIndex,
+    pendingLinks: result.pendingLinks,
+    linkSuggestions: result.linkSuggestions,
     message: "KB: ingest (single)"
   };
 }
@@ -1,5 +1,8 @@
 const fs = require('fs');
 const path = require('path');
+const { analyzeGraph, graphSummary } = require('../.github/workflows/schemas/lib/graph');
+const { normalizeGraph } = require('../.github/workflows/schemas/lib/core');
+const { graphCounts, liveCounts } = require('../.github/workflows/schemas/lib/stats');
 
 function readJson(p) { return JSON.parse(fs.readFileSync(p, 'utf8')); }
 
@@ -10,26 +13,29 @@ function compute(registry, search, cross) {
   const searchArr   = Array.isArray(search) ? search
                     : Array.isArray(search?.docs) ? search.docs
                     : Array.isArray(search?.items) ? search.items : [];
-  const edges       = Array.isArray(cross?.edges) ? cross.edges
-                    : Array.isArray(cross?.graph?.edges) ? cross.graph.edges : [];
-  const nodes       = Array.isArray(cross?.nodes) ? cross.nodes
-                    : Array.isArray(cross?.graph?.nodes) ? cross.graph.nodes : [];
+  const { nodes, edges } = cross;
 
   const uniqueTags = new Set();
   for (const d of searchArr) if (Array.isArray(d?.tags)) for (const t of d.tags) uniqueTags.add(String(t).toLowerCase());
 
-  const unresolved = edges.filter(e => !e?.source || !e?.target).length;
+  const byType = {};
+  for (const e of edges) {
+    const t = e?.type || e?.rel || 'ref';
+    const g = byType[t] || (byType[t] = { edges: 0, unresolved: 0 });
+    g.edges++;
+    if (e?.status === 'pending' || e?.status === 'ambiguous') g.unresolved++;
+  }
 
   return {
     ts: new Date().toISOString(),
     counts: {
-      registry_items: registryArr.length,
-      search_docs: searchArr.length,
+      ...liveCounts(registryArr, searchArr), // tombstoned entries are not live, as in ingest and commit
       nodes: nodes.length,
       edges: edges.length,
       unique_tags: uniqueTags.size,
-      unresolved_edges: unresolved
-    }
+      ...graphCounts(cross) // same definitions as ingest and commit, so the history's trends compare
+    },
+    graph: { edges_by_type: byType }
   };
 }
 
@@ -37,9 +43,17 @@ function compute(registry, search, cross) {
   const docsDir = path.join(process.cwd(), 'docs');
   const reg = readJson(path.join(docsDir, 'registry.json'));
   const sea = readJson(path.join(docsDir, 'search.json'));
-  const xln = readJson(path.join(docsDir, 'cross_links.json'));
+  const items = Array.isArray(reg) ? reg : reg?.items || reg?.registry || [];
+  // any published graph shape → { nodes, edges }, nodes missing from the file derived from the registry
+  const xln = normalizeGraph(readJson(path.join(docsDir, 'cross_links.json')), { registry: items });
 
   const stats = compute(reg, sea, xln);
+  const report = analyzeGraph(xln, { registry: items, now: stats.ts });
+  Object.assign(stats.graph, graphSummary(report));
+  // sizes for the headroom in kb_health_trends.json
+  const kb = (f) => Math.round(fs.statSync(path.join(docsDir, f)).size / 1024);
+  stats.sizes_kb = { registry_kb: kb('registry.json'), search_kb: kb('search.json'), cross_kb: kb('cross_links.json') };
+  fs.writeFileSync(path.join(docsDir, 'kb_graph_report.json'), JSON.stringify(report, null, 2));
 
   const histPath = path.join(docsDir, 'kb_health_history.json');
   let hist = [];
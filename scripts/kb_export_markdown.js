@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+/**
+ * kb_export_markdown.js
+ * Rebuilds the Markdown master (and one file per block) from the canonical search docs.
+ * Blocks are written in attachments.meta.block_number order and verified against attachments.sha256;
+ * the master is also checked against kb_stats.json ingest.sha256 when that is present (it only matches when the
+ * source has no preamble: text before the first block is in no search doc, so it is not rebuilt).
+ * Block numbers count per source file (attachments.meta.source): when the KB holds several, each is also
+ * rebuilt under <out>/sources/<source> (a source ingested with another profile gets a .<profile> suffix).
+ * Usage:
+ *   node scripts/kb_export_markdown.js --src ./docs --out ./kb_export [--name master.md] [--force]
+ * Exit code 1 when any block fails verification (files are still written with --force).
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { exportMarkdown } = require('../.github/workflows/schemas/lib/export');
+
+function arg(name, fallback) {
+  const idx = process.argv.indexOf(`--${name}`);
+  if (idx !== -1 && process.argv[idx+1] && !process.argv[idx+1].startsWith('--')) return process.argv[idx+1];
+  if (idx !== -1) return true;
+  return fallback;
+}
+
+const src = arg('src', './docs');
+const out = arg('out', './kb_export');
+const force = !!arg('force', false);
+
+function readJSON(p) {
+  try { return JSON.parse(fs.readFileSync(p, 'utf8')); } catch { return null; }
+}
+
+// Single search.json OR search/index.json + shards
+function loadDocs(dir) {
+  const single = readJSON(path.join(dir, 'search.json'));
+  if (single) return single.docs || single.items || (Array.isArray(single) ? single : []);
+  const man = readJSON(path.join(dir, 'search', 'index.json'));
+  if (!man) throw new Error(`No search.json or search/index.json in ${dir}`);
+  return (man.shards || []).flatMap(s => {
+    const d = readJSON(path.join(dir, 'search', s.file));
+    return d ? (d.docs || d.items || []) : [];
+  });
+}
+
+const stats = readJSON(path.join(src, 'kb_stats.json'));
+const name = arg('name', path.basename(stats?.ingest?.source_markdown || 'master.md'));
+const result = exportMarkdown(loadDocs(src));
+
+if (result.errors.length && !force) {
+  console.error('Verification failed; nothing written (use --force to write anyway):');
+  console.table(result.errors);
+  process.exit(1);
+}
+
+fs.mkdirSync(path.join(out, 'md'), { recursive: true });
+fs.writeFileSync(path.join(out, name), result.master, 'utf8');
+for (const f of result.files) fs.writeFileSync(path.join(out, f.path), f.content, 'utf8');
+if (result.sources.length > 1) {
+  for (const s of result.sources) {
+    const rel = (s.source || name).replace(/\\/g, '/').split('/').filter(p => p && p !== '.' && p !== '..').join('/');
+    const file = path.join(out, 'sources', s.profile === 'master' ? rel : `${rel}.${s.profile}`);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, s.content, 'utf8');
+    console.log('Wrote', file, `(${s.blocks} blocks)`);
+  }
+}
+
+const masterSha = crypto.createHash('sha256').update(Buffer.from(result.master, 'utf8')).digest('hex');
+const expected = stats?.ingest?.sha256 || null;
+console.log('Wrote', path.join(out, name), `(${result.blocks.length} blocks)`);
+console.log('Wrote', result.files.length, 'block files to', path.join(out, 'md'));
+console.log('master sha256:', masterSha, expected ? (expected === masterSha ? '(matches kb_stats ingest)' : `(kb_stats ingest has ${expected})`) : '');
+if (result.superseded.length) console.log('Superseded duplicates:', result.superseded.length);
+if (result.skipped.length) console.log('Skipped (no block metadata):', result.skipped.length);
+if (result.errors.length) { console.table(result.errors); process.exit(1); }
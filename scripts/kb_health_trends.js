@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/**
+ * kb_health_trends.js
+ * Reads docs/kb_health_history.json and writes docs/kb_health_trends.json: growth per window, headroom against
+ * the size/graph thresholds and regression alerts (.github/workflows/schemas/lib/trends.js). Every alert is
+ * logged as a `kb.health.alert` JSON line; alerts not already in the previous report, at or above
+ * webhook.min_severity, are POSTed to the URL in the env var named by schemas/health_alerts.json (webhook.url_env).
+ * A failed delivery is logged, not fatal; those alerts are marked `undelivered` and sent again by the next run.
+ * Usage:
+ *   node scripts/kb_health_trends.js [--src ./docs] [--config schemas/health_alerts.json] [--dry-run] [--fail-on critical|warning]
+ * --dry-run writes nothing and sends nothing; --fail-on exits 1 when an alert of that severity (or worse) is open.
+ */
+const fs = require('fs');
+const path = require('path');
+const { analyzeHistory, alertConfig, alertsToSend, alertPayload } = require('../.github/workflows/schemas/lib/trends');
+
+function arg(name, fallback) {
+  const idx = process.argv.indexOf(`--${name}`);
+  if (idx !== -1 && process.argv[idx+1] && !process.argv[idx+1].startsWith('--')) return process.argv[idx+1];
+  if (idx !== -1) return true;
+  return fallback;
+}
+
+function readJSON(p) {
+  try { return JSON.parse(fs.readFileSync(p, 'utf8')); } catch { return null; }
+}
+
+(async function main() {
+  const src = arg('src', './docs');
+  const dryRun = !!arg('dry-run', false);
+  const failOn = arg('fail-on', null);
+  const config = alertConfig(readJSON(arg('config', path.join('schemas', 'health_alerts.json'))));
+  const outPath = path.join(src, 'kb_health_trends.json');
+
+  const history = readJSON(path.join(src, 'kb_health_history.json')) || [];
+  const report = analyzeHistory(history, { config, previous: readJSON(outPath) });
+  const c = report.counts;
+  console.log(`KB trends: ${c.snapshots} snapshot(s), ${c.critical} critical, ${c.warning} warning alert(s)`);
+  for (const a of report.alerts) console.log(JSON.stringify({ event: 'kb.health.alert', ...a }));
+
+  const send = alertsToSend(report, config);
+  const url = process.env[config.webhook.url_env];
+  if (send.length && url && !dryRun) {
+    try {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(alertPayload(send, config, { repo: process.env.GITHUB_REPOSITORY, generated_at: report.generated_at })),
+        signal: AbortSignal.timeout(10000)
+      });
+      console.log(`Webhook: ${send.length} alert(s) → HTTP ${res.status}`);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    } catch (e) {
+      // a delivery failure must not fail the run (the health files still get committed); the alerts are kept
+      // `undelivered` so the next run sends them again
+      console.error(JSON.stringify({ event: 'kb.health.alert.webhook_failed', error: String(e?.message || e) }));
+      console.log(`::warning::KB alert webhook failed: ${String(e?.message || e)}`);
+      for (const a of send) a.undelivered = true;
+    }
+  } else if (send.length) {
+    console.log(`Webhook: ${send.length} alert(s) not sent (${dryRun ? 'dry run' : `${config.webhook.url_env} unset`})`);
+  }
+
+  if (!dryRun) {
+    fs.writeFileSync(outPath, JSON.stringify(report, null, 2));
+    console.log('Wrote', outPath);
+  }
+
+  if (failOn === 'critical' && c.critical) process.exitCode = 1;
+  if (failOn === 'warning' && (c.critical || c.warning)) process.exitCode = 1;
+})();
@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+/**
+ * kb_integrity.js
+ * Cross-file referential integrity of registry.json, search.json (or shards) and cross_links.json
+ * (lib/integrity.js): orphan search docs, registry paths nothing serves, edges to unknown nodes,
+ * duplicate ids/slugs and content !== attachments.raw_markdown. Exits 1 on any issue not in the baseline.
+ * Usage:
+ *   node scripts/kb_integrity.js [--src ./docs] [--baseline-ref <git ref>] [--json ./integrity.json]
+ * --baseline-ref: the canonicals at that ref (e.g. the PR base) are the baseline, so only issues the change
+ *                 introduces fail; without it every issue fails. An unreadable ref reports without failing.
+ */
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { checkIntegrity, fileExists, readCanonicals } = require('../.github/workflows/schemas/lib/integrity');
+
+function arg(name, fallback) {
+  const idx = process.argv.indexOf(`--${name}`);
+  if (idx !== -1 && process.argv[idx+1] && !process.argv[idx+1].startsWith('--')) return process.argv[idx+1];
+  if (idx !== -1) return true;
+  return fallback;
+}
+
+const src = arg('src', './docs');
+const ref = arg('baseline-ref', null);
+const jsonOut = arg('json', null);
+const exists = fileExists(path.resolve(src, '..'));
+
+let baseline = null, reportOnly = false;
+if (ref && ref !== true) {
+  const rel = path.relative(process.cwd(), path.resolve(src)).split(path.sep).join('/');
+  const gitShow = (f) => execFileSync('git', ['show', `${ref}:${rel}/${f}`], { encoding: 'utf8', maxBuffer: 256 * 1024 * 1024, stdio: ['ignore', 'pipe', 'ignore'] });
+  const prev = readCanonicals(src, gitShow);
+  if (prev.registry || prev.search || prev.cross) baseline = checkIntegrity(prev, { exists });
+  else { reportOnly = true; console.warn(`Baseline ${ref} has no canonicals (unknown ref or first commit): reporting only.`); }
+}
+
+const result = checkIntegrity(readCanonicals(src), { baseline, exists });
+const existing = result.issues.length - result.introduced;
+console.log(`Integrity: ${result.issues.length} issue(s)${baseline ? `, ${existing} already in ${ref}` : ''}, ${result.introduced} new`);
+for (const [code, n] of Object.entries(result.counts)) console.log(`  ${code}: ${n}`);
+for (const i of result.issues.filter(i => !i.existing).slice(0, 50)) console.log(`✖ ${i.code} ${i.file}#${i.pointer} — ${i.message}`);
+if (jsonOut && jsonOut !== true) fs.writeFileSync(jsonOut, JSON.stringify(result, null, 2), 'utf8');
+process.exit(result.ok || reportOnly ? 0 : 1);
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+/**
+ * kb_migrate_ids.js
+ * Maps IDs and paths minted by the old uploader ("block-N", blocks/block-N-<slug>.md) and the old
+ * static viewer (sha256 of file|index|title|block) onto the canonical core scheme (UUIDv5, /docs/md/<slug>.md),
+ * rewrites registry.json, search.json (or search shards) and cross_links.json, and publishes id_map.json
+ * so later ingests keep resolving links written against the old IDs.
+ * Usage:
+ *   node scripts/kb_migrate_ids.js --md ./master.md [--file-name master.md] [--src ./docs] [--out ./docs] [--dry-run]
+ * --file-name is the name the file had when it went through the viewer (defaults to the --md basename).
+ */
+const fs = require('fs');
+const path = require('path');
+const { legacyIdMap, applyIdMap, mergeIdMaps } = require('../.github/workflows/schemas/lib/migrate');
+
+function arg(name, fallback) {
+  const idx = process.argv.indexOf(`--${name}`);
+  if (idx !== -1 && process.argv[idx+1] && !process.argv[idx+1].startsWith('--')) return process.argv[idx+1];
+  if (idx !== -1) return true;
+  return fallback;
+}
+
+const mdPath = arg('md', null);
+if (!mdPath || mdPath === true) {
+  console.error('Usage: node scripts/kb_migrate_ids.js --md ./master.md [--file-name name.md] [--src ./docs] [--out ./docs] [--dry-run]');
+  process.exit(1);
+}
+const src = arg('src', './docs');
+const out = arg('out', src);
+const dryRun = !!arg('dry-run', false);
+const fileName = arg('file-name', path.basename(mdPath));
+
+function readJSON(p) {
+  try { return JSON.parse(fs.readFileSync(p, 'utf8')); } catch { return null; }
+}
+const listOf = (o, ...keys) => Array.isArray(o) ? o : (keys.map(k => o && o[k]).find(Array.isArray) || []);
+// Put the rewritten array back into whatever envelope it came from
+function envelope(orig, arr, key) {
+  if (Array.isArray(orig) || !orig) return orig ? arr : { [key]: arr };
+  const k = ['items', 'docs', 'registry'].find(x => Array.isArray(orig[x])) || key;
+  return { ...orig, [k]: arr };
+}
+
+const registry = readJSON(path.join(src, 'registry.json'));
+const cross = readJSON(path.join(src, 'cross_links.json'));
+const single = readJSON(path.join(src, 'search.json'));
+const manifest = single ? null : readJSON(path.join(src, 'search', 'index.json'));
+const shards = (manifest?.shards || []).map(s => ({ file: s.file, json: readJSON(path.join(src, 'search', s.file)) }));
+
+const map = legacyIdMap(fs.readFileSync(mdPath, 'utf8'), { fileName, registry: listOf(registry, 'items', 'docs', 'registry') });
+
+// Shards are rewritten one by one; IDs only collide within a shard's own docs
+const searchArrs = single ? [listOf(single, 'docs', 'items')] : shards.map(s => listOf(s.json, 'docs', 'items'));
+const first = applyIdMap({ registry: listOf(registry, 'items', 'docs', 'registry'), search: searchArrs[0] || [], cross: cross || {} }, map);
+const rest = searchArrs.slice(1).map(arr => applyIdMap({ search: arr }, map));
+const changed = { ...first.changed, search: first.changed.search + rest.reduce((n, r) => n + r.changed.search, 0) };
+
+console.log(`Legacy entries: ${map.entries.length} (${Object.keys(map.ids).length} ids, ${Object.keys(map.paths).length} paths)`);
+console.log(`Rewritten: registry ${changed.registry}, search ${changed.search}, edges ${changed.edges}`);
+if (dryRun) { console.table(map.entries.slice(0, 20)); process.exit(0); }
+
+fs.mkdirSync(out, { recursive: true });
+const write = (rel, obj) => {
+  fs.mkdirSync(path.dirname(path.join(out, rel)), { recursive: true });
+  fs.writeFileSync(path.join(out, rel), JSON.stringify(obj, null, 2), 'utf8');
+  console.log('Wrote', path.join(out, rel));
+};
+if (registry) write('registry.json', envelope(registry, first.registry, 'items'));
+if (cross) write('cross_links.json', first.cross);
+if (single) write('search.json', envelope(single, first.search, 'docs'));
+shards.forEach((s, i) => write(path.join('search', s.file), envelope(s.json, i ? rest[i - 1].search : first.search, 'docs')));
+
+const idMap = mergeIdMaps(readJSON(path.join(src, 'id_map.json')), map);
+write('id_map.json', { ...idMap, generated_at: new Date().toISOString(), source: fileName });
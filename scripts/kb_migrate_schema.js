@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/**
+ * kb_migrate_schema.js
+ * Upgrades registry.json, search.json (or every search shard) and cross_links.json to the current
+ * schema_version, one migration step at a time (.github/workflows/schemas/lib/versions.js), and prints
+ * what each step changed. Files already at the current version are left untouched.
+ * Usage:
+ *   node scripts/kb_migrate_schema.js [--src ./docs] [--out ./docs] [--dry-run] [--check]
+ * --check writes nothing and exits 1 when a file is older than the current version (or newer than supported).
+ */
+const fs = require('fs');
+const path = require('path');
+const { migrateCanonicals, CURRENT } = require('../.github/workflows/schemas/lib/versions');
+
+function arg(name, fallback) {
+  const idx = process.argv.indexOf(`--${name}`);
+  if (idx !== -1 && process.argv[idx+1] && !process.argv[idx+1].startsWith('--')) return process.argv[idx+1];
+  if (idx !== -1) return true;
+  return fallback;
+}
+
+function readJSON(p) {
+  try { return JSON.parse(fs.readFileSync(p, 'utf8')); } catch { return null; }
+}
+
+const src = arg('src', './docs');
+const out = arg('out', src);
+const check = !!arg('check', false);
+const dryRun = check || !!arg('dry-run', false);
+
+const registry = readJSON(path.join(src, 'registry.json'));
+const cross = readJSON(path.join(src, 'cross_links.json'));
+const search = readJSON(path.join(src, 'search.json'));
+const manifest = search ? null : readJSON(path.join(src, 'search', 'index.json'));
+const searchShards = manifest ? (manifest.shards || []).map(s => ({ file: s.file, data: readJSON(path.join(src, 'search', s.file)) })) : undefined;
+
+let kb;
+try {
+  kb = migrateCanonicals({ registry, search, cross, searchShards });
+} catch (e) {
+  if (e.code !== 'unsupported_schema_version') throw e;
+  console.error(`❌ ${e.message}`);
+  process.exit(1);
+}
+
+const fileOf = (label) => label === 'registry' || label === 'cross_links' ? `${label}.json` : label === 'search' ? 'search.json' : label;
+const outdated = [];
+for (const [label, v] of Object.entries(kb.versions)) {
+  if (!v.steps.length) { console.log(`${fileOf(label)}: v${v.from} (current)`); continue; }
+  outdated.push(label);
+  const changes = v.steps.map(s => Object.entries(s.changes).map(([k, n]) => `${k} ×${n}`).join(', ') || 'version stamp only');
+  console.log(`${fileOf(label)}: v${v.from} → v${v.to} (${changes.join('; ')})`);
+}
+console.log(`Current versions: ${Object.entries(CURRENT).map(([k, v]) => `${k} v${v}`).join(', ')}`);
+if (check) process.exit(outdated.length ? 1 : 0);
+if (dryRun || !outdated.length) process.exit(0);
+
+const write = (rel, obj) => {
+  fs.mkdirSync(path.dirname(path.join(out, rel)), { recursive: true });
+  fs.writeFileSync(path.join(out, rel), JSON.stringify(obj, null, 2), 'utf8');
+  console.log('Wrote', path.join(out, rel));
+};
+for (const label of outdated) {
+  if (label === 'registry') write('registry.json', kb.registry);
+  else if (label === 'search') write('search.json', kb.search);
+  else if (label === 'cross_links') write('cross_links.json', kb.cross);
+  else {
+    const shard = kb.searchShards.find(s => `search/${s.file}` === label);
+    if (shard) write(path.join('search', shard.file), shard.data);
+  }
+}
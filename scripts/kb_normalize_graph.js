@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+/**
+ * kb_normalize_graph.js
+ * Rewrites cross_links.json into the canonical { nodes, edges } shape. Reads every published shape:
+ * { nodes, edges }, bare { edges }, { graph: { nodes, edges } } and the neighbor map
+ * { "<source>": { neighbors: [...] } }. Nodes missing from the file are derived from registry.json
+ * (and, for a graph without nodes, from its edge endpoints). Edge endpoints written as a registry id
+ * become that item's path; everything else on the edges is kept.
+ * Usage:
+ *   node scripts/kb_normalize_graph.js [--src ./docs] [--out ./docs] [--dry-run]
+ */
+const fs = require('fs');
+const path = require('path');
+const { graphShape, normalizeGraph } = require('../.github/workflows/schemas/lib/core');
+
+function arg(name, fallback) {
+  const idx = process.argv.indexOf(`--${name}`);
+  if (idx !== -1 && process.argv[idx+1] && !process.argv[idx+1].startsWith('--')) return process.argv[idx+1];
+  if (idx !== -1) return true;
+  return fallback;
+}
+
+function readJSON(p) {
+  try { return JSON.parse(fs.readFileSync(p, 'utf8')); } catch { return null; }
+}
+
+const src = arg('src', './docs');
+const out = arg('out', src);
+const dryRun = !!arg('dry-run', false);
+
+const cross = readJSON(path.join(src, 'cross_links.json'));
+if (!cross) {
+  console.error(`No cross_links.json in ${src}`);
+  process.exit(1);
+}
+const registry = readJSON(path.join(src, 'registry.json'));
+const items = Array.isArray(registry) ? registry : registry?.items || registry?.docs || registry?.registry || [];
+
+const shape = graphShape(cross);
+const graph = normalizeGraph(cross, { registry: items });
+const before = Array.isArray(cross.nodes) ? cross.nodes.length : Array.isArray(cross.graph?.nodes) ? cross.graph.nodes.length : 0;
+console.log(`Shape: ${shape} → canonical { nodes, edges }`);
+console.log(`Nodes: ${before} → ${graph.nodes.length} (${graph.nodes.length - before} derived), edges: ${graph.edges.length}`);
+if (dryRun) process.exit(0);
+
+fs.mkdirSync(out, { recursive: true });
+fs.writeFileSync(path.join(out, 'cross_links.json'), JSON.stringify(graph, null, 2), 'utf8');
+console.log('Wrote', path.join(out, 'cross_links.json'));
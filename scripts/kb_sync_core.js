@@ -0,0 +1,33 @@
+#!/usr/bin/env node
+/**
+ * kb_sync_core.js
+ * Copies the isomorphic ingestion core (.github/workflows/schemas/lib/core.js) to docs/kb-core.js,
+ * where the static viewer loads it as window.KBCore. The copy is generated: edit lib/core.js.
+ * Usage:
+ *   node scripts/kb_sync_core.js           # write docs/kb-core.js
+ *   node scripts/kb_sync_core.js --check   # exit 1 when docs/kb-core.js is stale
+ */
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+const src = path.join(root, '.github/workflows/schemas/lib/core.js');
+const dst = path.join(root, 'docs/kb-core.js');
+const HEADER = '// GENERATED by scripts/kb_sync_core.js from .github/workflows/schemas/lib/core.js. Do not edit.\n';
+
+const want = HEADER + fs.readFileSync(src, 'utf8').replace(/\r\n/g, '\n');
+let have = null;
+try { have = fs.readFileSync(dst, 'utf8'); } catch {}
+
+if (process.argv.includes('--check')) {
+  if (have !== want) {
+    console.error('docs/kb-core.js is out of date; run: node scripts/kb_sync_core.js');
+    process.exit(1);
+  }
+  console.log('docs/kb-core.js is in sync');
+} else if (have === want) {
+  console.log('docs/kb-core.js already up to date');
+} else {
+  fs.writeFileSync(dst, want, 'utf8');
+  console.log('Wrote', path.relative(root, dst));
+}
@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 /**
  * kb_sync_merge.js
- * Append-only, safe merger for KB registry/cross_links/search JSON using delta files.
+ * Safe merger for KB registry/cross_links/search JSON using delta files (upserts and deletions).
  * Usage:
  *   node kb_sync_merge.js --in ./kb_current --delta ./kb_deltas --out ./kb_merged
  * Notes:
@@ -9,11 +9,23 @@
  *   - Delta files can be multiple; all JSONs in --delta will be consumed.
  *   - Dedup rules:
  *       registry.items: by id
- *       cross_links.edges: by (source,target,rel)
+ *       cross_links.edges: by (source,target,type) — `type` is the relationship (schemas/relation_types.schema.json);
+ *                          legacy `rel` is read as the type and untyped edges count as "ref"
  *       search.docs: by id
+ *   - Deletions (delta files are applied in name order, so a later file can revive an entry):
+ *       { "op": "delete", "ids": ["…"], "superseded_by": "…" }             any schema
+ *       items/docs entries with "op": "delete" (and optional superseded_by)  registry / search
+ *       edges entries with "op": "delete"                                     cross_links (edge removed)
+ *     Deleted registry items and search docs become tombstones (deleted_at, superseded_by) and every
+ *     edge into or out of them is removed from cross_links.edges.
+ *   - Schema versions: inputs older than the current schema_version are migrated on read and the outputs
+ *     are written at the current version; delta items/docs are read with the field names of the delta's
+ *     own schema_version (none = 1).
  */
 const fs = require('fs');
 const path = require('path');
+const { applyDeletions, isTombstone } = require('../.github/workflows/schemas/lib/core');
+const { migrate, migrateCanonicals } = require('../.github/workflows/schemas/lib/versions');
 
 function readJSON(p, fallback) {
   try {
@@ -33,18 +45,31 @@ function uniqBy(arr, keyFn) {
     const key = keyFn(item);
     if (!map.has(key)) map.set(key, item);
     else {
-      // Merge shallow (prefer delta item fields over existing)
-      map.set(key, { ...map.get(key), ...item });
+      // Merge shallow (prefer delta item fields over existing); a live item revives a tombstone
+      const merged = { ...map.get(key), ...item };
+      if (isTombstone(map.get(key)) && !isTombstone(item)) { delete merged.deleted_at; delete merged.superseded_by; }
+      map.set(key, merged);
     }
   }
   return Array.from(map.values());
 }
 
+const edgeType = (e) => e.type || e.rel || 'ref';
+const edgeKey = (e) => `${e.source}::${e.target}::${edgeType(e)}`;
+
 function glueEdges(edges) {
-  const key = (e) => `${e.source}::${e.target}::${e.rel}`;
-  return uniqBy(edges, key);
+  return uniqBy(edges, edgeKey);
+}
+
+function countByType(edges) {
+  const out = {};
+  for (const e of edges) out[edgeType(e)] = (out[edgeType(e)] || 0) + 1;
+  return out;
 }
 
+const isDelete = (x) => x && x.op === 'delete';
+const deletion = (x, superseded_by) => ({ id: x.id, superseded_by: x.superseded_by ?? superseded_by });
+
 function nowISO() {
   return new Date().toISOString();
 }
@@ -75,30 +100,53 @@ function main() {
   const crossLinksPath = path.join(inDir, 'cross_links.json');
   const searchPath = path.join(inDir, 'search.json');
 
-  const registry = readJSON(registryPath, { schema_version: 1, updated_at: nowISO(), items: [] });
-  const crossLinks = readJSON(crossLinksPath, { schema_version: 1, updated_at: nowISO(), edges: [] });
-  const search = readJSON(searchPath, { schema_version: 1, updated_at: nowISO(), docs: [] });
+  // older schema versions (and legacy graph shapes) are upgraded on read
+  const { registry, search, cross: crossLinks } = migrateCanonicals({
+    registry: readJSON(registryPath, { updated_at: nowISO(), items: [] }),
+    search: readJSON(searchPath, { updated_at: nowISO(), docs: [] }),
+    cross: readJSON(crossLinksPath, { updated_at: nowISO(), edges: [] })
+  });
 
   // Load deltas
-  const deltaFiles = fs.readdirSync(deltaDir).filter(f => f.endsWith('.json'));
+  const deltaFiles = fs.readdirSync(deltaDir).filter(f => f.endsWith('.json')).sort();
   let applied = [];
   for (const file of deltaFiles) {
     const p = path.join(deltaDir, file);
     let delta;
     try { delta = JSON.parse(fs.readFileSync(p, 'utf8')); }
     catch (e) { console.warn(`Skipping invalid JSON: ${file}`); continue; }
-
+    try {
+      if (delta.schema === 'registry' && Array.isArray(delta.items)) delta.items = migrate('registry', { schema_version: delta.schema_version, items: delta.items }).data.items;
+      if (delta.schema === 'search' && Array.isArray(delta.docs)) delta.docs = migrate('search', { schema_version: delta.schema_version, docs: delta.docs }).data.docs;
+    } catch (e) { console.warn(`Skipping ${file}: ${e.message}`); continue; }
+
+    const deletions = [];
+    if (isDelete(delta) && Array.isArray(delta.ids)) {
+      deletions.push(...delta.ids.map(id => ({ id, superseded_by: delta.superseded_by })));
+    }
     if (delta.schema === 'registry' && Array.isArray(delta.items)) {
-      registry.items = uniqBy([...(registry.items || []), ...delta.items], x => x.id);
-      applied.push({ file, type: 'registry', count: delta.items.length });
+      const upserts = delta.items.filter(x => !isDelete(x));
+      deletions.push(...delta.items.filter(isDelete).map(x => deletion(x, delta.superseded_by)));
+      registry.items = uniqBy([...(registry.items || []), ...upserts], x => x.id);
+      applied.push({ file, type: 'registry', count: upserts.length });
     }
     if (delta.schema === 'cross_links' && Array.isArray(delta.edges)) {
-      crossLinks.edges = glueEdges([...(crossLinks.edges || []), ...delta.edges]);
-      applied.push({ file, type: 'cross_links', count: delta.edges.length });
+      const upserts = delta.edges.filter(x => !isDelete(x));
+      const drop = new Set(delta.edges.filter(isDelete).map(edgeKey));
+      crossLinks.edges = glueEdges([...(crossLinks.edges || []), ...upserts]).filter(e => !drop.has(edgeKey(e)));
+      for (const [rel, count] of Object.entries(countByType(upserts))) applied.push({ file, type: `cross_links (${rel})`, count });
+      if (drop.size) applied.push({ file, type: 'cross_links (deleted)', count: drop.size });
     }
     if (delta.schema === 'search' && Array.isArray(delta.docs)) {
-      search.docs = uniqBy([...(search.docs || []), ...delta.docs], x => x.id);
-      applied.push({ file, type: 'search', count: delta.docs.length });
+      const upserts = delta.docs.filter(x => !isDelete(x));
+      deletions.push(...delta.docs.filter(isDelete).map(x => deletion(x, delta.superseded_by)));
+      search.docs = uniqBy([...(search.docs || []), ...upserts], x => x.id);
+      applied.push({ file, type: 'search', count: upserts.length });
+    }
+    if (deletions.length) {
+      const res = applyDeletions({ registry: registry.items, search: search.docs, edges: crossLinks.edges }, deletions);
+      registry.items = res.registry; search.docs = res.search; crossLinks.edges = res.edges;
+      applied.push({ file, type: 'tombstones', count: deletions.length, registry: res.removed.registry, search: res.removed.search, edges_removed: res.removed.edges });
     }
   }
 
@@ -116,6 +164,7 @@ function main() {
 
   console.log('Merge completed.');
   console.table(applied);
+  console.log('Edges by type:', countByType(crossLinks.edges || []));
   console.log('Outputs:', { outRegistry, outCrossLinks, outSearch });
 }
 
@@ -0,0 +1,166 @@
+// api/kb/commit.js against a local GitHub API stub (test/github-stub.js): the one-commit write, the stale
+// base 409 and pull-request mode. The payload is the repository's own /docs canonicals, re-committed.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { Readable } = require("stream");
+const { createGitHubStub } = require("./github-stub");
+
+const ROOT = path.join(__dirname, "..");
+const read = (p) => fs.readFileSync(path.join(ROOT, p), "utf8");
+const CANONICALS = ["docs/registry.json", "docs/search.json", "docs/cross_links.json"];
+
+async function setup(t) {
+  const stub = await createGitHubStub({ files: Object.fromEntries(CANONICALS.map(p => [p, read(p)])) }).listen();
+  t.after(() => stub.close());
+  const env = { GH_OWNER: "o", GH_REPO: "r", GH_TOKEN: "t", GH_BRANCH: "main", GH_API_URL: stub.url };
+  for (const [k, v] of Object.entries(env)) {
+    const prev = process.env[k];
+    process.env[k] = v;
+    t.after(() => { if (prev === undefined) delete process.env[k]; else process.env[k] = prev; });
+  }
+  for (const k of ["KB_PROTECT_KEY", "KB_ALLOWED_ORIGIN", "KB_COMMIT_MODE", "KB_LINT_MODE"]) {
+    const prev = process.env[k];
+    delete process.env[k];
+    t.after(() => { if (prev !== undefined) process.env[k] = prev; });
+  }
+  t.mock.method(console, "log", () => {}); // kb.commit events
+  return stub;
+}
+
+// Calls the handler the way Vercel does and resolves with { status, body }.
+function call(method, payload, headers = {}) {
+  const handler = require("../api/kb/commit");
+  const req = Readable.from(payload === undefined ? [] : [JSON.stringify(payload)]);
+  Object.assign(req, { method, headers, query: {}, url: "/api/kb/commit" });
+  return new Promise((resolve, reject) => {
+    const res = {
+      headers: {},
+      setHeader(k, v) { this.headers[k.toLowerCase()] = v; },
+      status(c) { this.statusCode = c; return this; },
+      send(s) { resolve({ status: this.statusCode, headers: this.headers, body: JSON.parse(s) }); },
+      end() { resolve({ status: this.statusCode, headers: this.headers, body: null }); }
+    };
+    handler(req, res).catch(reject);
+  });
+}
+
+const payload = (extra = {}) => ({
+  registry: JSON.parse(read("docs/registry.json")),
+  search: JSON.parse(read("docs/search.json")),
+  cross: JSON.parse(read("docs/cross_links.json")),
+  ...extra
+});
+
+test("GET returns the head commit and canonical blob shas", async (t) => {
+  const stub = await setup(t);
+  const { status, body } = await call("GET");
+  assert.equal(status, 200);
+  assert.equal(body.base_commit, stub.head());
+  assert.deepEqual(Object.keys(body.base_shas).sort(), [...CANONICALS].sort());
+});
+
+test("POST writes every file in one commit on top of the head", async (t) => {
+  const stub = await setup(t);
+  const parent = stub.head();
+  const { status, body } = await call("POST", payload({ base_commit: parent, message: "KB: test" }));
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(stub.head(), body.commit.sha);
+  assert.deepEqual(stub.commits.get(body.commit.sha).parents, [parent]);
+  assert.equal(stub.calls.filter(c => c.startsWith("PATCH git/refs/heads/main")).length, 1);
+  const files = stub.filesAt("main");
+  for (const p of [...CANONICALS, "docs/kb_stats.json", "docs/kb_health_history.json", "docs/kb_graph_report.json"]) {
+    assert.ok(p in files, `${p} committed`);
+  }
+  assert.equal(JSON.parse(files["docs/kb_health_history.json"]).length, 1);
+});
+
+test("a failure before the ref update leaves the branch untouched", async (t) => {
+  const stub = await setup(t);
+  const head = stub.head();
+  stub.fail["POST git/commits"] = 500;
+  const { status } = await call("POST", payload());
+  assert.equal(status, 500);
+  assert.equal(stub.head(), head);
+});
+
+test("a stale base_commit is refused with 409 and nothing is written", async (t) => {
+  const stub = await setup(t);
+  const base = stub.head();
+  const moved = stub.push({ "docs/registry.json": read("docs/registry.json").replace(/\s+$/, "") + "\n\n" });
+  const { status, body } = await call("POST", payload({ base_commit: base }));
+  assert.equal(status, 409);
+  assert.equal(body.conflict.reason, "canonicals_moved");
+  assert.deepEqual(body.conflict.files.map(f => f.path), ["docs/registry.json"]);
+  assert.equal(stub.head(), moved);
+  assert.ok(!stub.calls.some(c => c.startsWith("POST git/blobs")));
+});
+
+test("changes outside the canonicals do not conflict", async (t) => {
+  const stub = await setup(t);
+  const base = stub.head();
+  stub.push({ "docs/kb_stats.json": "{}" });
+  const { status, body } = await call("POST", payload({ base_commit: base }));
+  assert.equal(status, 200, JSON.stringify(body));
+});
+
+test("an unknown base_commit is refused with 409 unknown_base", async (t) => {
+  await setup(t);
+  const { status, body } = await call("POST", payload({ base_commit: "0".repeat(40) }));
+  assert.equal(status, 409);
+  assert.equal(body.conflict.reason, "unknown_base");
+});
+
+test("a head that moves between read and write is refused with 409 head_moved", async (t) => {
+  const stub = await setup(t);
+  stub.onPatch = (s) => { s.onPatch = null; s.push({ "docs/other.md": "x" }); };
+  const { status, body } = await call("POST", payload());
+  assert.equal(status, 409);
+  assert.equal(body.conflict.reason, "head_moved");
+  assert.equal(stub.commits.get(stub.head()).message, "push");
+});
+
+test("pull-request mode commits to a new branch and opens a PR against the base branch", async (t) => {
+  const stub = await setup(t);
+  const head = stub.head();
+  const { status, body } = await call("POST", payload({ mode: "pr", message: "KB: review me" }), { "x-correlation-id": "abc" });
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(stub.head(), head, "base branch untouched");
+  assert.match(body.pull_request.branch, /^kb\/ingest-abc-/);
+  assert.equal(stub.head(body.pull_request.branch), body.commit.sha);
+  assert.equal(stub.pulls.length, 1);
+  assert.equal(stub.pulls[0].base, "main");
+});
+
+test("pull-request mode retried with the same correlation id gets its own branch", async (t) => {
+  const stub = await setup(t);
+  const a = await call("POST", payload({ mode: "pr" }), { "x-correlation-id": "same" });
+  const b = await call("POST", payload({ mode: "pr" }), { "x-correlation-id": "same" });
+  assert.equal(a.status, 200);
+  assert.equal(b.status, 200);
+  assert.notEqual(a.body.pull_request.branch, b.body.pull_request.branch);
+  assert.equal(stub.pulls.length, 2);
+});
+
+test("pull-request mode deletes its branch when opening the PR fails", async (t) => {
+  const stub = await setup(t);
+  stub.fail["POST pulls"] = 500;
+  const { status } = await call("POST", payload({ mode: "pr" }), { "x-correlation-id": "boom" });
+  assert.equal(status, 500);
+  assert.deepEqual([...stub.refs.keys()], ["main"]);
+  assert.ok(stub.calls.some(c => /^DELETE git\/refs\/heads\/kb\/ingest-boom-/.test(c)));
+});
+
+test("a dry run diffs against the canonicals at the branch head, not the deployment's /docs", async (t) => {
+  const stub = await setup(t);
+  const reg = JSON.parse(read("docs/registry.json"));
+  const served = new Set(JSON.parse(read("docs/search.json")).docs.map(d => String(d.id)));
+  const dropped = reg.items.find(r => served.has(String(r.id))).id; // re-adding it introduces no integrity issue
+  stub.push({ "docs/registry.json": JSON.stringify({ ...reg, items: reg.items.filter(r => r.id !== dropped) }) });
+  const { status, body } = await call("POST", payload({ dry_run: true }));
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.deepEqual(body.diff.registry.added, [String(dropped)]);
+  assert.equal(body.stats.delta.registry_items, 1);
+  assert.ok(stub.calls.some(c => c.startsWith("GET git/blobs/")));
+});
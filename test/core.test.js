@@ -0,0 +1,78 @@
+// lib/core.js: the pure-JS hashing and IDs every tool shares, segmentation, and legacy ID migration (lib/migrate.js).
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const core = require("../.github/workflows/schemas/lib/core");
+const { legacyIdMap, applyIdMap } = require("../.github/workflows/schemas/lib/migrate");
+
+const MD = [
+  "# Knowledge base", "", "Intro.", "",
+  "## Block 1 — Alpha Topic", "", "### Context", "First, see [[Beta Topic]].", "",
+  "## Block 2 — Beta Topic", "", "### Context", "Second.", ""
+].join("\n");
+
+test("sha256Hex matches node:crypto across padding boundaries and UTF-8", () => {
+  const inputs = ["", "abc", "a".repeat(55), "a".repeat(56), "a".repeat(63), "a".repeat(64), "a".repeat(1000), "Ünïcødé — ✓ 𝄞"];
+  for (const s of inputs) assert.equal(core.sha256Hex(s), crypto.createHash("sha256").update(s, "utf8").digest("hex"), JSON.stringify(s.slice(0, 10)));
+  const bytes = Buffer.from([0, 1, 2, 255]);
+  assert.equal(core.sha256Hex(bytes), crypto.createHash("sha256").update(bytes).digest("hex"));
+});
+
+test("uuidv5 matches the RFC 4122 DNS-namespace example", () => {
+  assert.equal(core.uuidv5("www.example.com", "6ba7b810-9dad-11d1-80b4-00c04fd430c8"), "2ed6657d-e927-568b-95e1-2665a8aea6a2");
+});
+
+test("stableId is uuidv5(sha256(NFC(raw))) in the KB namespace", () => {
+  const raw = "## Block 1 — Café";
+  assert.equal(core.stableId(raw), core.uuidv5(core.sha256Hex(raw.normalize("NFC")), core.NAMESPACE_KB));
+  assert.equal(core.stableId(raw.normalize("NFD")), core.stableId(raw));
+});
+
+test("slugs and canonical paths", () => {
+  assert.equal(core.slugifyTitle("Block 12 — Déjà Vu: Tips & Tricks!"), "block-12-deja-vu-tips-tricks");
+  assert.equal(core.canonicalPath("block-1-alpha"), "/docs/md/block-1-alpha.md");
+  const taken = new Set(["a", "a-2"]);
+  assert.equal(core.ensureUniqueSlug("a", taken), "a-3");
+  assert.ok(taken.has("a-3"));
+});
+
+test("segmentIntoBlocks splits on Block headings and ignores the preamble", () => {
+  const blocks = core.segmentIntoBlocks(MD);
+  assert.deepEqual(blocks.map(b => [b.blockNumber, b.headerLine]), [[1, "## Block 1 — Alpha Topic"], [2, "## Block 2 — Beta Topic"]]);
+  assert.ok(!blocks.some(b => b.rawBlock.includes("Intro.")));
+});
+
+test("ingestMarkdown is deterministic and resolves links between blocks", () => {
+  const a = core.ingestMarkdown(MD, { now: "2026-01-01T00:00:00.000Z" });
+  const b = core.ingestMarkdown(MD, { now: "2026-02-01T00:00:00.000Z" });
+  assert.deepEqual(a.registry.map(r => r.id), b.registry.map(r => r.id));
+  assert.deepEqual(a.registry.map(r => r.path), ["/docs/md/block-1-alpha-topic.md", "/docs/md/block-2-beta-topic.md"]);
+  assert.deepEqual(a.edges.map(e => [e.source, e.target, e.status]), [["/docs/md/block-1-alpha-topic.md", "/docs/md/block-2-beta-topic.md", "ok"]]);
+  for (const d of a.search) assert.equal(d.attachments.sha256, core.sha256Hex(d.attachments.raw_markdown));
+});
+
+test("a changed block gets a new id, an unchanged one keeps its own", () => {
+  const a = core.ingestMarkdown(MD);
+  const b = core.ingestMarkdown(MD.replace("Second.", "Second, edited."));
+  assert.equal(a.registry[0].id, b.registry[0].id);
+  assert.notEqual(a.registry[1].id, b.registry[1].id);
+});
+
+test("legacy uploader and viewer ids map onto the canonical ones", () => {
+  const canon = core.ingestMarkdown(MD);
+  const map = legacyIdMap(MD, { fileName: "kb.md" });
+  assert.equal(map.ids["block-1"], canon.registry[0].id);
+  assert.equal(map.ids["block-2"], canon.registry[1].id);
+  assert.equal(map.paths["blocks/block-2-beta-topic.md"], canon.registry[1].path);
+  assert.ok(map.entries.some(e => e.scheme === "viewer" && e.id === canon.registry[0].id));
+
+  const legacy = {
+    registry: [{ id: "block-1", path: "blocks/block-1-alpha-topic.md" }, canon.registry[1]],
+    search: [{ id: "block-1" }],
+    cross: { nodes: [], edges: [{ source: "/blocks/block-1-alpha-topic", target: "blocks/block-2-beta-topic.md" }] }
+  };
+  const out = applyIdMap(legacy, map);
+  assert.deepEqual(out.registry.map(r => [r.id, r.path]), canon.registry.map(r => [r.id, r.path]));
+  assert.deepEqual(out.registry[0].legacy_ids, ["block-1"]);
+  assert.deepEqual(out.cross.edges[0], { source: canon.registry[0].path, target: canon.registry[1].path });
+});
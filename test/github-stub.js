@@ -0,0 +1,131 @@
+// test/github-stub.js
+// In-memory GitHub Git Data API on a local port, enough for api/kb/commit.js (GH_API_URL): refs, commits, trees,
+// blobs, contents and pulls of one repository. `fail` makes a route answer with an error status
+// ("POST pulls" → 500), `onPatch(stub)` runs before a ref update (to move the branch under the caller).
+
+const http = require("http");
+const crypto = require("crypto");
+
+function createGitHubStub({ owner = "o", repo = "r", branch = "main", files = {} } = {}) {
+  const blobs = new Map(), trees = new Map(), commits = new Map(), refs = new Map();
+  const pulls = [], calls = [];
+  const hash = (kind, s) => crypto.createHash("sha1").update(`${kind}\0${s}`).digest("hex");
+
+  const putBlob = (buf) => { const sha = hash("blob", buf.toString("base64")); blobs.set(sha, buf); return sha; };
+  const putTree = (entries) => { const sha = hash("tree", JSON.stringify([...entries].sort())); trees.set(sha, entries); return sha; };
+  const putCommit = (tree, parents, message) => {
+    const sha = hash("commit", JSON.stringify([tree, parents, message, commits.size]));
+    commits.set(sha, { sha, tree, parents, message });
+    return sha;
+  };
+
+  // seed the branch: one commit holding `files` ({ path: string content })
+  const seed = new Map(Object.entries(files).map(([p, c]) => [p, putBlob(Buffer.from(c))]));
+  refs.set(branch, putCommit(putTree(seed), [], "seed"));
+
+  const stub = {
+    blobs, trees, commits, refs, pulls, calls, fail: {}, onPatch: null,
+    head(name = branch) { return refs.get(name); },
+    /** { path: content } of the tree at a commit (or branch name) */
+    filesAt(ref) {
+      const c = commits.get(refs.get(ref) || ref);
+      return Object.fromEntries([...trees.get(c.tree)].map(([p, sha]) => [p, blobs.get(sha).toString("utf8")]));
+    },
+    /** commit `files` ({ path: content | null }) on top of a branch, as another writer would */
+    push(changes, name = branch) {
+      const cur = commits.get(refs.get(name));
+      const entries = new Map(trees.get(cur.tree));
+      for (const [p, c] of Object.entries(changes)) c == null ? entries.delete(p) : entries.set(p, putBlob(Buffer.from(c)));
+      const sha = putCommit(putTree(entries), [cur.sha], "push");
+      refs.set(name, sha);
+      return sha;
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    let data = "";
+    req.on("data", c => { data += c; });
+    req.on("end", () => {
+      const send = (status, body) => {
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(body == null ? "" : JSON.stringify(body));
+      };
+      const url = new URL(req.url, "http://stub");
+      const prefix = `/repos/${owner}/${repo}/`;
+      if (!url.pathname.startsWith(prefix)) return send(404, { message: "Not Found" });
+      const route = decodeURIComponent(url.pathname.slice(prefix.length));
+      const body = data ? JSON.parse(data) : null;
+      calls.push(`${req.method} ${route}`);
+      const failing = Object.keys(stub.fail).find(k => `${req.method} ${route}`.startsWith(k));
+      if (failing) return send(stub.fail[failing], { message: `stub: ${failing} fails` });
+
+      let m;
+      if (req.method === "GET" && (m = route.match(/^git\/ref\/heads\/(.+)$/))) {
+        return refs.has(m[1]) ? send(200, { ref: `refs/heads/${m[1]}`, object: { sha: refs.get(m[1]), type: "commit" } }) : send(404, { message: "Not Found" });
+      }
+      if (req.method === "GET" && (m = route.match(/^git\/commits\/(\w+)$/))) {
+        const c = commits.get(m[1]);
+        return c ? send(200, { sha: c.sha, tree: { sha: c.tree }, parents: c.parents.map(sha => ({ sha })), message: c.message }) : send(404, { message: "Not Found" });
+      }
+      if (req.method === "GET" && (m = route.match(/^git\/trees\/(\w+)$/))) {
+        const t = trees.get(m[1]);
+        return t ? send(200, { sha: m[1], tree: [...t].map(([p, sha]) => ({ path: p, mode: "100644", type: "blob", sha })) }) : send(404, { message: "Not Found" });
+      }
+      if (req.method === "GET" && (m = route.match(/^git\/blobs\/(\w+)$/))) {
+        const b = blobs.get(m[1]);
+        return b ? send(200, { sha: m[1], content: b.toString("base64"), encoding: "base64", size: b.length }) : send(404, { message: "Not Found" });
+      }
+      if (req.method === "GET" && (m = route.match(/^contents\/(.+)$/))) {
+        const at = refs.get(url.searchParams.get("ref") || branch) || url.searchParams.get("ref");
+        const sha = commits.has(at) ? trees.get(commits.get(at).tree).get(m[1]) : null;
+        return sha ? send(200, { path: m[1], sha, content: blobs.get(sha).toString("base64"), encoding: "base64" }) : send(404, { message: "Not Found" });
+      }
+      if (req.method === "POST" && route === "git/blobs") {
+        return send(201, { sha: putBlob(Buffer.from(body.content, body.encoding === "base64" ? "base64" : "utf8")) });
+      }
+      if (req.method === "POST" && route === "git/trees") {
+        const entries = new Map(body.base_tree ? trees.get(body.base_tree) : []);
+        for (const e of body.tree) e.sha == null ? entries.delete(e.path) : entries.set(e.path, e.sha);
+        return send(201, { sha: putTree(entries) });
+      }
+      if (req.method === "POST" && route === "git/commits") {
+        const sha = putCommit(body.tree, body.parents || [], body.message);
+        return send(201, { sha, html_url: `https://github.test/${owner}/${repo}/commit/${sha}` });
+      }
+      if (req.method === "POST" && route === "git/refs") {
+        const name = String(body.ref).replace(/^refs\/heads\//, "");
+        if (refs.has(name)) return send(422, { message: "Reference already exists" });
+        refs.set(name, body.sha);
+        return send(201, { ref: body.ref, object: { sha: body.sha } });
+      }
+      if (req.method === "PATCH" && (m = route.match(/^git\/refs\/heads\/(.+)$/))) {
+        if (stub.onPatch) stub.onPatch(stub);
+        if (!refs.has(m[1])) return send(422, { message: "Reference does not exist" });
+        const fastForward = commits.get(body.sha)?.parents.includes(refs.get(m[1]));
+        if (!fastForward && !body.force) return send(422, { message: "Update is not a fast forward" });
+        refs.set(m[1], body.sha);
+        return send(200, { ref: `refs/heads/${m[1]}`, object: { sha: body.sha } });
+      }
+      if (req.method === "DELETE" && (m = route.match(/^git\/refs\/heads\/(.+)$/))) {
+        if (!refs.delete(m[1])) return send(422, { message: "Reference does not exist" });
+        return send(204);
+      }
+      if (req.method === "POST" && route === "pulls") {
+        if (!refs.has(body.head)) return send(422, { message: "Validation Failed" });
+        const pr = { number: pulls.length + 1, html_url: `https://github.test/${owner}/${repo}/pull/${pulls.length + 1}`, ...body };
+        pulls.push(pr);
+        return send(201, pr);
+      }
+      return send(404, { message: `stub: no route for ${req.method} ${route}` });
+    });
+  });
+
+  stub.listen = () => new Promise(resolve => server.listen(0, "127.0.0.1", () => {
+    stub.url = `http://127.0.0.1:${server.address().port}`;
+    resolve(stub);
+  }));
+  stub.close = () => new Promise(resolve => server.close(resolve));
+  return stub;
+}
+
+module.exports = { createGitHubStub };
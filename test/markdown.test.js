@@ -0,0 +1,81 @@
+// lib/core.js Markdown reader: tree shape and positions, inline nodes, links/images/outline, sections and excerpts.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const core = require("../.github/workflows/schemas/lib/core");
+
+const MD = [
+  "## Block 3 — Links & Code",
+  "",
+  "Some *em* and **strong** with `code [not](a link)`, a [ref link][r], <https://auto.example>, and [[Wiki Page|alias]].",
+  "",
+  "- item one",
+  "- item [two](https://two.example)",
+  "",
+  "```js",
+  "## not a heading [x](y)",
+  "```",
+  "",
+  "| a | b |",
+  "|---|---|",
+  "| 1 | ![img](/i.png \"T\") |",
+  "",
+  "### Risks",
+  "**Risks:** things",
+  "",
+  "[r]: https://ref.example \"Ref\"",
+  ""
+].join("\n");
+
+test("top-level nodes carry offsets into the source", () => {
+  const tree = core.parseMarkdown(MD);
+  assert.deepEqual(tree.children.map(n => n.type), ["heading", "paragraph", "list", "code", "table", "heading", "paragraph", "definition"]);
+  for (const n of tree.children) assert.ok(n.position && n.position.end > n.position.start, n.type);
+  const code = tree.children.find(n => n.type === "code");
+  assert.equal(MD.slice(code.position.start, code.position.end), "```js\n## not a heading [x](y)\n```");
+  assert.equal(code.lang, "js");
+});
+
+test("headings, links and images are collected in document order; code is not parsed", () => {
+  const tree = core.parseMarkdown(MD);
+  assert.deepEqual(core.mdOutline(tree), [{ depth: 2, text: "Block 3 — Links & Code" }, { depth: 3, text: "Risks" }]);
+  assert.deepEqual(core.mdLinks(tree), [
+    { kind: "reference", url: "https://ref.example", text: "ref link" },
+    { kind: "autolink", url: "https://auto.example", text: "https://auto.example" },
+    { kind: "wiki", url: "Wiki Page", text: "alias" },
+    { kind: "inline", url: "https://two.example", text: "two" }
+  ]);
+  assert.deepEqual(core.mdImages(tree), [{ url: "/i.png", alt: "img", title: "T" }]);
+  assert.deepEqual(tree.definitions, { r: { url: "https://ref.example", title: "Ref" } });
+});
+
+test("inline emphasis, strikethrough and escapes", () => {
+  assert.deepEqual(core.mdInline("a **b _c_** ~~d~~ e\\*f"), [
+    { type: "text", value: "a " },
+    { type: "strong", children: [{ type: "text", value: "b " }, { type: "emphasis", children: [{ type: "text", value: "c" }] }] },
+    { type: "text", value: " " },
+    { type: "delete", children: [{ type: "text", value: "d" }] },
+    { type: "text", value: " e*f" }
+  ]);
+});
+
+test("setext headings and a leading front-matter block", () => {
+  const tree = core.parseMarkdown("---\ntitle: Hi\n---\nTitle\n=====\n\ntext\n");
+  assert.equal(tree.children[0].type, "yaml");
+  assert.equal(tree.children[0].data.title, "Hi");
+  assert.deepEqual(core.mdOutline(tree), [{ depth: 1, text: "Title" }]);
+  assert.equal(core.parseMarkdown("---\ntitle: Hi\n---\n", { frontMatter: false }).children[0].type, "thematicBreak");
+});
+
+test("a line at the left margin ends a list", () => {
+  const tree = core.parseMarkdown("- one\n- two\n**Risks:** after\n");
+  assert.deepEqual(tree.children.map(n => n.type), ["list", "paragraph"]);
+  assert.equal(tree.children[0].children.length, 2);
+});
+
+test("sections, outline and excerpts come from the tree", () => {
+  const s = core.extractSections(MD);
+  assert.equal(s.sections.risks, "things");
+  assert.deepEqual(s.outline.map(h => h.text), ["Block 3 — Links & Code", "Risks"]);
+  assert.deepEqual(s.images, [{ url: "/i.png", alt: "img", title: "T" }]);
+  assert.equal(core.firstLines(MD, 40), "Block 3 — Links & Code Some em and stron");
+});
@@ -0,0 +1,45 @@
+// lib/core.js metadata: the flat YAML reader, front-matter detection and the precedence of the metadata sources.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const core = require("../.github/workflows/schemas/lib/core");
+
+test("flat YAML: scalars, inline lists, block lists and comments", () => {
+  assert.deepEqual(core.parseYamlLines('title: "Quoted: yes"\ncount: 3\n# comment\ntags: [a, "b"]\nowners:\n  - ann\n  - bob\nempty:\n'), {
+    title: "Quoted: yes", count: "3", tags: ["a", "b"], owners: ["ann", "bob"], empty: ""
+  });
+  assert.deepEqual(core.parseFencedYaml("## Block 1 — X\n\n```yaml\nid: custom\ntags: [x]\n```\n"), { id: "custom", tags: ["x"] });
+  assert.deepEqual(core.parseFencedYaml("no yaml here"), {});
+});
+
+test("front-matter is only read when every line is YAML", () => {
+  const md = "---\ntitle: Hi\ntags: [a]\n---\nbody";
+  assert.deepEqual(core.parseFrontMatter(md), { data: { title: "Hi", tags: ["a"] }, end: md.indexOf("body") });
+  assert.deepEqual(core.parseFrontMatter("---\nSome prose between two rules.\n---\n"), { data: {}, end: 0 });
+  assert.deepEqual(core.parseFrontMatter("text first\n---\ntitle: Hi\n---\n"), { data: {}, end: 0 });
+});
+
+test("fenced yaml beats block front-matter beats the file; lists are merged", () => {
+  const block = [
+    "## Block 1 — Heading Title", "---", "title: FM Title", "tags: [fm]", "owner: ann", "---", "",
+    "```yaml", "title: Yaml Title", "tags: [y1, y2]", "created_at: not-a-date", "```", "body", ""
+  ].join("\n");
+  const { meta, sources } = core.blockMetadata(block, { document: { tags: ["doc"], title: "Doc", created_at: "2026-01-01" } });
+  assert.equal(meta.title, "Yaml Title");
+  assert.deepEqual(meta.tags, ["doc", "fm", "y1", "y2"]);
+  assert.deepEqual(meta.owners, ["ann"]);
+  assert.equal(meta.created_at, "2026-01-01", "an unparseable date does not override");
+  assert.deepEqual(sources, { created_at: "document", title: "yaml" });
+});
+
+test("file-level identity only applies to a single-block file", () => {
+  const block = "## Block 1 — Heading\nbody\n";
+  assert.equal(core.blockMetadata(block, { document: { title: "Doc" } }).meta.title, undefined);
+  assert.equal(core.blockMetadata(block, { single: true, document: { title: "Doc" } }).meta.title, "Doc");
+});
+
+test("ingest applies a yaml id and file tags", () => {
+  const batch = core.ingestMarkdown("---\ntags: [file]\n---\n## Block 1 — A\n\n```yaml\nid: custom-id\n```\ntext\n");
+  assert.equal(batch.registry[0].id, "custom-id");
+  assert.deepEqual(batch.registry[0].tags, ["file"]);
+  assert.deepEqual(batch.search[0].attachments.meta.metadata_sources, { id: "yaml" });
+});
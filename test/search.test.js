@@ -0,0 +1,80 @@
+// lib/search.js BM25 ranking and api/kb/search.js: boosts, tag filters, paging, tombstones, snippets and hit urls.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+const core = require("../.github/workflows/schemas/lib/core");
+const { buildCorpus, search, makeSnippet } = require("../.github/workflows/schemas/lib/search");
+
+const MD = [
+  "## Block 1 — Lead Generation", "", "### Context", "Inbound lead gen for rental fleets.", "", "**Tags:** sales", "",
+  "## Block 2 — Fleet Maintenance", "", "### Context", "Service schedules; a lead mechanic signs off.", "", "**Tags:** ops", "",
+  "## Block 3 — Pricing", "", "### Context", "Seasonal pricing tiers.", "", "**Tags:** sales, ops", ""
+].join("\n");
+const kb = core.ingestMarkdown(MD, { now: "2026-01-01T00:00:00.000Z" });
+
+test("a title match outranks a body match, and the title boost can be turned off", () => {
+  const corpus = buildCorpus(kb.search);
+  const r = search(corpus, "lead");
+  assert.deepEqual(r.hits.map(h => h.title), ["Block 1 — Lead Generation", "Block 2 — Fleet Maintenance"]);
+  assert.ok(r.hits[0].score > r.hits[1].score);
+  const flat = search(corpus, "lead", { boosts: { title: 0 } });
+  assert.ok(flat.hits[0].score < r.hits[0].score);
+});
+
+test("tag filters require every tag; a tag-only query lists in corpus order", () => {
+  const corpus = buildCorpus(kb.search);
+  assert.deepEqual(search(corpus, "", { tags: ["sales", "OPS"] }).hits.map(h => h.title), ["Block 3 — Pricing"]);
+  assert.deepEqual(search(corpus, "", { tags: ["sales"] }).hits.map(h => h.title), ["Block 1 — Lead Generation", "Block 3 — Pricing"]);
+});
+
+test("pages are cut after ranking", () => {
+  const corpus = buildCorpus(kb.search);
+  const p2 = search(corpus, "", { tags: ["sales"], page: 2, perPage: 1 });
+  assert.deepEqual([p2.total, p2.page, p2.per_page, p2.hits.map(h => h.title)], [2, 2, 1, ["Block 3 — Pricing"]]);
+});
+
+test("tombstoned docs are not searched", () => {
+  const docs = kb.search.map((d, i) => i === 0 ? { ...d, deleted_at: "2026-02-01T00:00:00.000Z" } : d);
+  assert.deepEqual(search(buildCorpus(docs), "lead").hits.map(h => h.title), ["Block 2 — Fleet Maintenance"]);
+});
+
+test("hits link to the doc url, else the registry path of their id", () => {
+  assert.equal(search(buildCorpus(kb.search), "pricing").hits[0].url, null);
+  const hit = search(buildCorpus(kb.search, { registry: kb.registry }), "pricing").hits[0];
+  assert.equal(hit.url, "/docs/md/block-3-pricing.md");
+  assert.equal(search(buildCorpus([{ id: "x", title: "Pricing", url: "/own" }], { registry: kb.registry }), "pricing").hits[0].url, "/own");
+});
+
+test("snippets are escaped around the hit, never inside an entity", () => {
+  assert.equal(makeSnippet({ content: "x < y & lt lead" }, ["lt", "lead"]), "x &lt; y &amp; <mark>lt</mark> <mark>lead</mark>");
+});
+
+// api/kb/search.js reads process.cwd()/docs; a corrupt search.json must not fall back to the shards
+test("the endpoint only falls back to shards when search.json is missing", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "kb-search-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(dir, "docs", "search"), { recursive: true });
+  fs.writeFileSync(path.join(dir, "docs", "registry.json"), JSON.stringify({ items: kb.registry }));
+  fs.writeFileSync(path.join(dir, "docs", "search", "index.json"), JSON.stringify({ total: 3, shards: [{ file: "search-001.json", count: 3 }] }));
+  fs.writeFileSync(path.join(dir, "docs", "search", "search-001.json"), JSON.stringify({ docs: kb.search }));
+  fs.writeFileSync(path.join(dir, "docs", "search.json"), "{ corrupt");
+  t.mock.method(process, "cwd", () => dir);
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  const call = (q) => new Promise((resolve, reject) => {
+    const res = {
+      setHeader() {}, status(c) { this.statusCode = c; return this; },
+      json(b) { resolve({ status: this.statusCode, body: b }); }, end() { resolve({ status: this.statusCode }); }
+    };
+    const req = Object.assign(Readable.from([]), { method: "GET", headers: {}, query: { q } });
+    require("../api/kb/search")(req, res).catch(reject);
+  });
+  assert.equal((await call("pricing")).status, 500);
+  fs.rmSync(path.join(dir, "docs", "search.json"));
+  const { status, body } = await call("pricing");
+  assert.equal(status, 200);
+  assert.equal(body.hits[0].url, "/docs/md/block-3-pricing.md");
+});
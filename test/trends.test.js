@@ -0,0 +1,79 @@
+// lib/trends.js: snapshot shapes, trends, drop/spike baselines across runs, repeats, headroom and webhook payloads;
+// lib/stats.js liveCounts (the registry/search figures every history writer records).
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { analyzeHistory, snapshot, alertsToSend, alertPayload } = require("../.github/workflows/schemas/lib/trends");
+const { liveCounts } = require("../.github/workflows/schemas/lib/stats");
+
+const day = (n) => `2026-03-${String(n).padStart(2, "0")}T06:00:00.000Z`;
+const snap = (n, counts, extra = {}) => ({ ts: day(n), counts, ...extra });
+
+test("compact and full history entries read into one snapshot shape", () => {
+  assert.deepEqual(snapshot({ ts: day(1), counts: { search_docs: 5 }, size_kb: { search_kb: 7 } }), {
+    ts: day(1), t: Date.parse(day(1)), registry_items: null, search_docs: 5, edges: null, unresolved_edges: null,
+    orphans_est: null, registry_kb: null, search_kb: 7, cross_kb: null
+  });
+  const full = snapshot({ updated_at: day(2), counts: { edges: 3 }, sizes_kb: { cross_kb: 9 }, thresholds: { cross_max_kb: 10 } });
+  assert.deepEqual([full.edges, full.cross_kb, full.thresholds], [3, 9, { cross_max_kb: 10 }]);
+  assert.equal(snapshot({ counts: {} }), null);
+});
+
+test("trends per window: change, percent and slope per day; missing figures are skipped", () => {
+  const r = analyzeHistory([snap(1, { search_docs: 10 }), snap(2, { edges: 1 }), snap(3, { search_docs: 14 })], { now: day(3) });
+  assert.deepEqual(r.trends["7d"].metrics.search_docs, { first: 10, last: 14, change: 4, pct: 40, per_day: 2 });
+  assert.equal(r.trends.all.snapshots, 3);
+});
+
+test("a drop alerts once, a re-run marks it repeat, and the next day compares with the new value", () => {
+  const h = [snap(1, { search_docs: 10, registry_items: 10 }), snap(2, { search_docs: 1, registry_items: 1 })];
+  const first = analyzeHistory(h, { now: day(2) });
+  assert.deepEqual(first.alerts.map(a => [a.id, a.previous, a.value]).sort(), [["drop:registry_items:critical", 10, 1], ["drop:search_docs:critical", 10, 1]]);
+  assert.equal(first.ok, false);
+  assert.equal(alertsToSend(first).length, 2);
+
+  const rerun = analyzeHistory(h, { now: day(2), previous: first });
+  assert.equal(rerun.alerts.length, 2);
+  assert.ok(rerun.alerts.every(a => a.repeat));
+  assert.equal(alertsToSend(rerun).length, 0);
+
+  const next = analyzeHistory([...h, snap(3, { search_docs: 1, registry_items: 1 })], { now: day(3), previous: rerun });
+  assert.equal(next.compared_with, day(2));
+  assert.deepEqual(next.alerts, []);
+});
+
+test("a drop ingest recorded before the previous report's snapshot still compares with the day before", () => {
+  const before = analyzeHistory([snap(1, { search_docs: 10 })], { now: day(1) });
+  const h = [snap(1, { search_docs: 10 }), { ts: "2026-03-02T01:00:00.000Z", counts: { search_docs: 1 } }, snap(2, { search_docs: 1 })];
+  const r = analyzeHistory(h, { now: day(2), previous: before });
+  assert.equal(r.compared_with, day(1));
+  assert.deepEqual(r.alerts.map(a => [a.id, a.previous, a.value]), [["drop:search_docs:critical", 10, 1]]);
+});
+
+test("an alert whose webhook delivery failed is not a repeat", () => {
+  const h = [snap(1, { search_docs: 10 }), snap(2, { search_docs: 8 })];
+  const first = analyzeHistory(h, { now: day(2) });
+  first.alerts.forEach(a => { a.undelivered = true; });
+  const rerun = analyzeHistory(h, { now: day(2), previous: first });
+  assert.deepEqual(alertsToSend(rerun).map(a => a.id), ["drop:search_docs:warning"]);
+});
+
+test("spikes, rising streaks and headroom", () => {
+  const h = [1, 2, 3, 4].map(n => snap(n, { unresolved_edges: 10 * n, orphans_est: n === 4 ? 40 : 5 }, { size_kb: { search_kb: 4000 + 200 * n } }));
+  const r = analyzeHistory(h, { now: day(4) });
+  const ids = r.alerts.map(a => a.id).sort();
+  assert.deepEqual(ids, ["headroom:search_kb:warning", "rising:unresolved_edges:warning", "spike:orphans_est:warning"]);
+  assert.deepEqual(r.headroom.search_kb, { value: 4800, limit: 5000, headroom: 200, pct_used: 96, per_day: 200, days_to_limit: 1 });
+  const over = analyzeHistory([snap(1, {}, { size_kb: { search_kb: 5001 } })], { now: day(1) });
+  assert.deepEqual(over.alerts.map(a => a.id), ["headroom:search_kb:critical"]);
+});
+
+test("webhook payloads: JSON records or Slack text", () => {
+  const alerts = [{ severity: "critical", message: "search_docs dropped 90%" }];
+  assert.deepEqual(alertPayload(alerts, { webhook: { format: "slack" } }, { repo: "o/r" }), { text: "KB health: 1 alert(s) in o/r\n• [critical] search_docs dropped 90%" });
+  assert.deepEqual(alertPayload(alerts, null, { generated_at: day(1) }), { event: "kb.health.alerts", generated_at: day(1), alerts });
+});
+
+test("live counts leave tombstones out", () => {
+  assert.deepEqual(liveCounts([{ id: "a" }, { id: "b", deleted_at: day(1) }], [{ id: "a" }, { id: "a2", deleted_at: day(1) }, { id: "a3", deleted_at: day(1) }]),
+    { registry_items: 1, search_docs: 1 });
+});
@@ -0,0 +1,55 @@
+// api/kb/validate.js: the per-file report for well-formed, malformed and missing canonicals.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { Readable } = require("stream");
+
+const ROOT = path.join(__dirname, "..");
+const read = (p) => JSON.parse(fs.readFileSync(path.join(ROOT, p), "utf8"));
+
+// Calls the handler the way Vercel does and resolves with { status, body }.
+function call(payload) {
+  const handler = require("../api/kb/validate");
+  const req = Readable.from([JSON.stringify(payload)]);
+  Object.assign(req, { method: "POST", headers: {}, query: {}, url: "/api/kb/validate" });
+  return new Promise((resolve, reject) => {
+    const res = {
+      headers: {},
+      setHeader(k, v) { this.headers[k.toLowerCase()] = v; },
+      status(c) { this.statusCode = c; return this; },
+      json(b) { resolve({ status: this.statusCode, body: b }); },
+      send(s) { resolve({ status: this.statusCode, body: s }); }
+    };
+    handler(req, res).catch(reject);
+  });
+}
+
+const fileOf = (body, name) => body.report.files.find(f => f.file === name);
+
+test("the published canonicals pass", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const { status, body } = await call({ registry: read("docs/registry.json"), search: read("docs/search.json"), cross: read("docs/cross_links.json") });
+  assert.equal(status, 200);
+  assert.equal(body.ok, true, JSON.stringify(body.errors.slice(0, 3)));
+});
+
+test("malformed files fail instead of migrating into empty valid ones", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const { body } = await call({ registry: { foo: 1 }, search: "x", cross: 7 });
+  assert.equal(body.ok, false);
+  for (const f of ["registry", "search", "cross_links"]) assert.equal(fileOf(body, f).ok, false, f);
+  assert.deepEqual(body.report.versions, {});
+});
+
+test("an omitted registry or search fails the report; cross_links is optional", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const empty = await call({});
+  assert.equal(empty.body.ok, false);
+  assert.equal(fileOf(empty.body, "registry").missing, true);
+  assert.equal(fileOf(empty.body, "search").missing, true);
+  assert.equal(empty.body.report.summary.failed, 2);
+  const { body } = await call({ registry: read("docs/registry.json"), search: read("docs/search.json") });
+  assert.equal(body.ok, true);
+  assert.equal(fileOf(body, "cross_links").skipped, true);
+});
@@ -0,0 +1,54 @@
+// lib/versions.js: the v1 → v2 migrations of every canonical file, version refusal and malformed envelopes.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { migrate, migrateCanonicals, schemaVersion, envelopeError, CURRENT } = require("../.github/workflows/schemas/lib/versions");
+
+const SHA = "a".repeat(64);
+
+test("files without schema_version are version 1", () => {
+  assert.equal(schemaVersion([]), 1);
+  assert.equal(schemaVersion({ items: [] }), 1);
+  assert.equal(schemaVersion({ schema_version: 2, items: [] }), 2);
+});
+
+test("registry v1 → v2 renames url, excerpt and hash", () => {
+  const r = migrate("registry", { registry: [{ id: "a", url: "/docs/md/a.md", excerpt: "E", hash: `sha256:${SHA.toUpperCase()}` }], owner: "kb" });
+  assert.deepEqual(r.data, { schema_version: 2, owner: "kb", items: [{ id: "a", path: "/docs/md/a.md", description: "E", sha256: SHA }] });
+  assert.deepEqual(r.steps, [{ from: 1, to: 2, changes: { "url→path": 1, "excerpt→description": 1, "hash→sha256": 1 } }]);
+});
+
+test("search v1 → v2 moves a digest hash into attachments and leaves other hashes", () => {
+  const r = migrate("search", [{ id: "a", path: "/docs/md/a.md", hash: SHA }, { id: "b", hash: "dev" }]);
+  assert.deepEqual(r.data.docs, [{ id: "a", url: "/docs/md/a.md", attachments: { sha256: SHA } }, { id: "b", hash: "dev" }]);
+});
+
+test("cross_links v1 → v2 normalizes a neighbor map and derives nodes", () => {
+  const r = migrate("cross_links", { "/docs/md/a.md": { neighbors: ["/docs/md/b.md"] } }, { registry: [{ id: "a", path: "/docs/md/a.md" }] });
+  assert.equal(r.data.schema_version, 2);
+  assert.deepEqual(r.data.edges.map(e => [e.source, e.target]), [["/docs/md/a.md", "/docs/md/b.md"]]);
+  assert.ok(r.data.nodes.length > 0);
+});
+
+test("a current file is left as it is; a newer or invalid one is refused", () => {
+  const cur = { schema_version: CURRENT.registry, items: [{ id: "a", url: "keep" }] };
+  assert.deepEqual(migrate("registry", cur), { data: cur, from: 2, to: 2, steps: [] });
+  assert.throws(() => migrate("search", { schema_version: 99, docs: [] }), { code: "unsupported_schema_version", version: 99 });
+  assert.throws(() => migrate("search", { schema_version: "x", docs: [] }), { code: "unsupported_schema_version" });
+});
+
+test("migrateCanonicals migrates each search shard on its own", () => {
+  const out = migrateCanonicals({ searchShards: [{ file: "search-001.json", data: { docs: [{ id: "a", excerpt: "E" }] } }] });
+  assert.deepEqual(out.searchShards[0].data, { schema_version: 2, docs: [{ id: "a", description: "E" }] });
+  assert.deepEqual(Object.keys(out.versions), ["search/search-001.json"]);
+});
+
+test("malformed envelopes are not migrated into valid ones", () => {
+  assert.equal(envelopeError("registry", { items: [] }), null);
+  assert.equal(envelopeError("cross_links", [{ source: "a", target: "b" }]), null);
+  assert.match(envelopeError("search", "x"), /expected an array or an object/);
+  assert.match(envelopeError("registry", { foo: 1 }), /no items\/docs\/registry array/);
+  assert.match(envelopeError("cross_links", 7), /graph object/);
+  const out = migrateCanonicals({ registry: { foo: 1 }, search: "x", cross: 7 });
+  assert.deepEqual([out.registry, out.search, out.cross], [{ foo: 1 }, "x", 7]);
+  assert.deepEqual(out.versions, {});
+});